@@ -1,109 +1,185 @@
 #!/usr/bin/env node
 
 /**
- * TTF to WOFF2 Compression Script
- * Compresses TTF/OTF font files to WOFF2 format for web usage
- * 
+ * Web Font Compression Script
+ * Compresses TTF/OTF font files (or re-encodes WOFF/WOFF2) to WOFF2 or
+ * WOFF format for web usage, optionally subset to the characters a site
+ * actually uses
+ *
  * Usage:
  *   node compress-woff2.js input.ttf -o output.woff2
+ *   node compress-woff2.js input.woff2 -o output.woff --level 6
+ *   node compress-woff2.js input.ttf --encoder woff2-encoder
+ *   node compress-woff2.js input.ttf --unicodes latin,U+2000-206F
+ *   node compress-woff2.js input.ttf --text index.html --text about.html
+ *   node compress-woff2.js input.ttf --split latin,latin-ext,cyrillic --css fonts.css
  *   npm run compress input.ttf -o output.woff2
  */
 
 import fs from 'fs';
 import path from 'path';
-import { program } from 'commander';
-import wawoff2 from 'wawoff2';
+import { fileURLToPath } from 'url';
+import { Command, Option, InvalidArgumentError } from 'commander';
+import {
+  fromSfnt,
+  toSfnt,
+  detectFormat,
+  describeFormat,
+  formatFromPath,
+  resolveWoff2Encoder,
+  WOFF2_ENCODERS,
+  parseUnicodeRanges,
+  compressFontFile,
+  compressedStylesheet,
+  compressedOutputPath,
+  FontMetricsError
+} from './index.js';
 
 // Parse command line arguments
+export const program = new Command();
+
 program
   .name('compress-woff2')
-  .description('Compress TTF/OTF fonts to WOFF2 format')
-  .argument('<input>', 'Input font file path (TTF/OTF)')
-  .option('-o, --output <path>', 'Output WOFF2 file path (defaults to input.woff2)')
+  .description('Compress TTF/OTF fonts to WOFF2 or WOFF format')
+  .argument('<input>', 'Input font file path (TTF/OTF/WOFF/WOFF2)')
+  .option('-o, --output <path>', 'Output file path (defaults to input.woff2, or input.woff with --format woff)')
+  .addOption(new Option('--format <format>', 'Output format (defaults to the -o extension, else woff2)').choices(['woff2', 'woff']))
+  .addOption(new Option('--encoder <name>', 'WOFF2 encoder; auto uses wawoff2 when installed').choices(WOFF2_ENCODERS).default('auto'))
+  .option('--level <0-9>', 'zlib compression level for WOFF output (default 9)', compressionLevel)
+  .option('--unicodes <ranges>', 'Keep only these unicode ranges or named sets (e.g. latin,U+2000-206F)', unicodeRanges)
+  .option('--text <file>', 'Keep only the characters used in a text or HTML file (repeatable)', collectFiles, [])
+  .option('--split <sets>', 'Write one subset per comma-separated range or named set (e.g. latin,latin-ext,cyrillic)', splitSets)
+  .option('--css <path>', 'Write a stylesheet using the output with the input as a fallback source')
   .option('-v, --verbose', 'Show detailed output')
-  .parse();
-
-const options = program.opts();
-const inputPath = program.args[0];
-
-// Validate input file exists
-if (!fs.existsSync(inputPath)) {
-  console.error(`✗ Error: Input file not found: ${inputPath}`);
-  process.exit(1);
-}
-
-// Validate input file format
-const inputExt = path.extname(inputPath).toLowerCase();
-if (!['.ttf', '.otf'].includes(inputExt)) {
-  console.error(`✗ Error: Unsupported input format: ${inputExt}. Use TTF or OTF files.`);
-  process.exit(1);
-}
-
-// Generate output path if not specified
-const outputPath = options.output || generateOutputPath(inputPath);
-
-function generateOutputPath(inputPath) {
-  const parsed = path.parse(inputPath);
-  return path.join(parsed.dir, `${parsed.name}.woff2`);
-}
-
-// Compress the font
-async function compressFont() {
-  try {
-    if (options.verbose) {
-      console.log(`📝 Reading input file: ${inputPath}`);
+  .action(async (inputPath, options) => {
+    // Validate input file exists
+    for (const file of [inputPath, ...options.text]) {
+      if (!fs.existsSync(file)) {
+        console.error(`✗ Error: Input file not found: ${file}`);
+        process.exit(1);
+      }
     }
     
-    // Read the input TTF/OTF file
-    const inputBuffer = fs.readFileSync(inputPath);
-    
-    if (options.verbose) {
-      console.log(`📦 Input file size: ${inputBuffer.length} bytes`);
-      console.log(`🔄 Compressing to WOFF2...`);
+    // Validate input file format, by content rather than extension
+    const inputFormat = detectFormat(fs.readFileSync(inputPath));
+    if (!['sfnt', 'woff', 'woff2'].includes(inputFormat)) {
+      const found = inputFormat === 'collection' ? 'font collection' : path.extname(inputPath) || 'unknown';
+      console.error(`✗ Error: Unsupported input format: ${found}. Use TTF, OTF, WOFF or WOFF2 files.`);
+      process.exit(1);
     }
     
-    // Compress to WOFF2
-    const woff2Buffer = await wawoff2.compress(inputBuffer);
-    
-    // Write the compressed file
-    fs.writeFileSync(outputPath, woff2Buffer);
-    
-    const compressionRatio = ((1 - woff2Buffer.length / inputBuffer.length) * 100).toFixed(1);
+    // An -o extension of .woff or .woff2 picks the format unless --format says otherwise
+    const outputFormat = options.format
+      || (options.output && ['woff', 'woff2'].includes(formatFromPath(options.output)) ? formatFromPath(options.output) : 'woff2');
+    // A font extension that disagrees would mislabel the file and its CSS format()
+    const outputExtension = options.output ? path.extname(options.output).toLowerCase() : null;
+    if (['.woff', '.woff2', '.ttf', '.otf', '.ttc', '.otc'].includes(outputExtension) && outputExtension !== `.${outputFormat}`) {
+      const hint = options.format ? `; name it .${outputFormat} or drop --format` : `; name it .woff2 or .woff`;
+      console.error(`✗ Error: ${options.output} would contain ${outputFormat.toUpperCase()} data${hint}`);
+      process.exit(1);
+    }
+    if (options.level !== undefined && outputFormat !== 'woff') {
+      console.error('✗ Error: --level only applies to WOFF output; the WOFF2 encoders always use their best setting');
+      process.exit(1);
+    }
     
-    console.log(`✓ Compressed ${path.basename(inputPath)} to ${path.basename(outputPath)}`);
-    console.log(`📊 Size: ${inputBuffer.length} → ${woff2Buffer.length} bytes (${compressionRatio}% smaller)`);
+    // Generate output path if not specified
+    const outputPath = options.output || compressedOutputPath(inputPath, outputFormat);
     
-    if (options.verbose) {
-      console.log(`💾 Saved to: ${outputPath}`);
-      generateCSSExample();
+    try {
+      await compressFont(inputPath, inputFormat, outputPath, outputFormat, options);
+    } catch (error) {
+      console.error(`✗ Error compressing font: ${error.message}`);
+      if (options.verbose && !(error instanceof FontMetricsError)) {
+        console.error(error.stack);
+      }
+      process.exit(1);
     }
-    
+  });
+
+function unicodeRanges(value) {
+  try {
+    return parseUnicodeRanges(value);
   } catch (error) {
-    console.error(`✗ Error compressing font: ${error.message}`);
-    if (options.verbose) {
-      console.error(error.stack);
-    }
-    process.exit(1);
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function compressionLevel(value) {
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    throw new InvalidArgumentError('Expected a whole number from 0 to 9.');
   }
+  return level;
 }
 
-function generateCSSExample() {
-  const fontName = path.basename(outputPath, '.woff2');
+function collectFiles(value, previous) {
+  return [...previous, value];
+}
+
+// 'latin,U+0400-04FF' → [{ label: 'latin', ranges }, { label: 'u0400-04ff', ranges }]
+function splitSets(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean).map(item => ({
+    label: item.toLowerCase().replace(/[^a-z0-9-]+/g, ''),
+    ranges: unicodeRanges(item)
+  }));
+}
+
+// Compress the font and report what was written
+async function compressFont(inputPath, inputFormat, outputPath, outputFormat, options) {
+  const encoding = { encoder: options.encoder, level: options.level };
+  if (options.verbose) {
+    const inputBuffer = fs.readFileSync(inputPath);
+    console.log(`📝 Reading input file: ${inputPath}`);
+    const outlines = inputBuffer.toString('latin1', 0, 4) === 'OTTO' ? 'CFF' : 'TrueType';
+    console.log(`📦 Input file size: ${inputBuffer.length} bytes (${describeFormat(inputFormat, outlines)})`);
+    const encoder = outputFormat === 'woff2'
+      ? await resolveWoff2Encoder(options.encoder)
+      : `zlib level ${options.level ?? 9}`;
+    console.log(`🔄 Compressing to ${outputFormat.toUpperCase()} (${encoder})...`);
+  }
+  
+  const result = await compressFontFile(inputPath, outputPath, {
+    ...encoding,
+    format: outputFormat,
+    unicodes: options.unicodes,
+    text: options.text,
+    split: options.split
+  });
+  
+  result.skipped.forEach(label => console.log(`⏭ Skipped ${label}: the font has none of its characters`));
+  result.warnings.forEach(warning => console.warn(`⚠ Warning: ${warning}`));
+  let fullSize = null;
+  for (const { label, output, size, characters, glyphs } of result.outputs) {
+    const compressionRatio = ((1 - size / result.inputSize) * 100).toFixed(1);
+    const detail = characters === null ? '' : `, ${characters} characters, ${glyphs.kept}/${glyphs.total} glyphs`;
+    console.log(`✓ Compressed ${path.basename(inputPath)} to ${path.basename(output)}${label ? ` (${label})` : ''}`);
+    console.log(`📊 Size: ${result.inputSize} → ${size} bytes (${compressionRatio}% smaller${detail})`);
+    if (characters !== null && options.verbose) {
+      fullSize ??= (await fromSfnt(await toSfnt(fs.readFileSync(inputPath)), outputFormat, encoding)).length;
+      console.log(`   Subsetting saved ${fullSize - size} bytes over the full ${outputFormat.toUpperCase()} (${fullSize} bytes)`);
+    }
+  }
   
-  console.log('\n📝 CSS Usage:');
-  console.log('```css');
-  console.log('@font-face {');
-  console.log(`  font-family: '${fontName}';`);
-  console.log(`  src: url('${path.basename(outputPath)}') format('woff2');`);
-  console.log('  font-weight: normal;');
-  console.log('  font-style: normal;');
-  console.log('  font-display: swap;');
-  console.log('}');
-  console.log('```');
+  if (options.css) {
+    fs.mkdirSync(path.dirname(options.css), { recursive: true });
+    fs.writeFileSync(options.css, await compressedStylesheet(result, { cssPath: options.css }));
+    console.log(`📝 CSS written to: ${options.css}`);
+  }
+  
+  if (options.verbose) {
+    console.log(`💾 Saved to: ${result.outputs.map(({ output }) => output).join(', ')}`);
+    console.log('\n📝 CSS Usage:');
+    console.log('```css');
+    process.stdout.write(await compressedStylesheet(result));
+    console.log('```');
+  }
 }
 
-// Run the script
-compressFont().catch(error => {
-  console.error('Unexpected error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Run the script when executed, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  program.parseAsync().catch(error => {
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
+}
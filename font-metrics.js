@@ -6,380 +6,1057 @@
  * with ascent-override and descent-override CSS properties.
  * 
  * Installation:
- *   npm install fontkit opentype.js commander
+ *   npm install commander woff2-encoder
  * 
  * Usage:
  *   node font-metrics.js input.woff2 -o output.woff2 -a 90 -d 22
+ *   node font-metrics.js fonts/ 'vendor/*.woff2' --out-dir dist/fonts
+ *   node font-metrics.js fonts.ttc --faces 0,Lato-Bold --extract
+ *   node font-metrics.js proof input.woff2 output.woff2 -o proof.html
+ *   node font-metrics.js output.woff2 --restore -o original.woff2
+ *   node font-metrics.js bake src/fonts.css --font-dir dist/fonts
+ *   node font-metrics.js serve --port 4400
+ *   node font-metrics.js fonts/ --out-dir dist/fonts --css dist/fonts.css --watch
+ *
+ * The output format follows the output extension (.woff2, .woff, or TTF/OTF).
  */
 
 import fs from 'fs';
 import path from 'path';
-import opentype from 'opentype.js';
-import * as fontkit from 'fontkit';
-import { program } from 'commander';
-import { decompress } from 'woff2-encoder';
+import { fileURLToPath } from 'url';
+import { Command, Option, InvalidArgumentError } from 'commander';
+import {
+  resultingMetrics,
+  describeFormat,
+  computeLineHeights,
+  parseTableSpec,
+  diffFonts,
+  verifyFont,
+  parseExpectations,
+  familyName,
+  USE_TYPO_METRICS,
+  modifyJobs,
+  modifyJob,
+  modifyFontFile,
+  manifestEntry,
+  failedEntry,
+  writeManifest,
+  loadConfig,
+  buildProject,
+  watchProject,
+  CONFIG_FILE,
+  proposeHarmonizedMetrics,
+  harmonizedSettings,
+  HARMONIZE_STRATEGIES,
+  bakeStylesheets,
+  writeProof,
+  DEFAULT_PROOF_TEXT,
+  DEFAULT_PROOF_SIZES,
+  createMetricsServer,
+  watchFonts,
+  FontMetricsError,
+  InvalidOptionError,
+  GlyphClippingError
+} from './index.js';
+import { mapWithConcurrency } from './lib/batch.js';
+import { formatMetricsTable, formatTable } from './lib/report.js';
+import { fallbackFontFace, fileFontFace, generateStylesheet, writeStylesheet } from './lib/css.js';
 
 // Parse command line arguments
+export const program = new Command();
+
 program
   .name('font-metrics')
   .description('Modify font vertical metrics for Safari compatibility')
-  .argument('<input>', 'Input font file path')
-  .option('-o, --output <path>', 'Output font file path (defaults to input-fixed.ext)')
-  .option('-a, --ascent <percent>', 'Ascent as percentage of em size', parseFloat, 90)
-  .option('-d, --descent <percent>', 'Descent as percentage of em size', parseFloat, 22)
-  .option('-l, --line-gap <units>', 'Line gap in font units', parseFloat, 0)
+  .argument('<inputs...>', 'Input font files, directories or glob patterns')
+  .option('-o, --output <path>', 'Output font file path for a single input (defaults to input-fixed.ext)')
+  .option('--out-dir <dir>', 'Write outputs into this directory, mirroring the input tree')
+  .option('--manifest <path>', 'Write a JSON manifest of results (defaults to <out-dir>/font-metrics-manifest.json)')
+  .option('-j, --concurrency <n>', 'Number of fonts to process at once', positiveInteger, 4)
+  .option('-a, --ascent <value>', 'Ascent as percentage of em size (or 1843u for font units)', 90)
+  .option('-d, --descent <value>', 'Descent as percentage of em size (or 451u for font units)', 22)
+  .option('-l, --line-gap <value>', 'Line gap in font units (or 10% of em size)', 0)
+  .option('--hhea <metrics>', "hhea ascent,descent[,lineGap], or 'keep' to leave hhea untouched", tableSpec)
+  .option('--typo <metrics>', "OS/2 typo ascent,descent[,lineGap], or 'keep'", tableSpec)
+  .option('--win <metrics>', "OS/2 win ascent,descent, or 'keep'", tableSpec)
+  .addOption(new Option('--use-typo-metrics <mode>', 'USE_TYPO_METRICS flag: on, off or keep')
+    .argParser(typoMetricsMode)
+    .default(true, 'on'))
+  .addOption(new Option('--center <mode>', 'Compute ascent/descent that centre capitals or lowercase in the line box')
+    .choices(['caps', 'x-height']))
+  .option('--line-height <ratio>', "With --center, target line height as a multiple of the font size (defaults to the font's current one)", parseFloat)
+  .addOption(new Option('--mvar <mode>', 'Variable fonts: remove, scale or keep MVAR deltas for the edited metrics')
+    .choices(['remove', 'scale', 'keep'])
+    .default('remove'))
+  .option('--safe-win-metrics', 'Keep win ascent/descent at the real glyph extents; only change typo and hhea')
+  .option('--clip-check <mode>', 'Check for glyphs the new win metrics would clip: warn, fail or off', 'warn')
+  .option('--check-chars <ranges>', 'Limit the clipping check to unicode ranges or named sets (e.g. latin,U+2000-206F)')
+  .option('--faces <list>', 'Collections: comma-separated face indexes or PostScript names to process (default all)', commaList)
+  .option('--extract', 'Collections: write each selected face as its own font instead of a new collection')
+  .option('--css <path>', 'Write a stylesheet with an @font-face rule for every output font')
+  .option('--css-overrides', 'Add ascent/descent/line-gap-override descriptors to the generated CSS')
+  .option('--family-name <name>', 'Rename the output font family (name IDs 1 and 16) so it can\'t collide with the original')
+  .option('--name-suffix <suffix>', 'Append to the family name instead, e.g. Fixed → "Lato Fixed", PostScript LatoFixed-Regular')
+  .option('--style-name <name>', 'Set the typographic subfamily (name ID 17)')
+  .option('--full-name <name>', 'Set the full name (name ID 4); defaults to the new family and style')
+  .option('--postscript-name <name>', 'Set the PostScript name (name ID 6); defaults to the new family without spaces')
+  .option('--unique-id <id>', 'Set the unique font identifier (name ID 3); defaults to the old one with the new PostScript name')
+  .option('--fallback <file>', 'Local fallback font (e.g. Arial.ttf) to generate size-adjust and metric overrides for')
+  .option('--fallback-local <name>', 'Font name for the fallback src: local() (defaults to the name in the fallback file)')
   .option('-v, --verbose', 'Show detailed output')
-  .option('--list', 'List current metrics without modifying')
-  .parse();
+  .option('--list', 'List current metrics (and any font-metrics edit history) without modifying')
+  .option('--restore', 'Put back the metrics a patched font had before font-metrics first edited it')
+  .option('--no-provenance', 'Don\'t record the original metrics and settings in the output font')
+  .option('--json', 'With --list, print the metrics report as JSON')
+  .option('--table', 'With --list, print the metrics report as a table (one column per font)')
+  .option('-w, --watch', 'Keep running and reprocess input fonts whenever they change')
+  .enablePositionalOptions()
+  .action(run);
+
+program
+  .command('diff')
+  .description('Compare two fonts table by table: metric changes, added/dropped/altered tables and checksums')
+  .argument('<before>', 'Original font (TTF, OTF, WOFF or WOFF2)')
+  .argument('<after>', 'Font to compare against it')
+  .option('--json', 'Print the comparison as JSON')
+  .action(runDiff);
+
+program
+  .command('verify')
+  .description('Check a font\'s checksums and assert expected metrics; exits 1 on any mismatch')
+  .argument('<font>', 'Font to check (TTF, OTF, WOFF or WOFF2)')
+  .option('-e, --expect <metrics>', 'Expected values, e.g. hhea.ascender=1843,os2.useTypoMetrics=true (repeatable)', collectExpectations, {})
+  .option('--json', 'Print the results as JSON')
+  .action(runVerify);
+
+program
+  .command('build')
+  .description(`Patch, convert and write CSS for every font listed in ${CONFIG_FILE}`)
+  .option('-c, --config <path>', 'Config file', CONFIG_FILE)
+  .option('--force', 'Rebuild every font, ignoring the cache')
+  .option('-j, --concurrency <n>', 'Number of fonts to process at once', positiveInteger, 4)
+  .option('-w, --watch', 'Keep running and rebuild when the config or an input font changes')
+  .action(runBuild);
+
+program
+  .command('harmonize')
+  .description('Give every member of a family the same ascent, descent and line gap so mixed weights share a baseline')
+  .argument('<inputs...>', 'Font files, directories or glob patterns for one family')
+  .addOption(new Option('--strategy <name>', 'union of glyph extents, max of current metrics, or copy a master')
+    .choices(HARMONIZE_STRATEGIES)
+    .default('union'))
+  .option('--master <file>', 'With --strategy master, the member whose metrics the others copy (path or file name)')
+  .option('--out-dir <dir>', 'Write outputs into this directory, mirroring the input tree (defaults to input-fixed.ext)')
+  .option('--dry-run', 'Show the proposed metrics and per-file changes without writing anything')
+  .addOption(new Option('--use-typo-metrics <mode>', 'USE_TYPO_METRICS flag: on, off or keep')
+    .argParser(typoMetricsMode)
+    .default(true, 'on'))
+  .option('--safe-win-metrics', 'Keep win ascent/descent at the real glyph extents; only change typo and hhea')
+  .option('--clip-check <mode>', 'Check for glyphs the new win metrics would clip: warn, fail or off', 'warn')
+  .option('--no-provenance', 'Don\'t record the original metrics and settings in the output fonts')
+  .option('-v, --verbose', 'Show detailed output')
+  .option('--json', 'Print the proposal as JSON')
+  .action(runHarmonize);
+
+program
+  .command('bake')
+  .description('Patch the fonts behind @font-face rules that use ascent/descent/line-gap-override and drop the overrides from the CSS')
+  .argument('<stylesheets...>', 'CSS files with @font-face rules')
+  .option('--font-dir <dir>', 'Write patched fonts into this directory (defaults to name-fixed.ext next to each font)')
+  .option('--css-dir <dir>', 'Write rewritten stylesheets into this directory (defaults to name-fixed.css next to each one)')
+  .option('--in-place', 'Rewrite the stylesheets themselves')
+  .option('--dry-run', 'Show which fonts would be patched and with what metrics, without writing anything')
+  .option('--safe-win-metrics', 'Keep win ascent/descent at the real glyph extents; only change typo and hhea')
+  .option('--clip-check <mode>', 'Check for glyphs the new win metrics would clip: warn, fail or off', 'warn')
+  .option('--no-provenance', 'Don\'t record the original metrics and settings in the patched fonts')
+  .option('-v, --verbose', 'Show detailed output')
+  .action(runBake);
+
+program
+  .command('proof')
+  .description('Write a self-contained HTML page rendering two fonts side by side with metric guides and line boxes')
+  .argument('<before>', 'Original font (TTF, OTF, WOFF or WOFF2)')
+  .argument('<after>', 'Modified font to compare against it')
+  .option('-o, --output <path>', 'HTML file to write (defaults to <after>-proof.html)')
+  .option('--text <sample>', 'Sample text to render', DEFAULT_PROOF_TEXT)
+  .option('--sizes <list>', `Comma-separated font sizes in pixels (default ${DEFAULT_PROOF_SIZES.join(',')})`, sizeList, DEFAULT_PROOF_SIZES)
+  .action(runProof);
+
+program
+  .command('serve')
+  .description('Start a local web page for uploading a font, adjusting its metrics with a live preview and downloading the result')
+  .option('-p, --port <n>', 'Port to listen on', portNumber, 4400)
+  .option('--host <host>', 'Interface to listen on (use 0.0.0.0 to share it on your network)', '127.0.0.1')
+  .option('--allow-host <name>', 'Also answer requests for this host name, besides IP addresses and localhost (repeatable)', collectHosts, [])
+  .action(runServe);
 
-const options = program.opts();
-const inputPath = program.args[0];
+function tableSpec(value) {
+  try {
+    return parseTableSpec(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
 
-// Validate input file exists
-if (!fs.existsSync(inputPath)) {
-  console.error(`✗ Error: Input file not found: ${inputPath}`);
-  process.exit(1);
+function commaList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
 }
 
-// Generate output path if not specified
-const outputPath = options.output || generateOutputPath(inputPath);
+function sizeList(value) {
+  const sizes = commaList(value).map(Number);
+  if (sizes.length === 0 || sizes.some(size => !(size > 0))) {
+    throw new InvalidArgumentError('Expected comma-separated positive numbers, e.g. 16,32,64.');
+  }
+  return sizes;
+}
 
-function generateOutputPath(inputPath) {
-  const parsed = path.parse(inputPath);
-  // For WOFF2 input, default to TTF output since opentype.js doesn't generate WOFF2
-  const ext = parsed.ext.toLowerCase() === '.woff2' ? '.ttf' : parsed.ext;
-  return path.join(parsed.dir, `${parsed.name}-fixed${ext}`);
+function positiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a whole number of 1 or more.');
+  }
+  return number;
 }
 
-// Load and modify the font
-async function modifyFont() {
+function portNumber(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidArgumentError('Expected a port number from 0 to 65535.');
+  }
+  return port;
+}
+
+function collectExpectations(value, previous) {
   try {
-    let font;
-    
-    // Check if this is a WOFF2 file
-    const isWoff2 = path.extname(inputPath).toLowerCase() === '.woff2';
-    
-    if (isWoff2) {
-      // For WOFF2 files, use fontkit to read metrics and display info
-      const fontkitFont = await fontkit.open(inputPath);
-      
-      if (options.verbose || options.list) {
-        console.log(`✓ Loaded WOFF2 font: ${inputPath}`);
-        console.log(`  Font family: ${fontkitFont.familyName}`);
-        console.log(`  Units per em: ${fontkitFont.unitsPerEm}`);
-        console.log('\nCurrent metrics:');
-        
-        // Access tables directly from fontkit
-        const os2 = fontkitFont['OS/2'];
-        const hhea = fontkitFont.hhea;
-        
-        if (os2) {
-          console.log(`  OS/2 Ascender: ${os2.typoAscender}`);
-          console.log(`  OS/2 Descender: ${os2.typoDescender}`);
-          console.log(`  OS/2 Line Gap: ${os2.typoLineGap}`);
-          console.log(`  Win Ascent: ${os2.winAscent}`);
-          console.log(`  Win Descent: ${os2.winDescent}`);
-        }
-        
-        if (hhea) {
-          console.log(`  hhea Ascent: ${hhea.ascent}`);
-          console.log(`  hhea Descent: ${hhea.descent}`);
-          console.log(`  hhea Line Gap: ${hhea.lineGap}`);
-        }
-      }
-      
-      if (options.list) {
-        return; // Exit if only listing metrics
-      }
-      
-      // Use woff2-encoder to decompress WOFF2 to TTF
-      try {
-        const woff2Buffer = fs.readFileSync(inputPath);
-        const ttfBuffer = await decompress(woff2Buffer);
-        
-        if (options.verbose) {
-          console.log(`Decompressed WOFF2 to TTF: ${ttfBuffer.length || ttfBuffer.byteLength} bytes`);
-          console.log(`First 4 bytes: ${Array.from(new Uint8Array(ttfBuffer, 0, 4)).map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-        }
-        
-        // Parse the decompressed TTF with opentype.js using .buffer as shown in docs
-        font = opentype.parse(ttfBuffer.buffer);
-        
-      } catch (woff2Error) {
-        throw new Error(`WOFF2 decompression failed: ${woff2Error.message}`);
+    return { ...previous, ...parseExpectations(value) };
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function collectHosts(value, previous) {
+  return [...previous, value];
+}
+
+function typoMetricsMode(value) {
+  const modes = { on: true, off: false, keep: 'keep' };
+  if (!(value in modes)) {
+    throw new InvalidArgumentError("Use 'on', 'off' or 'keep'.");
+  }
+  return modes[value];
+}
+
+// Run one job and print what it did; returns its manifest entry
+async function modifyFont(context, { inputPath, outputPath }) {
+  const { options } = context;
+  let result;
+  try {
+    result = await modifyFontFile(inputPath, outputPath, context.settings, {
+      list: options.list,
+      restore: options.restore,
+      faces: options.faces,
+      extract: options.extract,
+      clipCheck: options.clipCheck,
+      checkChars: options.checkChars,
+      provenance: options.provenance,
+      fallback: context.fallback,
+      fallbackLocal: options.fallbackLocal
+    });
+  } catch (error) {
+    console.error(`✗ Error processing font ${inputPath}: ${error.message}`);
+    if (error instanceof GlyphClippingError) {
+      printClippedGlyphs(context, error.glyphs);
+    } else if (options.verbose) {
+      console.error(error.stack);
+    }
+    return failedEntry(inputPath, error);
+  }
+  
+  if (result.faces) {
+    printCollection(context, result);
+  } else if (result.mode === 'list') {
+    if (!context.report) {
+      printMetrics(inputPath, result.original);
+      if (result.fallback) {
+        console.log('\n📝 Fallback CSS:');
+        console.log('```css');
+        console.log(fallbackFontFace(`${fontFamilyName(inputPath)} Fallback`, result.fallback));
+        console.log('```');
       }
-    } else {
-      // Read font file normally for TTF/OTF/WOFF
-      const fontBuffer = fs.readFileSync(inputPath);
-      font = opentype.parse(fontBuffer.buffer ? fontBuffer.buffer : fontBuffer);
     }
-    
-    if (options.verbose || options.list) {
-      console.log(`✓ Loaded font: ${inputPath}`);
-      console.log(`  Font family: ${font.names.fontFamily.en || 'Unknown'}`);
-      console.log(`  Units per em: ${font.unitsPerEm}`);
-      console.log('\nCurrent metrics:');
-      console.log(`  OS/2 Ascender: ${font.tables.os2?.sTypoAscender}`);
-      console.log(`  OS/2 Descender: ${font.tables.os2?.sTypoDescender}`);
-      console.log(`  OS/2 Line Gap: ${font.tables.os2?.sTypoLineGap}`);
-      console.log(`  hhea Ascent: ${font.tables.hhea?.ascender}`);
-      console.log(`  hhea Descent: ${font.tables.hhea?.descender}`);
-      console.log(`  hhea Line Gap: ${font.tables.hhea?.lineGap}`);
-      console.log(`  Win Ascent: ${font.tables.os2?.usWinAscent}`);
-      console.log(`  Win Descent: ${font.tables.os2?.usWinDescent}`);
+  } else if (result.mode === 'restore') {
+    const { restored } = result;
+    console.log(`↩ Restoring metrics from before ${restored.history.length} edit(s): ${inputPath}`);
+    if (options.verbose) {
+      printChanges(context, restored.original, restored.restored);
     }
-    
-    if (options.list) {
-      return; // Exit if only listing metrics
+    restored.warnings.forEach(warning => console.warn(`⚠ Warning: ${warning}: ${inputPath}`));
+    printSaved(context, outputPath, restored.verification);
+  } else {
+    const { modified } = result;
+    reportModification(context, inputPath, result.format, modified);
+    if (options.verbose && modified.format !== 'sfnt') {
+      console.log(`Compressed to ${modified.format.toUpperCase()}: ${modified.sfnt.length} → ${modified.buffer.length} bytes`);
     }
+    printSaved(context, outputPath, modified.verification);
     
-    // Calculate new metrics
-    const unitsPerEm = font.unitsPerEm;
-    const newAscent = Math.round(unitsPerEm * (options.ascent / 100));
-    const newDescent = -Math.round(unitsPerEm * (options.descent / 100));
-    const newLineGap = Math.round(options.lineGap);
-    
-    if (options.verbose) {
-      console.log('\nNew metrics to apply:');
-      console.log(`  Ascent: ${newAscent} (${options.ascent}% of ${unitsPerEm})`);
-      console.log(`  Descent: ${newDescent} (${options.descent}% of ${unitsPerEm})`);
-      console.log(`  Line Gap: ${newLineGap}`);
+    // Print the CSS for a single font unless it is going into a stylesheet
+    if (!context.batch && !options.css) {
+      printCSSUsage(context, outputPath, modified.sfnt, result.fallback);
     }
-    
-    // Modify OS/2 table (Windows/cross-platform metrics)
-    if (font.tables.os2) {
-      font.tables.os2.sTypoAscender = newAscent;
-      font.tables.os2.sTypoDescender = newDescent;
-      font.tables.os2.sTypoLineGap = newLineGap;
-      
-      // Update Windows-specific metrics
-      font.tables.os2.usWinAscent = Math.abs(newAscent);
-      font.tables.os2.usWinDescent = Math.abs(newDescent);
-      
-      // Set USE_TYPO_METRICS flag (bit 7) to ensure typo metrics are used
-      font.tables.os2.fsSelection = font.tables.os2.fsSelection | 0x80;
-      
-      if (options.verbose) {
-        console.log('✓ Updated OS/2 table metrics');
-      }
-    } else {
-      console.warn('⚠ Warning: Font has no OS/2 table');
+  }
+  
+  return manifestEntry(result);
+}
+
+// The listed or modified faces of a TTC/OTC collection, and the collection
+// written back unless the faces were extracted
+function printCollection(context, result) {
+  const faceLabel = face => `${result.input}#${face.index} (${face.postscriptName})`;
+  
+  if (result.mode === 'list') {
+    if (!context.report) {
+      result.faces.forEach((face, i) => {
+        console.log(i > 0 ? '' : `📚 Collection with ${result.faceCount} faces: ${result.input}\n`);
+        printMetrics(faceLabel(face), face.original);
+      });
     }
-    
-    // Modify hhea table (Mac metrics) - CRITICAL for Safari compatibility
-    if (font.tables.hhea) {
-      // WORKAROUND: opentype.js doesn't properly save hhea modifications
-      // So we create a new hhea table from scratch
-      const originalHhea = font.tables.hhea;
-      
-      // Create new hhea table with our modified values
-      font.tables.hhea = {
-        version: originalHhea.version || 0x00010000,
-        ascender: newAscent,           // ← Critical for Safari
-        descender: newDescent,         // ← Critical for Safari  
-        lineGap: newLineGap,
-        advanceWidthMax: originalHhea.advanceWidthMax,
-        minLeftSideBearing: originalHhea.minLeftSideBearing,
-        minRightSideBearing: originalHhea.minRightSideBearing,
-        xMaxExtent: originalHhea.xMaxExtent,
-        caretSlopeRise: originalHhea.caretSlopeRise,
-        caretSlopeRun: originalHhea.caretSlopeRun,
-        caretOffset: originalHhea.caretOffset,
-        reserved1: originalHhea.reserved1 || 0,
-        reserved2: originalHhea.reserved2 || 0,
-        reserved3: originalHhea.reserved3 || 0,
-        reserved4: originalHhea.reserved4 || 0,
-        metricDataFormat: originalHhea.metricDataFormat || 0,
-        numberOfHMetrics: originalHhea.numberOfHMetrics
-      };
-      
-      if (options.verbose) {
-        console.log('✓ Recreated hhea table with new metrics');
-        console.log(`  New hhea Ascent: ${newAscent}`);
-        console.log(`  New hhea Descent: ${newDescent}`);
-        console.log(`  New hhea Line Gap: ${newLineGap}`);
-      }
-    } else {
-      console.warn('⚠ Warning: Font has no hhea table');
+    return;
+  }
+  
+  for (const face of result.faces) {
+    reportModification(context, faceLabel(face), 'sfnt', face.modified);
+    if (face.output) {
+      printSaved(context, face.output);
     }
-    
-    // WORKAROUND: Since opentype.js can't properly save hhea modifications,
-    // we'll use a binary patch approach to directly modify the TTF bytes
-    try {
-      // First save with opentype.js (this handles OS/2 and other tables)
-      const outputBuffer = Buffer.from(font.toArrayBuffer());
-      
-      // Now manually patch the hhea table bytes
-      const patchedBuffer = patchHheaTable(outputBuffer, newAscent, newDescent, newLineGap);
-      
-      fs.writeFileSync(outputPath, patchedBuffer);
-      console.log(`\n✓ Font saved to: ${outputPath}`);
-      
-      // Verify the changes were actually saved
-      if (options.verbose) {
-        console.log('\nVerifying saved font metrics...');
-        try {
-          const verifyFont = opentype.loadSync(outputPath);
-          console.log(`Verification - hhea Ascent: ${verifyFont.tables.hhea?.ascender || 'undefined'}`);
-          console.log(`Verification - hhea Descent: ${verifyFont.tables.hhea?.descender || 'undefined'}`);
-          console.log(`Verification - OS/2 Ascent: ${verifyFont.tables.os2?.sTypoAscender || 'undefined'}`);
-        } catch (verifyError) {
-          console.warn('⚠ Could not verify saved font metrics');
-        }
-      }
-    } catch (saveError) {
-      throw new Error(`Failed to save font: ${saveError.message}`);
+  }
+  if (result.output) {
+    result.warnings.forEach(warning => console.warn(`⚠ Warning: ${warning}: ${result.input}`));
+    printSaved(context, result.output);
+  }
+}
+
+// Metric settings shared by single fonts and collection faces
+function metricSettings(options) {
+  return {
+    ascent: options.ascent,
+    descent: options.descent,
+    lineGap: options.lineGap,
+    hhea: options.hhea,
+    typo: options.typo,
+    win: options.win,
+    useTypoMetrics: options.useTypoMetrics,
+    safeWinMetrics: options.safeWinMetrics,
+    center: options.center,
+    lineHeight: options.lineHeight,
+    mvar: options.mvar,
+    rename: renameSettings(options)
+  };
+}
+
+// Name table changes from --family-name, --name-suffix, etc., or null
+function renameSettings(options) {
+  const rename = {
+    family: options.familyName,
+    suffix: options.nameSuffix,
+    style: options.styleName,
+    fullName: options.fullName,
+    postscriptName: options.postscriptName,
+    uniqueId: options.uniqueId
+  };
+  Object.keys(rename).forEach(key => rename[key] === undefined && delete rename[key]);
+  return Object.keys(rename).length > 0 ? rename : null;
+}
+
+// Print what setMetrics did to one font or face
+function reportModification(context, label, format, modified) {
+  if (modified.centered) {
+    printCentering(label, modified.centered, modified.original.unitsPerEm);
+  }
+  
+  if (context.options.verbose) {
+    printMetrics(label, { format, ...modified.original });
+    printChanges(context, modified.original, modified.applied);
+  }
+  
+  if (modified.names) {
+    const { before, after } = modified.names;
+    console.log(`  Renamed: '${familyName(before)}' → '${familyName(after)}' (PostScript ${after.postscriptName})`);
+  }
+  
+  const rewritten = modified.mvar.filter(change => change.action !== 'kept');
+  if (rewritten.length > 0) {
+    const describeChange = change => (change.action === 'scaled'
+      ? `${change.tag} ×${Math.round(change.factor * 1000) / 1000}`
+      : `${change.tag} removed`);
+    console.log(`  MVAR: ${rewritten.map(describeChange).join(', ')}`);
+  }
+  
+  modified.warnings.forEach(warning => console.warn(`⚠ Warning: ${warning}: ${label}`));
+  if (modified.clipped?.length > 0) {
+    printClippedGlyphs(context, modified.clipped);
+  }
+}
+
+// Report a written font, with what was checked before it was written
+function printSaved(context, outputPath, verification = null) {
+  if (verification && context.options.verbose) {
+    console.log(`✓ Verified ${verification.checks.length} written metrics and table checksums`);
+  }
+  console.log(`${context.batch ? '' : '\n'}✓ Font saved to: ${outputPath}`);
+}
+
+// List clipped glyphs (all of them with --verbose, otherwise the first few)
+function printClippedGlyphs(context, glyphs) {
+  const shown = context.options.verbose ? glyphs : glyphs.slice(0, 10);
+  for (const glyph of shown) {
+    const overflow = [
+      glyph.overflowTop > 0 ? `${glyph.overflowTop} above` : null,
+      glyph.overflowBottom > 0 ? `${glyph.overflowBottom} below` : null
+    ].filter(Boolean).join(', ');
+    console.warn(`    ${glyph.label} (yMin ${glyph.yMin}, yMax ${glyph.yMax}; ${overflow})`);
+  }
+  if (shown.length < glyphs.length) {
+    console.warn(`    ... and ${glyphs.length - shown.length} more (use --verbose to list all)`);
+  }
+  console.warn('  Use --safe-win-metrics to keep win metrics at the glyph extents');
+}
+
+// Show the computed centering metrics before the font is written
+function printCentering(inputPath, centered, unitsPerEm) {
+  const percent = value => `${Math.round((value / unitsPerEm) * 1000) / 10}%`;
+  console.log(`📐 Centering ${centered.reference} (${centered.referenceHeight} from ${centered.source}) ` +
+    `in a ${centered.lineHeight} line height: ${inputPath}`);
+  console.log(`  ascent ${centered.ascent} (${percent(centered.ascent)}), ` +
+    `descent ${centered.descent} (${percent(centered.descent)}), line gap ${centered.lineGap}`);
+}
+
+function printChanges(context, original, applied) {
+  const { hhea, os2 } = applied;
+  const unchanged = table => (table ? 'unchanged' : 'not in font');
+  const flagBefore = Boolean(original.os2?.fsSelection & USE_TYPO_METRICS);
+  const flagAfter = os2?.fsSelection !== undefined ? Boolean(os2.fsSelection & USE_TYPO_METRICS) : flagBefore;
+  
+  console.log('\nNew metrics to apply:');
+  console.log(hhea
+    ? `  hhea: ascent ${hhea.ascender}, descent ${hhea.descender}, line gap ${hhea.lineGap}`
+    : `  hhea: ${unchanged(original.hhea)}`);
+  console.log(os2?.typoAscender !== undefined
+    ? `  OS/2 typo: ascent ${os2.typoAscender}, descent ${os2.typoDescender}, line gap ${os2.typoLineGap}`
+    : `  OS/2 typo: ${unchanged(original.os2)}`);
+  console.log(os2?.winAscent !== undefined
+    ? `  OS/2 win: ascent ${os2.winAscent}, descent ${os2.winDescent}${context.options.safeWinMetrics ? ' (glyph extents)' : ''}`
+    : `  OS/2 win: ${unchanged(original.os2)}`);
+  console.log(`  USE_TYPO_METRICS: ${flagBefore ? 'on' : 'off'} → ${flagAfter ? 'on' : 'off'}`);
+}
+
+function printMetrics(inputPath, metrics) {
+  const lineHeight = metrics.lineHeight || computeLineHeights(metrics);
+  const describe = box => (box ? `${box.normal} (${box.source})` : 'n/a');
+  
+  console.log(`✓ Loaded font: ${inputPath}`);
+  console.log(`  Format: ${describeFormat(metrics.format, metrics.outlines)} (${metrics.outlines} outlines)`);
+  console.log(`  Units per em: ${metrics.unitsPerEm}`);
+  console.log('\nCurrent metrics:');
+  console.log(`  OS/2 Ascender: ${metrics.os2?.typoAscender ?? 'n/a'}`);
+  console.log(`  OS/2 Descender: ${metrics.os2?.typoDescender ?? 'n/a'}`);
+  console.log(`  OS/2 Line Gap: ${metrics.os2?.typoLineGap ?? 'n/a'}`);
+  console.log(`  hhea Ascent: ${metrics.hhea?.ascender ?? 'n/a'}`);
+  console.log(`  hhea Descent: ${metrics.hhea?.descender ?? 'n/a'}`);
+  console.log(`  hhea Line Gap: ${metrics.hhea?.lineGap ?? 'n/a'}`);
+  console.log(`  Win Ascent: ${metrics.os2?.winAscent ?? 'n/a'}`);
+  console.log(`  Win Descent: ${metrics.os2?.winDescent ?? 'n/a'}`);
+  console.log(`  USE_TYPO_METRICS: ${metrics.os2?.useTypoMetrics ? 'yes' : 'no'}`);
+  console.log(`  Cap Height: ${metrics.os2?.capHeight ?? 'n/a'}`);
+  console.log(`  x-Height: ${metrics.os2?.xHeight ?? 'n/a'}`);
+  console.log(`  head yMin/yMax: ${metrics.head.yMin} / ${metrics.head.yMax}`);
+  console.log('\nLine height (normal):');
+  console.log(`  Safari: ${describe(lineHeight.safari)}`);
+  console.log(`  Chrome: ${describe(lineHeight.chrome)}`);
+  console.log(`  Windows: ${describe(lineHeight.windows)}`);
+  
+  if (metrics.provenance) {
+    printHistory(metrics.provenance.history);
+  }
+  
+  if (metrics.variations) {
+    const { axes, mvar } = metrics.variations;
+    console.log('\nVariable font:');
+    axes.forEach(axis => console.log(`  ${axis.tag}: ${axis.min} – ${axis.max} (default ${axis.default})`));
+    if (!mvar || mvar.length === 0) {
+      console.log('  No MVAR metric variations');
     }
-    
-    // Inform user about format change if needed
-    if (isWoff2 && !options.output) {
-      console.log(`ℹ  Note: WOFF2 input converted to TTF output (opentype.js limitation)`);
-      console.log(`   To convert back to WOFF2, use: woff2_compress ${path.basename(outputPath)}`);
+    for (const record of mvar || []) {
+      const deltas = record.deltas.map(({ axis, value, delta }) => `${axis}=${value}: ${delta > 0 ? '+' : ''}${delta}`);
+      console.log(`  MVAR ${record.tag} (${record.field}): ${deltas.join(', ') || 'no variation'}`);
     }
+  }
+}
+
+// Edits recorded in the font by earlier runs, oldest first
+function printHistory(history) {
+  const describeSettings = (settings, prefix = '') => Object.entries(settings).flatMap(([key, value]) =>
+    (value && typeof value === 'object' ? describeSettings(value, `${prefix}${key}.`) : [`${prefix}${key}=${value}`]));
+  const describeTable = (label, before, after, fields) => {
+    if (!before || !after || fields.every(field => after[field] === undefined || after[field] === before[field])) {
+      return;
+    }
+    const values = metrics => fields.map(field => metrics[field] ?? '-').join(' / ');
+    console.log(`     ${label}: ${values(before)} → ${values({ ...before, ...after })}`);
+  };
+  
+  console.log('\nEdit history (font-metrics):');
+  history.forEach((entry, i) => {
+    const settings = describeSettings(entry.settings);
+    console.log(`  ${i + 1}. ${entry.tool}${settings.length > 0 ? `: ${settings.join(', ')}` : ''}`);
+    const { original, applied } = entry;
+    describeTable('hhea', original.hhea, applied.hhea, ['ascender', 'descender', 'lineGap']);
+    describeTable('OS/2 typo', original.os2, applied.os2, ['typoAscender', 'typoDescender', 'typoLineGap']);
+    describeTable('OS/2 win', original.os2, applied.os2, ['winAscent', 'winDescent']);
+    if (original.os2 && applied.os2?.fsSelection !== undefined &&
+        (original.os2.fsSelection & USE_TYPO_METRICS) !== (applied.os2.fsSelection & USE_TYPO_METRICS)) {
+      console.log(`     USE_TYPO_METRICS: ${applied.os2.fsSelection & USE_TYPO_METRICS ? 'off → on' : 'on → off'}`);
+    }
+  });
+  console.log('  Use --restore to put back the original metrics');
+}
+
+// Process every font and write the manifest
+async function run(inputs, options, command) {
+  const jobs = modifyJobs(inputs, jobOptions(options));
+  const problem = optionProblem(options, command, jobs.length);
+  if (problem) {
+    console.error(`✗ Error: ${problem}`);
+    process.exit(1);
+  }
+  
+  const context = {
+    options,
+    settings: metricSettings(options),
+    batch: jobs.length > 1 || Boolean(options.outDir),
+    // JSON and table reports are printed once every font has been read
+    report: options.list && (options.json || options.table),
+    fallback: options.fallback ? fs.readFileSync(options.fallback) : null
+  };
+  
+  const results = await mapWithConcurrency(jobs, options.concurrency, job => modifyFont(context, job));
+  const failed = results.filter(result => result.error);
+  
+  if (context.report) {
+    // Collections report one entry per face, labelled file.ttc#index
+    const reports = results.flatMap(result => {
+      if (result.faces) {
+        return result.faces.map(face => ({ file: `${result.input}#${face.index}`, ...face.original }));
+      }
+      return result.original ? [{ file: result.input, ...result.original }] : [];
+    });
     
-    // Generate CSS example
-    generateCSSExample();
-    
-  } catch (error) {
-    console.error(`✗ Error processing font: ${error.message}`);
-    if (options.verbose) {
-      console.error(error.stack);
+    if (options.json) {
+      // A single font prints one object so CI can diff it directly
+      const single = jobs.length === 1 && !results[0].faces;
+      console.log(JSON.stringify(single ? reports[0] ?? null : reports, null, 2));
+    } else if (reports.length > 0) {
+      console.log(formatMetricsTable(reports));
+    }
+  }
+  
+  if (options.css && !options.list) {
+    await writeCss(context, results);
+  }
+  
+  const manifestPath = options.manifest ||
+    (options.outDir && !options.list ? path.join(options.outDir, 'font-metrics-manifest.json') : null);
+  
+  if (manifestPath) {
+    writeManifest(manifestPath, manifestSettings(options), results);
+  }
+  
+  if (context.batch && !context.report) {
+    console.log(`\n📊 Processed ${results.length} fonts: ${results.length - failed.length} succeeded, ${failed.length} failed`);
+    if (manifestPath) {
+      console.log(`📄 Manifest written to: ${manifestPath}`);
     }
+  }
+  
+  if (options.watch) {
+    watchInputs(context, inputs, jobs, results, manifestPath);
+    return;
+  }
+  
+  if (failed.length > 0) {
     process.exit(1);
   }
 }
 
-function generateCSSExample() {
-  const fontName = path.basename(outputPath, path.extname(outputPath));
-  const ext = path.extname(outputPath).slice(1);
-  
-  console.log('\n📝 CSS Usage:');
-  console.log('```css');
-  console.log('@font-face {');
-  console.log(`  font-family: '${fontName}';`);
-  console.log(`  src: url('${path.basename(outputPath)}') format('${getFormat(ext)}');`);
-  console.log('  font-weight: normal;');
-  console.log('  font-style: normal;');
-  console.log('  /* Metrics are now baked into the font file */');
-  console.log('  /* No need for ascent-override or descent-override! */');
-  console.log('}');
-  console.log('```');
+// Where the main command's outputs go
+function jobOptions(options) {
+  return { output: options.output, outDir: options.outDir, restore: options.restore };
 }
 
-function getFormat(ext) {
-  const formats = {
-    'woff2': 'woff2',
-    'woff': 'woff',
-    'ttf': 'truetype',
-    'otf': 'opentype'
+// The options a manifest records
+function manifestSettings(options) {
+  return {
+    ascent: options.ascent,
+    descent: options.descent,
+    lineGap: options.lineGap,
+    hhea: options.hhea ?? null,
+    typo: options.typo ?? null,
+    win: options.win ?? null,
+    useTypoMetrics: options.useTypoMetrics,
+    safeWinMetrics: Boolean(options.safeWinMetrics),
+    rename: renameSettings(options),
+    restore: Boolean(options.restore),
+    provenance: options.provenance
   };
-  return formats[ext.toLowerCase()] || ext.toLowerCase();
 }
 
-/**
- * Binary patch the hhea table in a TTF buffer
- * This is a workaround for opentype.js not properly saving hhea table modifications
- */
-function patchHheaTable(buffer, ascent, descent, lineGap) {
-  try {
-    // Create a copy of the buffer
-    const patchedBuffer = Buffer.from(buffer);
-    
-    // Find the hhea table in the TTF
-    const hheaTag = Buffer.from('hhea');
-    let hheaOffset = -1;
+// `--watch`: reprocess the fonts whose bytes changed, then rewrite the CSS
+// and manifest. Outputs written next to their inputs are never inputs.
+function watchInputs(context, inputs, jobs, results, manifestPath) {
+  const { options } = context;
+  const written = new Set([...jobs.map(job => job.outputPath), options.css, manifestPath].filter(Boolean).map(file => path.resolve(file)));
+  const latest = new Map(results.map(result => [path.resolve(result.input), result]));
+  
+  // Later runs print one summary line per font instead of CSS for each
+  context.batch = true;
+  
+  watchFonts(inputs, async ({ changed, removed }) => {
+    removed.forEach(key => {
+      console.log(`🗑  Removed: ${latest.get(key).input}`);
+      latest.delete(key);
+    });
     
-    // Look for 'hhea' tag in the font directory (starts at offset 12)
-    for (let i = 12; i < buffer.length - 16; i += 16) {
-      if (buffer.subarray(i, i + 4).equals(hheaTag)) {
-        // Found hhea table directory entry
-        // Offset is at bytes 8-11 of the directory entry (big-endian)
-        hheaOffset = buffer.readUInt32BE(i + 8);
-        break;
+    for (const job of changed.map(entry => modifyJob(entry, jobOptions(options)))) {
+      const key = path.resolve(job.inputPath);
+      const previous = latest.get(key);
+      written.add(path.resolve(job.outputPath));
+      const result = await modifyFont(context, job);
+      latest.set(key, result);
+      if (result.applied) {
+        const before = previous?.applied ? resultingMetrics(previous.original, previous.applied) : result.original;
+        printMetricChange(`${job.inputPath} → ${job.outputPath}`, before, resultingMetrics(result.original, result.applied));
+      } else if (result.faces) {
+        console.log(`🔄 ${job.inputPath} → ${job.outputPath}: ${result.faces.length} face(s) reprocessed`);
       }
     }
     
-    if (hheaOffset === -1) {
-      console.warn('⚠ Could not find hhea table for binary patching');
-      return patchedBuffer;
+    const current = [...latest.values()];
+    if (options.css) {
+      await writeCss(context, current);
     }
-    
-    if (options.verbose) {
-      console.log(`Found hhea table at offset: 0x${hheaOffset.toString(16)}`);
+    if (manifestPath) {
+      writeManifest(manifestPath, manifestSettings(options), current);
     }
+  }, {
+    ignore: file => written.has(file),
+    onError: error => console.error(`✗ Error: ${error.message}`)
+  });
+  
+  console.log(`\n👀 Watching ${inputs.join(', ')} for changes (Ctrl+C to stop)`);
+}
+
+// One line per font for --watch: only the tables whose values changed
+function printMetricChange(label, before, after) {
+  const tables = [
+    ['hhea', metrics => metrics.hhea && [metrics.hhea.ascender, metrics.hhea.descender, metrics.hhea.lineGap]],
+    ['typo', metrics => metrics.os2 && [metrics.os2.typoAscender, metrics.os2.typoDescender, metrics.os2.typoLineGap]],
+    ['win', metrics => metrics.os2 && [metrics.os2.winAscent, metrics.os2.winDescent]]
+  ];
+  const changes = tables
+    .map(([name, values]) => [name, values(before)?.join(' / '), values(after)?.join(' / ')])
+    .filter(([, old, now]) => old !== now)
+    .map(([name, old, now]) => `${name} ${old} → ${now}`);
+  console.log(`🔄 ${label}`);
+  console.log(`   ${changes.length > 0 ? changes.join('; ') : 'metrics unchanged'}`);
+}
+
+// Option combinations the main command refuses before any font is read;
+// returns the problem, or null
+function optionProblem(options, command, fileCount) {
+  const fromCommandLine = name => command.getOptionValueSource(name) === 'cli';
+  
+  if ((options.json || options.table) && !options.list) {
+    return '--json and --table can only be used with --list';
+  }
+  if (options.fallback && !fs.existsSync(options.fallback)) {
+    return `Fallback font not found: ${options.fallback}`;
+  }
+  if (options.center && ['ascent', 'descent', 'lineGap'].some(fromCommandLine)) {
+    return '--center computes ascent, descent and line gap; it can\'t be combined with -a, -d or -l';
+  }
+  if (options.familyName && options.nameSuffix) {
+    return 'Use either --family-name or --name-suffix, not both';
+  }
+  
+  // One fixed name for several fonts would make them collide with each other
+  const fixedNames = ['fullName', 'postscriptName', 'uniqueId'].filter(name => options[name] !== undefined);
+  if (fixedNames.length > 0 && fileCount > 1) {
+    return '--full-name, --postscript-name and --unique-id can only be used with a single input file';
+  }
+  
+  if (options.restore) {
+    const metricOptions = [
+      'ascent', 'descent', 'lineGap', 'hhea', 'typo', 'win', 'useTypoMetrics', 'safeWinMetrics', 'center', 'mvar',
+      'familyName', 'nameSuffix', 'styleName', 'fullName', 'postscriptName', 'uniqueId'
+    ];
+    if (options.list || metricOptions.some(fromCommandLine)) {
+      return '--restore puts back the recorded metrics; it can\'t be combined with --list, metric or name options';
+    }
+  }
+  
+  if (options.watch && (options.list || options.restore)) {
+    return '--watch reprocesses changed fonts; it can\'t be combined with --list or --restore';
+  }
+  if (options.lineHeight !== undefined && !options.center) {
+    return '--line-height can only be used with --center';
+  }
+  if (options.lineHeight !== undefined && !(options.lineHeight > 0)) {
+    return '--line-height must be a positive number, e.g. 1.2';
+  }
+  return null;
+}
+
+// `font-metrics diff <before> <after>`
+async function runDiff(beforePath, afterPath, diffOptions) {
+  requireFiles([beforePath, afterPath]);
+  const diff = await diffFonts(fs.readFileSync(beforePath), fs.readFileSync(afterPath));
+  
+  if (diffOptions.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    const name = (file, format) => `${path.basename(file)} (${describeFormat(format)})`;
+    console.log(`📊 Comparing ${name(beforePath, diff.formats.before)} → ${name(afterPath, diff.formats.after)}`);
     
-    // hhea table structure (all values are signed 16-bit big-endian):
-    // 0x00: version (4 bytes)
-    // 0x04: ascender (2 bytes) ← PATCH THIS
-    // 0x06: descender (2 bytes) ← PATCH THIS  
-    // 0x08: lineGap (2 bytes) ← PATCH THIS
-    // ... other fields follow
-    
-    // Patch ascender at offset + 4
-    patchedBuffer.writeInt16BE(ascent, hheaOffset + 4);
-    
-    // Patch descender at offset + 6
-    patchedBuffer.writeInt16BE(descent, hheaOffset + 6);
+    console.log('\nMetric changes:');
+    if (diff.metrics.length === 0) {
+      console.log('  none');
+    }
+    diff.metrics.forEach(({ metric, before, after }) => console.log(`  ${metric}: ${before ?? '-'} → ${after ?? '-'}`));
     
-    // Patch lineGap at offset + 8
-    patchedBuffer.writeInt16BE(lineGap, hheaOffset + 8);
+    const { added, removed, changed, unchanged } = diff.tables;
+    console.log('\nTables:');
+    changed.forEach(({ tag, before, after }) =>
+      console.log(`  ~ ${tag} changed${before === after ? '' : ` (${before} → ${after} bytes)`}`));
+    added.forEach(tag => console.log(`  + ${tag} added`));
+    removed.forEach(tag => console.log(`  - ${tag} dropped`));
+    console.log(`  = ${unchanged} table(s) unchanged`);
     
-    if (options.verbose) {
-      console.log(`✓ Binary patched hhea table:`);
-      console.log(`  Ascent: ${ascent} at offset 0x${(hheaOffset + 4).toString(16)}`);
-      console.log(`  Descent: ${descent} at offset 0x${(hheaOffset + 6).toString(16)}`);
-      console.log(`  LineGap: ${lineGap} at offset 0x${(hheaOffset + 8).toString(16)}`);
+    console.log('\nChecksums:');
+    for (const [file, problems] of [[beforePath, diff.checksums.before], [afterPath, diff.checksums.after]]) {
+      if (problems.length === 0) {
+        console.log(`  ✓ ${path.basename(file)}: valid`);
+      }
+      problems.forEach(problem => console.log(`  ✗ ${path.basename(file)}: ${problem}`));
     }
-    
-    return patchedBuffer;
-  } catch (error) {
-    console.warn(`⚠ Binary patching failed: ${error.message}`);
-    return buffer; // Return original buffer if patching fails
+  }
+  
+  // CI should fail when the rewritten font is inconsistent
+  if (diff.checksums.after.length > 0) {
+    process.exit(1);
   }
 }
 
-// Run the script
-modifyFont().catch(error => {
-  console.error('Unexpected error:', error);
-  process.exit(1);
-});
+// `font-metrics verify <font> --expect metric=value,...`
+async function runVerify(fontPath, verifyOptions) {
+  requireFiles([fontPath]);
+  const result = await verifyFont(fs.readFileSync(fontPath), verifyOptions.expect);
+  
+  if (verifyOptions.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`🔍 Verifying ${fontPath}`);
+    result.checks.forEach(({ metric, expected, actual, ok }) =>
+      console.log(ok ? `  ✓ ${metric} = ${actual}` : `  ✗ ${metric} is ${actual}, expected ${expected}`));
+    if (result.checksums.length === 0) {
+      console.log('  ✓ Table checksums and checkSumAdjustment are valid');
+    }
+    result.checksums.forEach(problem => console.log(`  ✗ ${problem}`));
+    console.log(result.passed ? '\n✓ Verification passed' : '\n✗ Verification failed');
+  }
+  
+  if (!result.passed) {
+    process.exit(1);
+  }
+}
 
-/**
- * Alternative implementation using fontkit (more robust for reading metrics)
- * Uncomment this section if you prefer fontkit over opentype.js
- */
+// `font-metrics build [--config font-metrics.config.json] [--watch]`
+async function runBuild(buildOptions) {
+  requireFiles([buildOptions.config]);
+  const result = await buildProject(loadConfig(buildOptions.config), {
+    force: buildOptions.force,
+    concurrency: buildOptions.concurrency
+  });
+  printBuild(result);
+  const { fonts } = result;
+  
+  if (!buildOptions.watch) {
+    if (fonts.some(font => font.status === 'failed')) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  // Fonts built so far, to show old → new metrics when one is rebuilt
+  const built = new Map(fonts.filter(font => font.applied).map(font => [font.input, font]));
+  watchProject(buildOptions.config, rebuilt => {
+    printBuild(rebuilt, { changesOnly: true });
+    for (const font of rebuilt.fonts.filter(font => font.applied)) {
+      const previous = built.get(font.input);
+      const before = previous ? resultingMetrics(previous.original, previous.applied) : font.original;
+      printMetricChange(`${font.input} → ${font.outputs.join(', ')}`, before, resultingMetrics(font.original, font.applied));
+      built.set(font.input, font);
+    }
+    if (rebuilt.css && rebuilt.fonts.some(font => font.status !== 'cached')) {
+      console.log(`📝 CSS written to: ${rebuilt.css}`);
+    }
+  }, {
+    concurrency: buildOptions.concurrency,
+    onReload: () => console.log(`📝 Reloaded ${buildOptions.config}`),
+    onError: error => console.error(`✗ Error: ${error.message}`)
+  });
+  console.log(`\n👀 Watching ${buildOptions.config} and its inputs for changes (Ctrl+C to stop)`);
+}
+
+// One build, printed per font; with `changesOnly` (watch reruns) only
+// failures and warnings are printed, and the caller summarizes the rest
+function printBuild(result, { changesOnly = false } = {}) {
+  const { fonts, css, missing } = result;
+  
+  missing.forEach(input => console.warn(`⚠ Warning: No fonts matched ${input}`));
+  for (const font of fonts) {
+    if (font.status === 'failed') {
+      console.error(`✗ ${font.input}: ${font.error}`);
+      continue;
+    }
+    font.warnings.forEach(warning => console.warn(`⚠ Warning: ${warning}: ${font.input}`));
+    if (!changesOnly) {
+      const mark = font.status === 'cached' ? '⏭ Up to date' : '✓ Built';
+      console.log(`${mark}: ${font.input} → ${font.outputs.join(', ')}`);
+    }
+  }
+  
+  if (changesOnly) {
+    return;
+  }
+  
+  const count = status => fonts.filter(font => font.status === status).length;
+  if (css) {
+    console.log(`📝 CSS written to: ${css}`);
+  }
+  console.log(`\n📊 ${count('built')} built, ${count('cached')} up to date, ${count('failed')} failed`);
+}
 
-/*
-const fontkit = require('fontkit');
+// `font-metrics harmonize <inputs...> [--strategy union|max|master]`
+async function runHarmonize(inputs, options, command) {
+  const context = { options, batch: true };
+  
+  if (options.master && options.strategy !== 'master') {
+    if (command.getOptionValueSource('strategy') === 'cli') {
+      console.error('✗ Error: --master can only be used with --strategy master');
+      process.exit(1);
+    }
+    options.strategy = 'master';
+  }
+  if (options.strategy === 'master' && !options.master) {
+    console.error('✗ Error: --strategy master needs --master <file>');
+    process.exit(1);
+  }
+  
+  const jobs = modifyJobs(inputs, { outDir: options.outDir });
+  const proposal = await proposeHarmonizedMetrics(
+    jobs.map(({ inputPath }) => ({ name: inputPath, buffer: fs.readFileSync(inputPath) })),
+    { strategy: options.strategy, master: options.master }
+  );
+  
+  if (options.json) {
+    console.log(JSON.stringify(proposal, null, 2));
+  } else {
+    const source = {
+      union: 'union of glyph extents',
+      max: 'largest current metrics',
+      master: `copied from ${options.master}`
+    }[proposal.strategy];
+    const { ascent, descent, lineGap } = proposal.em;
+    console.log(`📐 Shared metrics (${source}): ascent ${ascent}em, descent ${descent}em, line gap ${lineGap}em`);
+    const change = (before, after) => (before === after ? String(after) : `${before} → ${after}`);
+    console.log(formatTable(
+      ['File', 'UPM', 'Ascent', 'Descent', 'Line Gap'],
+      proposal.fonts.map(({ name, unitsPerEm, current, proposed }) => [
+        path.basename(name),
+        String(unitsPerEm),
+        change(current.ascent, proposed.ascent),
+        change(current.descent, proposed.descent),
+        change(current.lineGap, proposed.lineGap)
+      ])
+    ));
+  }
+  
+  if (options.dryRun) {
+    return;
+  }
+  
+  let failed = 0;
+  for (const [i, { inputPath, outputPath }] of jobs.entries()) {
+    try {
+      const result = await modifyFontFile(inputPath, outputPath, {
+        ...harmonizedSettings(proposal.fonts[i]),
+        useTypoMetrics: options.useTypoMetrics,
+        safeWinMetrics: options.safeWinMetrics
+      }, {
+        clipCheck: options.clipCheck,
+        provenance: options.provenance
+      });
+      reportModification(context, inputPath, result.format, result.modified);
+      printSaved(context, outputPath, result.modified.verification);
+    } catch (error) {
+      failed++;
+      console.error(`✗ Error processing font ${inputPath}: ${error.message}`);
+      if (error instanceof GlyphClippingError) {
+        printClippedGlyphs(context, error.glyphs);
+      }
+    }
+  }
+  
+  console.log(`\n📊 Harmonized ${jobs.length} fonts: ${jobs.length - failed} succeeded, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
 
-async function modifyFontWithFontkit() {
-  try {
-    // Read font with fontkit (better for reading)
-    const font = await fontkit.open(inputPath);
-    
-    if (options.verbose || options.list) {
-      console.log(`✓ Loaded font: ${inputPath}`);
-      console.log(`  Font family: ${font.familyName}`);
-      console.log(`  Units per em: ${font.unitsPerEm}`);
-      console.log('\nCurrent metrics:');
-      console.log(`  OS/2 Ascender: ${font['OS/2']?.typoAscender}`);
-      console.log(`  OS/2 Descender: ${font['OS/2']?.typoDescender}`);
-      console.log(`  OS/2 Line Gap: ${font['OS/2']?.typoLineGap}`);
-      console.log(`  hhea Ascent: ${font.hhea?.ascent}`);
-      console.log(`  hhea Descent: ${font.hhea?.descent}`);
-      console.log(`  hhea Line Gap: ${font.hhea?.lineGap}`);
+// `font-metrics bake <stylesheets...> [--font-dir dir] [--in-place]`
+async function runBake(stylesheets, bakeOptions) {
+  const context = { options: bakeOptions, batch: true };
+  requireFiles(stylesheets);
+  if (bakeOptions.inPlace && bakeOptions.cssDir) {
+    console.error('✗ Error: Use either --in-place or --css-dir, not both');
+    process.exit(1);
+  }
+  
+  const results = await bakeStylesheets(stylesheets, {
+    fontDir: bakeOptions.fontDir,
+    cssDir: bakeOptions.cssDir,
+    inPlace: bakeOptions.inPlace,
+    dryRun: bakeOptions.dryRun,
+    settings: { safeWinMetrics: bakeOptions.safeWinMetrics },
+    clipCheck: bakeOptions.clipCheck,
+    provenance: bakeOptions.provenance
+  });
+  
+  for (const { cssPath, outputCssPath, baked, written, error } of results) {
+    if (error) {
+      console.error(`✗ Error baking ${cssPath}: ${error.message}`);
+      if (error instanceof GlyphClippingError) {
+        printClippedGlyphs(context, error.glyphs);
+      }
+      continue;
     }
     
-    if (options.list) {
-      return;
+    console.log(`🔍 ${cssPath}: ${baked.fonts.length} font(s) to patch`);
+    baked.skipped.forEach(({ rule, reason }) => console.warn(`⚠ Warning: Skipped @font-face rule ${rule}: ${reason}`));
+    for (const font of baked.fonts) {
+      const { ascent, descent, lineGap } = font.settings;
+      console.log(`  ${font.input} → ${font.output} (ascent ${ascent}, descent ${descent}, line gap ${lineGap})`);
+      reportModification(context, font.input, font.modified.format, font.modified);
+    }
+    if (written) {
+      console.log(`✓ CSS written to: ${outputCssPath}`);
     }
-    
-    // Note: fontkit is read-only, so we need to use opentype.js or another tool
-    // to actually modify and save the font. This is just for better reading.
-    console.log('⚠ Note: fontkit is read-only. Use opentype.js implementation above.');
-    
-  } catch (error) {
-    console.error(`✗ Error: ${error.message}`);
   }
+  
+  if (bakeOptions.dryRun) {
+    console.log('\nDry run: nothing was written');
+  }
+  if (results.some(result => result.error)) {
+    process.exit(1);
+  }
+}
+
+// `font-metrics proof <before> <after> [-o proof.html]`
+async function runProof(beforePath, afterPath, proofOptions) {
+  requireFiles([beforePath, afterPath]);
+  const outputPath = await writeProof(beforePath, afterPath, {
+    output: proofOptions.output,
+    text: proofOptions.text,
+    sizes: proofOptions.sizes
+  });
+  console.log(`📝 Proof written to: ${outputPath}`);
+  console.log('   Open it in each browser you support; guides follow the metrics that browser uses');
+}
+
+// `font-metrics serve [--port 4400]`: runs until interrupted
+async function runServe(serveOptions) {
+  // Listening on a host name means the page will be opened under it
+  const server = createMetricsServer({ hosts: [serveOptions.host, ...serveOptions.allowHost] });
+  server.on('error', error => {
+    console.error(`✗ Error: Can't listen on ${serveOptions.host}:${serveOptions.port}: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(serveOptions.port, serveOptions.host, () => {
+    const { port } = server.address();
+    const host = serveOptions.host === '0.0.0.0' ? 'localhost' : serveOptions.host;
+    console.log(`🌐 font-metrics is running at http://${host}:${port}/`);
+    console.log('   Uploaded fonts stay in memory only; press Ctrl+C to stop');
+  });
+}
+
+function requireFiles(paths) {
+  const missing = paths.filter(file => !fs.existsSync(file));
+  if (missing.length > 0) {
+    throw new InvalidOptionError(`Input file not found: ${missing.join(', ')}`);
+  }
+}
+
+function fontFamilyName(fontPath) {
+  return path.basename(fontPath, path.extname(fontPath));
+}
+
+function printCSSUsage(context, outputPath, sfnt, fallback = null) {
+  const { options } = context;
+  const face = fileFontFace(outputPath, sfnt);
+  
+  console.log('\n📝 CSS Usage:');
+  console.log('```css');
+  if (!options.cssOverrides) {
+    console.log('/* Metrics are baked into the font file; no ascent-override or descent-override needed */');
+  }
+  process.stdout.write(generateStylesheet([face], { overrides: options.cssOverrides }));
+  
+  if (fallback) {
+    console.log('');
+    console.log(`/* ${fallback.localName} adjusted to take up the same space while '${face.family}' loads */`);
+    console.log(fallbackFontFace(`${face.family} Fallback`, fallback));
+    console.log('');
+    console.log('body {');
+    console.log(`  font-family: '${face.family}', '${face.family} Fallback', sans-serif;`);
+    console.log('}');
+  }
+  console.log('```');
+}
+
+// Write --css with a rule for every font that was saved
+async function writeCss(context, results) {
+  const { options } = context;
+  // Extracted collection faces are separate fonts; whole collections can't be used
+  const outputs = results.flatMap(result => (result.faces ? result.faces.map(face => face.output) : [result.output]));
+  if (results.some(result => result.faces && result.output)) {
+    console.warn('⚠ Warning: Font collections can\'t be referenced from CSS and were left out of the stylesheet');
+  }
+  
+  await writeStylesheet(outputs.filter(Boolean), options.css, {
+    overrides: options.cssOverrides,
+    header: 'Generated by font-metrics'
+  });
+  console.log(`📝 CSS written to: ${options.css}`);
+}
+
+// Run the script when executed, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  program.parseAsync().catch(error => {
+    if (error instanceof FontMetricsError) {
+      console.error(`✗ Error: ${error.message}`);
+      process.exit(1);
+    }
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
 }
-*/
@@ -0,0 +1,96 @@
+/**
+ * Font Metrics library entry point
+ * Everything the CLIs do is available here for build scripts:
+ *
+ *   import { readMetrics, setMetrics, compressWoff2 } from 'font-metrics-editor';
+ *
+ *   const { buffer } = await setMetrics(fs.readFileSync('font.woff2'), { ascent: 90, descent: 22 });
+ *   fs.writeFileSync('font-fixed.woff2', buffer);
+ */
+
+export {
+  readMetrics,
+  setMetrics,
+  restoreMetrics,
+  computeMetricChanges,
+  computeLineHeights,
+  resolveMetricValue,
+  parseTableSpec,
+  computeCenteredMetrics,
+  resultingMetrics,
+  CENTER_MODES,
+  USE_TYPO_METRICS
+} from './lib/metrics.js';
+export {
+  detectFormat,
+  describeFormat,
+  formatFromPath,
+  toSfnt,
+  fromSfnt,
+  compressWoff2,
+  resolveWoff2Encoder,
+  WOFF2_ENCODERS
+} from './lib/format.js';
+export { encodeWoff, decodeWoff } from './lib/woff.js';
+export { measureGlyphs, findClippedGlyphs, describeGlyph, measureCharacterHeight } from './lib/glyphs.js';
+export { parseUnicodeRanges, NAMED_RANGES } from './lib/unicode.js';
+export { subsetFont, fontCodePoints, collectCodePoints } from './lib/subset.js';
+export { computeFallbackOverrides, measureAverageWidth } from './lib/fallback.js';
+export {
+  fallbackFontFace,
+  fontFace,
+  cssFontFormat,
+  fontFaceDescriptors,
+  formatUnicodeRange,
+  sortSources,
+  generateStylesheet,
+  fileFontFace,
+  writeStylesheet
+} from './lib/css.js';
+export { loadConfig, normalizeConfig, buildProject, watchProject, CONFIG_FILE } from './lib/build.js';
+export { proposeHarmonizedMetrics, harmonizedSettings, HARMONIZE_STRATEGIES } from './lib/harmonize.js';
+export { generateProof, writeProof, DEFAULT_PROOF_TEXT, DEFAULT_PROOF_SIZES } from './lib/proof.js';
+export { bakeStylesheet, bakeStylesheets, parseFontFaces, parseSrc, inspectFontFace, bakedSettings, OVERRIDE_DESCRIPTORS } from './lib/bake.js';
+export { patchFontAsset, patchFontFace, transformFontFaces, relativeUrl, DEFAULT_CACHE_DIR } from './lib/assets.js';
+export { fontMetricsPostcss } from './lib/postcss.js';
+export { fontMetricsVite } from './lib/vite.js';
+export { createMetricsServer } from './lib/server.js';
+export { watchPaths, watchFonts } from './lib/watch.js';
+export { readProvenance, recordProvenance, restoreProvenance, PROVENANCE_TAG } from './lib/provenance.js';
+export { readTableDirectory, readVerticalMetrics, patchVerticalMetrics, validateChecksums, replaceTable } from './lib/sfnt.js';
+export {
+  isCollection,
+  readCollection,
+  readFaces,
+  extractFace,
+  buildCollection,
+  selectFaces,
+  readCollectionMetrics,
+  setCollectionMetrics
+} from './lib/collection.js';
+export { diffFonts, verifyFont, verifyOutput, parseExpectations, flattenMetrics } from './lib/diff.js';
+export { compressFontFile, compressedStylesheet, compressedOutputPath } from './lib/compress.js';
+export {
+  modifyJobs,
+  modifyJob,
+  modifyFontFile,
+  manifestEntry,
+  failedEntry,
+  saveModifiedFont,
+  saveRestoredFont,
+  saveModifiedCollection,
+  faceOutputPath,
+  writeManifest
+} from './lib/modify.js';
+export { readVariations, updateMvar, MVAR_FIELDS, MVAR_MODES } from './lib/variations.js';
+export { readNames, renameFont, familyName, NAME_IDS } from './lib/names.js';
+export {
+  FontMetricsError,
+  UnsupportedFormatError,
+  InvalidFontError,
+  MissingTableError,
+  MetricRangeError,
+  InvalidOptionError,
+  FontWriteError,
+  GlyphClippingError
+} from './lib/errors.js';
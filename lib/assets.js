@@ -0,0 +1,141 @@
+/**
+ * Patched font assets for bundler plugins
+ * The PostCSS and Vite plugins share this: each @font-face rule's font is
+ * patched with the rule's override descriptors (or the plugin's metrics),
+ * written as WOFF2 to a cache directory under a content hash, and the rule
+ * is pointed at that file. A font whose bytes and settings haven't changed
+ * is reused from the cache instead of being patched again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import MagicString from 'magic-string';
+import { setMetrics } from './metrics.js';
+import { fromSfnt } from './format.js';
+import { parseFontFaces, inspectFontFace, bakedSettings } from './bake.js';
+import { cssString } from './css.js';
+
+export const DEFAULT_CACHE_DIR = path.join('node_modules', '.cache', 'font-metrics');
+
+// Bump when output for the same input and settings would change
+const ASSET_VERSION = 2;
+
+/**
+ * Patch a font file and write it to the cache as WOFF2
+ * The output is named after the input plus a hash of the input bytes,
+ * settings and options, e.g. Lato-Regular.3f9a1c2e.woff2. Warnings from
+ * the first run are kept next to it so cache hits report them too.
+ *
+ *   { input, output, hash, cached, warnings }
+ */
+export async function patchFontAsset(file, settings, { cacheDir = DEFAULT_CACHE_DIR, clipCheck = 'warn', checkChars = null, encoder = 'auto' } = {}) {
+  const input = fs.readFileSync(file);
+  const hash = crypto.createHash('sha256')
+    .update(input)
+    .update(JSON.stringify({ ASSET_VERSION, settings, clipCheck, checkChars, encoder }))
+    .digest('hex');
+  const output = path.join(cacheDir, `${path.basename(file, path.extname(file))}.${hash.slice(0, 8)}.woff2`);
+  const warningsPath = `${output}.json`;
+
+  if (fs.existsSync(output) && fs.existsSync(warningsPath)) {
+    const { warnings } = JSON.parse(fs.readFileSync(warningsPath, 'utf8'));
+    return { input: file, output, hash, cached: true, warnings };
+  }
+
+  const modified = await setMetrics(input, settings, { format: 'sfnt', clipCheck, checkChars });
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(output, await fromSfnt(modified.sfnt, 'woff2', { encoder }));
+  fs.writeFileSync(warningsPath, JSON.stringify({ warnings: modified.warnings }) + '\n');
+  return { input: file, output, hash, cached: false, warnings: modified.warnings };
+}
+
+/**
+ * Patch the font behind one @font-face rule
+ * `declarations` are { name, value } pairs with lowercase names. `metrics`
+ * is setMetrics() settings for every rule, or a function of
+ * { family, file } returning settings (or null) per rule; the rule's own
+ * override descriptors win over it. `url(file)` turns the patched file's
+ * path into the URL the rule should load. Returns null when there is
+ * nothing to patch, { skip: reason } when the rule can't be patched, or
+ *
+ *   { src: "url('…') format('woff2')", remove: ['ascent-override'], asset }
+ *
+ * where `remove` lists the descriptors the patched font makes redundant and
+ * `asset` is the patchFontAsset() result. The first font in src is used;
+ * the others are assumed to be the same font in other formats.
+ */
+export async function patchFontFace(declarations, { cssPath, url, metrics = null, ...options }) {
+  const family = declarations.find(declaration => declaration.name === 'font-family')?.value.replace(/^['"]|['"]$/g, '') ?? null;
+  const inspected = inspectFontFace(declarations, cssPath, { anyRule: Boolean(metrics) });
+  if (!inspected || inspected.skip) {
+    return inspected;
+  }
+
+  const { overrides, percentages, sources } = inspected;
+  const file = sources[0].file;
+  const defaults = (typeof metrics === 'function' ? metrics({ family, file }) : metrics) ?? {};
+  if (overrides.length === 0 && Object.keys(defaults).length === 0) {
+    return null;
+  }
+
+  const settings = overrides.length > 0 ? await bakedSettings(fs.readFileSync(file), percentages, defaults) : defaults;
+  const asset = await patchFontAsset(file, settings, options);
+  return {
+    src: `url(${cssString(url(asset.output))}) format('woff2')`,
+    remove: overrides.map(declaration => declaration.name),
+    asset
+  };
+}
+
+/**
+ * Patch every @font-face rule in a stylesheet
+ * Text-based, for plugins that see CSS as a string. Options are as for
+ * patchFontFace(). Rules that can't be patched are left as they are and
+ * reported in `warnings`. `map` is a source map from the output back to
+ * `css` (as read from `options.cssPath`), for the bundler to chain.
+ *
+ *   { css, map, assets: [patchFontAsset() result], warnings: ['…'] }
+ */
+export async function transformFontFaces(css, options) {
+  const output = new MagicString(css);
+  const assets = [];
+  const warnings = [];
+
+  for (const [index, face] of parseFontFaces(css).entries()) {
+    const patched = await patchFontFace(face.declarations, options);
+    if (!patched) {
+      continue;
+    }
+    if (patched.skip) {
+      warnings.push(`@font-face rule ${index + 1} not patched: ${patched.skip}`);
+      continue;
+    }
+
+    assets.push(patched.asset);
+    warnings.push(...patched.asset.warnings.map(warning => `${path.basename(patched.asset.input)}: ${warning}`));
+    for (const declaration of face.declarations) {
+      if (declaration.name === 'src') {
+        const start = declaration.start + declaration.valueStart;
+        output.overwrite(start, start + declaration.value.length, patched.src);
+      } else if (patched.remove.includes(declaration.name)) {
+        output.remove(declaration.start, declaration.end);
+      }
+    }
+  }
+
+  return {
+    css: output.toString(),
+    map: output.generateMap({ source: options.cssPath, includeContent: true, hires: 'boundary' }),
+    assets,
+    warnings
+  };
+}
+
+/**
+ * A URL for `file` relative to the directory `from`, with forward slashes
+ */
+export function relativeUrl(from, file) {
+  const relative = path.relative(from, file).split(path.sep).join('/');
+  return encodeURI(relative.startsWith('.') ? relative : `./${relative}`);
+}
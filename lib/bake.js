@@ -0,0 +1,331 @@
+/**
+ * Baking CSS metric overrides into fonts
+ * Finds @font-face rules that use ascent-override, descent-override or
+ * line-gap-override, patches the local font files they load with exactly
+ * those metrics, and rewrites the rules to load the patched files without
+ * the overrides (which Safari ignores anyway).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { setMetrics, readMetrics } from './metrics.js';
+import { InvalidOptionError } from './errors.js';
+
+export const OVERRIDE_DESCRIPTORS = {
+  'ascent-override': 'ascent',
+  'descent-override': 'descent',
+  'line-gap-override': 'lineGap'
+};
+
+/**
+ * Find the @font-face rules in a stylesheet, including ones nested in
+ * @media or @supports
+ * Comments and strings are skipped. Positions are offsets into `css`, so
+ * callers can rewrite the text in place.
+ *
+ *   [{ start, end, declarations: [{ name: 'src', value: "url('a.woff2') format('woff2')", start, end, valueStart }] }]
+ *
+ * A declaration's start/end cover its leading whitespace and trailing
+ * semicolon, so removing that range leaves the rule tidy; `valueStart` is
+ * where the value begins, relative to `start`.
+ */
+export function parseFontFaces(css) {
+  const masked = maskCss(css);
+  const faces = [];
+  const pattern = /@font-face\s*\{/gi;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    const open = match.index + match[0].length - 1;
+    const close = masked.indexOf('}', open);
+    if (close === -1) {
+      throw new InvalidOptionError(`Unclosed @font-face rule at offset ${match.index}`);
+    }
+    faces.push({ start: match.index, end: close + 1, declarations: parseDeclarations(css, masked, open + 1, close) });
+    pattern.lastIndex = close + 1;
+  }
+  return faces;
+}
+
+/**
+ * Split a src descriptor into its sources
+ *   "url('a.woff2') format('woff2'), local(Arial)" →
+ *   [{ url: 'a.woff2', format: 'woff2', start, end }, { local: 'Arial' }]
+ * url start/end are the offsets of the URL itself within `value`.
+ */
+export function parseSrc(value) {
+  const sources = [];
+  const pattern = /url\(\s*(?:'([^']*)'|"([^"]*)"|([^)\s]*))\s*\)(?:\s*format\(\s*['"]?([^'")]*)['"]?\s*\))?|local\(\s*['"]?([^'")]*)['"]?\s*\)/gi;
+  let match;
+  while ((match = pattern.exec(value))) {
+    if (match[5] !== undefined) {
+      sources.push({ local: match[5] });
+      continue;
+    }
+    const url = match[1] ?? match[2] ?? match[3];
+    const start = match.index + match[0].indexOf(url, 4);
+    sources.push({ url, format: match[4] ?? null, start, end: start + url.length });
+  }
+  return sources;
+}
+
+/**
+ * Bake the overrides of every @font-face rule in a stylesheet
+ * Each local font behind a rule with overrides is patched with setMetrics():
+ * overridden values become ascent/descent/line gap percentages, and any the
+ * rule leaves out keep the value browsers use now (see computeLineHeights).
+ *
+ * `fontOutputPath(file)` picks where a patched font goes and `outputCssPath`
+ * is where the rewritten CSS will live (URLs are made relative to it). Two
+ * fonts that would be written to the same path are an error.
+ * `settings` (e.g. { safeWinMetrics: true }) are added to the baked metrics
+ * and other `options` go to setMetrics(). Nothing is written; the result holds
+ * the new CSS and the patched font buffers:
+ *
+ *   {
+ *     css,
+ *     fonts: [{ input, output, settings, modified }],
+ *     skipped: [{ rule, reason }]
+ *   }
+ *
+ * `rule` is the 1-based position of the @font-face rule in the stylesheet.
+ */
+export async function bakeStylesheet(css, { cssPath, outputCssPath = cssPath, fontOutputPath, settings: extra = {}, ...options }) {
+  const fonts = new Map();
+  const skipped = [];
+  const edits = [];
+
+  for (const [index, face] of parseFontFaces(css).entries()) {
+    const rule = index + 1;
+    const inspected = inspectFontFace(face.declarations, cssPath);
+    if (!inspected) {
+      continue;
+    }
+    if (inspected.skip) {
+      skipped.push({ rule, reason: inspected.skip });
+      continue;
+    }
+    const { overrides, percentages, src, sources } = inspected;
+
+    const urls = [];
+    let conflict = null;
+    for (const source of sources) {
+      const buffer = fs.readFileSync(source.file);
+      const settings = { ...extra, ...await bakedSettings(buffer, percentages) };
+      const existing = fonts.get(source.file);
+      if (existing && JSON.stringify(existing.settings) !== JSON.stringify(settings)) {
+        conflict = `${source.url} is also used by a rule with different overrides`;
+        break;
+      }
+      if (!existing) {
+        const output = fontOutputPath(source.file);
+        const taken = [...fonts.values()].find(font => path.resolve(font.output) === path.resolve(output));
+        if (taken) {
+          throw new InvalidOptionError(`${taken.input} and ${source.file} would both be written to ${output}`);
+        }
+        fonts.set(source.file, {
+          input: source.file,
+          output,
+          settings,
+          modified: await setMetrics(buffer, settings, options)
+        });
+      }
+      const relative = path.relative(path.dirname(outputCssPath), fonts.get(source.file).output);
+      urls.push({ ...source, url: encodeURI(relative.split(path.sep).join('/')) });
+    }
+    if (conflict) {
+      skipped.push({ rule, reason: conflict });
+      continue;
+    }
+
+    urls.forEach(source => edits.push({ start: src.start + src.valueStart + source.start, end: src.start + src.valueStart + source.end, text: source.url }));
+    overrides.forEach(declaration => edits.push({ start: declaration.start, end: declaration.end, text: '' }));
+  }
+
+  // Apply from the end so earlier offsets stay valid
+  let output = css;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+  }
+
+  return { css: output, fonts: [...fonts.values()], skipped };
+}
+
+/**
+ * bakeStylesheet() on several stylesheet files, writing the patched fonts
+ * and rewritten CSS
+ * Fonts go into `fontDir` under their own names, or next to the original as
+ * name-fixed.ext; stylesheets go into `cssDir`, over themselves with
+ * `inPlace`, or next to the original as name-fixed.css. `dryRun` writes
+ * nothing. Other options are bakeStylesheet()'s. Returns one entry per
+ * stylesheet, in order:
+ *
+ *   { cssPath, outputCssPath, baked, written, error }
+ *
+ * `baked` is bakeStylesheet()'s result and `written` whether its files were
+ * written. A stylesheet that fails (including one that would write a
+ * different font, or the same font with different metrics, over an earlier
+ * stylesheet's) has `error` set instead and the rest are still baked.
+ */
+export async function bakeStylesheets(stylesheets, { fontDir = null, cssDir = null, inPlace = false, dryRun = false, ...options } = {}) {
+  const fontOutputPath = file => {
+    const parsed = path.parse(file);
+    return fontDir ? path.join(fontDir, parsed.base) : path.join(parsed.dir, `${parsed.name}-fixed${parsed.ext}`);
+  };
+  const cssOutputPath = file => {
+    const parsed = path.parse(file);
+    if (inPlace) {
+      return file;
+    }
+    return cssDir ? path.join(cssDir, parsed.base) : path.join(parsed.dir, `${parsed.name}-fixed${parsed.ext}`);
+  };
+
+  const results = [];
+  // Fonts patched for earlier stylesheets, by output path
+  const written = new Map();
+  for (const cssPath of stylesheets) {
+    const outputCssPath = cssOutputPath(cssPath);
+    const result = { cssPath, outputCssPath, baked: null, written: false, error: null };
+    results.push(result);
+    try {
+      result.baked = await bakeStylesheet(fs.readFileSync(cssPath, 'utf8'), { ...options, cssPath, outputCssPath, fontOutputPath });
+    } catch (error) {
+      result.error = error;
+      continue;
+    }
+
+    // A font shared with an earlier stylesheet must be the same file with the same metrics
+    const { fonts, css } = result.baked;
+    const clash = fonts.find(font => written.has(path.resolve(font.output)) &&
+      JSON.stringify(written.get(path.resolve(font.output))) !== JSON.stringify({ input: font.input, settings: font.settings }));
+    if (clash) {
+      const other = written.get(path.resolve(clash.output));
+      result.error = new InvalidOptionError(other.input === clash.input
+        ? `${clash.input} is also used with different overrides by an earlier stylesheet`
+        : `${other.input} and ${clash.input} would both be written to ${clash.output}`);
+      continue;
+    }
+
+    const fresh = fonts.filter(font => !written.has(path.resolve(font.output)));
+    fresh.forEach(font => written.set(path.resolve(font.output), { input: font.input, settings: font.settings }));
+    if (dryRun || fonts.length === 0) {
+      continue;
+    }
+    for (const font of fresh) {
+      fs.mkdirSync(path.dirname(font.output), { recursive: true });
+      fs.writeFileSync(font.output, font.modified.buffer);
+    }
+    fs.mkdirSync(path.dirname(outputCssPath), { recursive: true });
+    fs.writeFileSync(outputCssPath, css);
+    result.written = true;
+  }
+  return results;
+}
+
+/**
+ * Work out what baking one @font-face rule involves
+ * `declarations` come from parseFontFaces() (or are { name, value } pairs
+ * with lowercase names). Returns null for a rule without overrides (unless
+ * `anyRule` is set), { skip: reason } for one that can't be baked, or
+ *
+ *   { overrides: [declaration], percentages: { ascent: 90 }, src, sources: [{ url, file, format, start, end }] }
+ *
+ * Every src entry must be a local font file: a browser that picks a
+ * local(), data: or remote font would lose the overrides.
+ */
+export function inspectFontFace(declarations, cssPath, { anyRule = false } = {}) {
+  const overrides = declarations.filter(declaration => declaration.name in OVERRIDE_DESCRIPTORS);
+  if (overrides.length === 0 && !anyRule) {
+    return null;
+  }
+  const src = declarations.find(declaration => declaration.name === 'src');
+  const sizeAdjust = declarations.find(declaration => declaration.name === 'size-adjust');
+  if (sizeAdjust && parseFloat(sizeAdjust.value) !== 100) {
+    return { skip: 'size-adjust scales the overrides; only the unadjusted font can be patched' };
+  }
+
+  let percentages;
+  try {
+    percentages = Object.fromEntries(overrides
+      .filter(declaration => declaration.value.toLowerCase() !== 'normal')
+      .map(declaration => [OVERRIDE_DESCRIPTORS[declaration.name], parsePercentage(declaration)]));
+  } catch (error) {
+    return { skip: error.message };
+  }
+
+  const sources = src ? parseSrc(src.value) : [];
+  const unpatchable = sources.filter(source => !source.url || /^(data:|[a-z][a-z0-9+.-]*:\/\/|\/\/)/i.test(source.url));
+  if (sources.length === 0 || unpatchable.length > 0) {
+    return { skip: sources.length === 0 ? 'no font files in src' : 'src also uses local(), data: or remote fonts that can\'t be patched' };
+  }
+  sources.forEach(source => {
+    source.file = path.join(path.dirname(cssPath), decodeURI(source.url.replace(/[?#].*$/, '')));
+  });
+  const missing = sources.filter(source => !fs.existsSync(source.file));
+  if (missing.length > 0) {
+    return { skip: `font not found: ${missing.map(source => source.url).join(', ')}` };
+  }
+
+  return { overrides, percentages, src, sources };
+}
+
+/**
+ * setMetrics() settings that bake a rule's override percentages into a font
+ * Descriptors the rule leaves out come from `defaults` (setMetrics()
+ * settings), or else keep the font's own Chrome/Firefox values.
+ */
+export async function bakedSettings(buffer, percentages, defaults = {}) {
+  const settings = { ...defaults };
+  const missing = Object.values(OVERRIDE_DESCRIPTORS).filter(name => percentages[name] === undefined && defaults[name] === undefined);
+  const box = missing.length > 0 ? (await readMetrics(buffer)).lineHeight.chrome : null;
+  for (const name of Object.values(OVERRIDE_DESCRIPTORS)) {
+    if (percentages[name] !== undefined) {
+      settings[name] = `${percentages[name]}%`;
+    } else if (defaults[name] !== undefined) {
+      continue;
+    } else if (box) {
+      settings[name] = `${name === 'lineGap' ? Math.max(box.lineGap, 0) : box[name]}u`;
+    }
+  }
+  return settings;
+}
+
+function parsePercentage(declaration) {
+  const match = /^(\d+(?:\.\d+)?|\.\d+)%$/.exec(declaration.value);
+  if (!match) {
+    throw new InvalidOptionError(`${declaration.name}: ${declaration.value} is not a percentage`);
+  }
+  return parseFloat(match[1]);
+}
+
+// Offsets of each `name: value` in a rule body; `valueStart` is relative to `start`
+function parseDeclarations(css, masked, from, to) {
+  const declarations = [];
+  let start = from;
+  while (start < to) {
+    const semicolon = masked.indexOf(';', start);
+    const stop = semicolon === -1 || semicolon > to ? to : semicolon;
+    const colon = masked.indexOf(':', start);
+    if (colon !== -1 && colon < stop) {
+      const valueText = css.slice(colon + 1, stop);
+      const value = valueText.trim();
+      const leading = css.slice(start, stop).search(/\S/);
+      declarations.push({
+        name: css.slice(start, colon).trim().toLowerCase(),
+        value,
+        // Leading whitespace is included, trailing whitespace before '}' isn't
+        start,
+        end: stop === to ? start + leading + css.slice(start + leading, stop).trimEnd().length : stop + 1,
+        valueStart: colon + 1 + valueText.indexOf(value) - start
+      });
+    }
+    start = stop + 1;
+  }
+  return declarations;
+}
+
+// Blank out comments and string contents, keeping every offset the same
+function maskCss(css) {
+  return css.replace(/\/\*[\s\S]*?\*\/|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, match => (match.startsWith('/*')
+    ? ' '.repeat(match.length)
+    : match[0] + ' '.repeat(match.length - 2) + match[match.length - 1]));
+}
@@ -0,0 +1,169 @@
+/**
+ * Batch helpers for processing many fonts in one run
+ * Expands files, directories and glob patterns, mirrors input trees into
+ * an output directory and runs jobs with a concurrency limit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { InvalidOptionError } from './errors.js';
+
+export const FONT_EXTENSIONS = ['.ttf', '.otf', '.woff', '.woff2', '.ttc', '.otc'];
+
+/**
+ * Check whether a path contains glob syntax
+ */
+export function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a RegExp matching forward-slash paths
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`.
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += pattern.slice(i, end + 1).replace(/^\[!/, '[^');
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\\]]/g, '\\$&');
+}
+
+/**
+ * Recursively list font files below a directory
+ */
+function walkFonts(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFonts(entryPath));
+    } else if (FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand CLI inputs into a de-duplicated list of font files
+ * Each entry records the root it was found under, so outputs can mirror
+ * the input tree:
+ *   - a file is rooted at its own directory
+ *   - a directory is the root of every font below it
+ *   - a glob is rooted at its longest wildcard-free directory prefix
+ * Inputs that match nothing are returned in `missing`.
+ */
+export function expandInputs(inputs) {
+  const files = [];
+  const missing = [];
+  const seen = new Set();
+
+  const add = (file, root) => {
+    const key = path.resolve(file);
+    if (!seen.has(key)) {
+      seen.add(key);
+      files.push({ file, root });
+    }
+  };
+
+  for (const input of inputs) {
+    if (fs.existsSync(input)) {
+      if (fs.statSync(input).isDirectory()) {
+        walkFonts(input).forEach(file => add(file, input));
+      } else {
+        add(input, path.dirname(input));
+      }
+      continue;
+    }
+
+    if (!isGlob(input)) {
+      missing.push(input);
+      continue;
+    }
+
+    const pattern = input.split(path.sep).join('/');
+    const segments = pattern.split('/');
+    const firstWild = segments.findIndex(isGlob);
+    const root = segments.slice(0, firstWild).join('/') || '.';
+    const matcher = globToRegExp(segments.slice(firstWild).join('/'));
+
+    const matches = fs.existsSync(root)
+      ? walkFonts(root).filter(file => matcher.test(path.relative(root, file).split(path.sep).join('/')))
+      : [];
+
+    if (matches.length === 0) {
+      missing.push(input);
+    }
+    matches.sort().forEach(file => add(file, root));
+  }
+
+  return { files, missing };
+}
+
+/**
+ * Map an input file to the same relative location under an output directory
+ */
+export function mirrorOutputPath(file, root, outDir) {
+  return path.join(outDir, path.relative(root, file));
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * Results are returned in input order. `limit` must be a positive integer.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InvalidOptionError(`Concurrency must be a positive integer, got ${limit}`);
+  }
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,331 @@
+/**
+ * Config-driven build pipeline
+ * Reads font-metrics.config.json, then patches, converts and writes CSS for
+ * every font it lists. Fonts whose input bytes and settings haven't changed
+ * since the last build are skipped.
+ *
+ *   {
+ *     "outDir": "dist/fonts",
+ *     "formats": ["woff2"],
+ *     "css": "dist/fonts.css",
+ *     "cssOverrides": false,
+ *     "metrics": { "ascent": 90, "descent": 22, "lineGap": 0 },
+ *     "families": [
+ *       {
+ *         "family": "Lato",
+ *         "inputs": ["fonts/Lato-*.ttf"],
+ *         "metrics": { "ascent": "92%" },
+ *         "files": { "Lato-Black.ttf": { "metrics": { "ascent": 95 }, "weight": 900 } }
+ *       }
+ *     ]
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { setMetrics, parseTableSpec } from './metrics.js';
+import { fromSfnt, toSfnt } from './format.js';
+import { expandInputs, mapWithConcurrency } from './batch.js';
+import { watchPaths } from './watch.js';
+import { generateStylesheet } from './css.js';
+import { InvalidOptionError } from './errors.js';
+
+export const CONFIG_FILE = 'font-metrics.config.json';
+
+// Bump when output for the same input and settings would change
+const CACHE_VERSION = 2;
+const CACHE_FILE = '.font-metrics-cache.json';
+
+// setMetrics() settings a config (or the serve API) may set
+export const METRIC_KEYS = [
+  'ascent', 'descent', 'lineGap', 'hhea', 'typo', 'win',
+  'useTypoMetrics', 'safeWinMetrics', 'center', 'lineHeight', 'mvar'
+];
+const OUTPUT_FORMATS = ['woff2', 'woff', 'ttf', 'otf'];
+const PROJECT_KEYS = ['outDir', 'formats', 'css', 'cssOverrides', 'metrics', 'clipCheck', 'checkChars', 'provenance', 'families'];
+const FAMILY_KEYS = ['family', 'inputs', 'formats', 'metrics', 'clipCheck', 'checkChars', 'files'];
+const FILE_KEYS = ['metrics', 'weight', 'style'];
+
+/**
+ * Load and validate a config file
+ * Paths in the config are relative to the config file's directory.
+ */
+export function loadConfig(configPath = CONFIG_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new InvalidOptionError(`Can't read ${configPath}: ${error.message}`);
+  }
+  return normalizeConfig(raw, path.dirname(configPath), configPath);
+}
+
+/**
+ * Validate a config object and fill in defaults
+ */
+export function normalizeConfig(raw, baseDir = '.', source = 'config') {
+  const fail = message => {
+    throw new InvalidOptionError(`${source}: ${message}`);
+  };
+  const checkKeys = (object, allowed, where) => {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      fail(`${where} must be an object`);
+    }
+    const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+      fail(`unknown key(s) ${unknown.join(', ')} in ${where}`);
+    }
+  };
+  const checkMetrics = (metrics = {}, where) => {
+    checkKeys(metrics, METRIC_KEYS, where);
+    const normalized = { ...metrics };
+    for (const table of ['hhea', 'typo', 'win']) {
+      // Table specs can be written as on the command line: "90%,22%" or "keep"
+      if (typeof normalized[table] === 'string') {
+        normalized[table] = parseTableSpec(normalized[table]);
+      }
+    }
+    return normalized;
+  };
+  const checkFormats = (formats, where) => {
+    if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !OUTPUT_FORMATS.includes(format))) {
+      fail(`${where} must be a non-empty list of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return formats;
+  };
+  const resolve = file => path.join(baseDir, file);
+
+  checkKeys(raw, PROJECT_KEYS, 'the config');
+  if (!Array.isArray(raw.families) || raw.families.length === 0) {
+    fail('families must be a non-empty list');
+  }
+
+  const formats = checkFormats(raw.formats ?? ['woff2'], 'formats');
+  const metrics = checkMetrics(raw.metrics, 'metrics');
+
+  return {
+    outDir: resolve(raw.outDir ?? 'dist'),
+    css: raw.css ? resolve(raw.css) : null,
+    cssOverrides: Boolean(raw.cssOverrides),
+    provenance: Boolean(raw.provenance),
+    baseDir,
+    families: raw.families.map((family, i) => {
+      const where = `families[${i}]`;
+      checkKeys(family, FAMILY_KEYS, where);
+      if (typeof family.family !== 'string' || !family.family) {
+        fail(`${where}.family must be the CSS font-family name`);
+      }
+      if (!Array.isArray(family.inputs) || family.inputs.length === 0) {
+        fail(`${where}.inputs must be a non-empty list of files, directories or globs`);
+      }
+
+      const files = {};
+      for (const [name, file] of Object.entries(family.files ?? {})) {
+        checkKeys(file, FILE_KEYS, `${where}.files["${name}"]`);
+        files[name] = { ...file, metrics: checkMetrics(file.metrics, `${where}.files["${name}"].metrics`) };
+      }
+
+      return {
+        family: family.family,
+        inputs: family.inputs.map(resolve),
+        formats: family.formats ? checkFormats(family.formats, `${where}.formats`) : formats,
+        metrics: { ...metrics, ...checkMetrics(family.metrics, `${where}.metrics`) },
+        clipCheck: family.clipCheck ?? raw.clipCheck ?? 'warn',
+        checkChars: family.checkChars ?? raw.checkChars ?? null,
+        files
+      };
+    })
+  };
+}
+
+/**
+ * Run the pipeline for a normalized config
+ * Returns { fonts, css, missing } where each font is
+ *   { family, input, status: 'built' | 'cached' | 'failed', outputs, original, applied, warnings, error }
+ * `original` and `applied` are setMetrics() results, only set for built fonts.
+ * `force` rebuilds every font regardless of the cache.
+ */
+export async function buildProject(config, { force = false, concurrency = 4 } = {}) {
+  const cachePath = path.join(config.outDir, CACHE_FILE);
+  const cache = force ? {} : readCache(cachePath);
+  const nextCache = {};
+
+  const jobs = [];
+  const missing = [];
+  for (const family of config.families) {
+    const expanded = expandInputs(family.inputs);
+    missing.push(...expanded.missing);
+    expanded.files.forEach(({ file }) => jobs.push({ family, file }));
+  }
+
+  // Outputs are named after the input file, so inputs with the same name
+  // from different directories would overwrite each other
+  const bases = new Map();
+  for (const { file } of jobs) {
+    const base = path.basename(file, path.extname(file));
+    const other = bases.get(base.toLowerCase());
+    if (other) {
+      const relative = target => path.relative(config.baseDir, target);
+      throw new InvalidOptionError(`${relative(other)} and ${relative(file)} would both be written to ${relative(path.join(config.outDir, base))}.*; rename one of them`);
+    }
+    bases.set(base.toLowerCase(), file);
+  }
+
+  const fonts = await mapWithConcurrency(jobs, concurrency, async ({ family, file }) => {
+    const override = fileOverride(family, file, config.baseDir);
+    const settings = { ...family.metrics, ...override.metrics };
+    const entry = {
+      family: family.family,
+      input: file,
+      status: 'built',
+      outputs: [],
+      weight: override.weight ?? null,
+      style: override.style ?? null,
+      original: null,
+      applied: null,
+      warnings: [],
+      error: null
+    };
+
+    try {
+      const input = fs.readFileSync(file);
+      const hash = crypto.createHash('sha256')
+        .update(input)
+        .update(JSON.stringify({
+          CACHE_VERSION,
+          settings,
+          formats: family.formats,
+          clipCheck: family.clipCheck,
+          checkChars: family.checkChars,
+          provenance: config.provenance
+        }))
+        .digest('hex');
+
+      const cached = cache[file];
+      if (cached?.hash === hash && cached.outputs.every(output => fs.existsSync(output))) {
+        Object.assign(entry, { status: 'cached', outputs: cached.outputs });
+      } else {
+        const modified = await setMetrics(input, settings, {
+          format: 'sfnt',
+          clipCheck: family.clipCheck,
+          checkChars: family.checkChars,
+          provenance: config.provenance
+        });
+        Object.assign(entry, { original: modified.original, applied: modified.applied, warnings: modified.warnings });
+
+        const base = path.join(config.outDir, path.basename(file, path.extname(file)));
+        fs.mkdirSync(config.outDir, { recursive: true });
+        for (const format of family.formats) {
+          const output = `${base}.${outputExtension(format, modified.original.outlines)}`;
+          const isSfnt = format === 'ttf' || format === 'otf';
+          fs.writeFileSync(output, await fromSfnt(modified.sfnt, isSfnt ? 'sfnt' : format));
+          entry.outputs.push(output);
+        }
+      }
+
+      nextCache[file] = { hash, outputs: entry.outputs };
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+    }
+    return entry;
+  });
+
+  fs.mkdirSync(config.outDir, { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify({ version: CACHE_VERSION, fonts: nextCache }, null, 2) + '\n');
+
+  if (config.css) {
+    fs.mkdirSync(path.dirname(config.css), { recursive: true });
+    fs.writeFileSync(config.css, await projectCss(fonts, config));
+  }
+
+  return { fonts, css: config.css, missing };
+}
+
+/**
+ * Rebuild whenever the config file or one of its inputs changes
+ * Each rebuild uses the cache and passes buildProject()'s result to
+ * `onBuild(result)`. A changed config is reloaded first and reported through
+ * `onReload(config)`, and its inputs are watched from then on; one that no
+ * longer loads goes to `onError` and the rebuild is skipped. Changes under
+ * outDir and to the CSS are ignored, in case they are inside an input
+ * directory. Returns { close() }.
+ */
+export function watchProject(configPath, onBuild, { concurrency = 4, onReload = () => {}, onError } = {}) {
+  let config = loadConfig(configPath);
+  const resolvedConfigPath = path.resolve(configPath);
+  let watcher;
+
+  const watch = () => {
+    const inputs = [configPath, ...config.families.flatMap(family => family.inputs)];
+    watcher = watchPaths(inputs, async changed => {
+      const outputs = [config.outDir, config.css].filter(Boolean).map(file => path.resolve(file));
+      const relevant = changed.filter(file => !outputs.some(output => file === output || file.startsWith(output + path.sep)));
+      if (relevant.length === 0) {
+        return;
+      }
+
+      if (relevant.includes(resolvedConfigPath)) {
+        config = loadConfig(configPath);
+        onReload(config);
+        // The inputs may have changed too
+        watcher.close();
+        watch();
+      }
+      await onBuild(await buildProject(config, { concurrency }));
+    }, { onError });
+  };
+  watch();
+
+  return {
+    close() {
+      watcher.close();
+    }
+  };
+}
+
+function readCache(cachePath) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return cache.version === CACHE_VERSION ? cache.fonts : {};
+  } catch {
+    return {};
+  }
+}
+
+// Per-file settings are keyed by file name or by path relative to the config
+function fileOverride(family, file, baseDir) {
+  const relative = path.relative(baseDir, file).split(path.sep).join('/');
+  return family.files[relative] ?? family.files[path.basename(file)] ?? { metrics: {} };
+}
+
+function outputExtension(format, outlines) {
+  if (format === 'ttf' || format === 'otf') {
+    return outlines === 'CFF' ? 'otf' : 'ttf';
+  }
+  return format;
+}
+
+/**
+ * One @font-face rule per built font, with URLs relative to the CSS file
+ * Weight, style and the other descriptors are read from the built font
+ * unless the config sets them per file.
+ */
+async function projectCss(fonts, config) {
+  const faces = [];
+  for (const font of fonts.filter(font => font.status !== 'failed')) {
+    faces.push({
+      family: font.family,
+      files: font.outputs,
+      sfnt: await toSfnt(fs.readFileSync(font.outputs[0])),
+      weight: font.weight,
+      style: font.style
+    });
+  }
+  return generateStylesheet(faces, {
+    cssPath: config.css,
+    overrides: config.cssOverrides,
+    header: 'Generated by font-metrics build; edit font-metrics.config.json instead'
+  });
+}
@@ -0,0 +1,292 @@
+/**
+ * TrueType/OpenType Collection (.ttc/.otc) support
+ * A collection holds several table directories that may point at the same
+ * table data. Faces are edited as standalone SFNTs and written back next to
+ * the untouched ones, sharing every table that is still byte-identical.
+ *
+ * Reference: https://learn.microsoft.com/en-us/typography/opentype/spec/otff#font-collections
+ */
+
+import crypto from 'crypto';
+import * as fontkit from 'fontkit';
+import { readTableDirectory, buildSfnt } from './sfnt.js';
+import { readMetrics, setMetrics } from './metrics.js';
+import { InvalidFontError, InvalidOptionError, GlyphClippingError } from './errors.js';
+
+const TTC_SIGNATURE = 0x74746366; // 'ttcf'
+const TTC_HEADER_SIZE = 12;
+const DSIG_TAG = 0x44534947; // 'DSIG'
+const HEAD_CHECKSUM_ADJUSTMENT = 8;
+
+/**
+ * Check whether a buffer is a font collection
+ */
+export function isCollection(buffer) {
+  return buffer.length >= TTC_HEADER_SIZE && buffer.readUInt32BE(0) === TTC_SIGNATURE;
+}
+
+/**
+ * Read the offsets of every face's table directory
+ * A version 2 header can also point at a DSIG signing the whole
+ * collection; `dsig` is its { offset, length }, or null.
+ */
+export function readCollection(buffer) {
+  if (!isCollection(buffer)) {
+    throw new InvalidFontError('Not a font collection (missing ttcf header)');
+  }
+
+  const numFonts = buffer.readUInt32BE(8);
+  if (TTC_HEADER_SIZE + numFonts * 4 > buffer.length) {
+    throw new InvalidFontError('Truncated collection header');
+  }
+
+  const dsigRecord = TTC_HEADER_SIZE + numFonts * 4;
+  const hasDsig = buffer.readUInt16BE(4) >= 2 && dsigRecord + 12 <= buffer.length &&
+    buffer.readUInt32BE(dsigRecord) === DSIG_TAG;
+
+  return {
+    version: `${buffer.readUInt16BE(4)}.${buffer.readUInt16BE(6)}`,
+    offsets: Array.from({ length: numFonts }, (_, i) => buffer.readUInt32BE(TTC_HEADER_SIZE + i * 4)),
+    dsig: hasDsig ? { offset: buffer.readUInt32BE(dsigRecord + 8), length: buffer.readUInt32BE(dsigRecord + 4) } : null
+  };
+}
+
+/**
+ * Copy one face out of a collection as a standalone SFNT
+ */
+export function extractFace(buffer, index) {
+  const { offsets } = readCollection(buffer);
+  if (!Number.isInteger(index) || index < 0 || index >= offsets.length) {
+    throw new InvalidOptionError(`Face index ${index} is out of range (collection has ${offsets.length} faces)`);
+  }
+
+  const { flavor, tables } = readTableDirectory(buffer, offsets[index]);
+  return buildSfnt(flavor, tables.map(table => ({
+    tag: table.tag,
+    data: buffer.subarray(table.offset, table.offset + table.length)
+  })));
+}
+
+/**
+ * Split a collection into { index, postscriptName, sfnt } faces
+ */
+export function readFaces(buffer) {
+  return readCollection(buffer).offsets.map((_, index) => {
+    const sfnt = extractFace(buffer, index);
+    return { index, postscriptName: fontkit.create(sfnt).postscriptName || null, sfnt };
+  });
+}
+
+/**
+ * Build a collection from standalone SFNT faces
+ * Tables with identical tag and bytes are stored once and shared, so
+ * faces that were edited the same way keep sharing their tables. `head`
+ * tables that differ only in checkSumAdjustment are shared too, as
+ * collection tools do: no single value is right for every face using it.
+ */
+export function buildCollection(faces) {
+  const directories = faces.map(sfnt => readTableDirectory(sfnt));
+  let offset = TTC_HEADER_SIZE + faces.length * 4 +
+    directories.reduce((total, { tables }) => total + 12 + tables.length * 16, 0);
+
+  // Lay out each distinct table once
+  const shared = new Map();
+  const layout = directories.map(({ tables }, face) => tables.map(table => {
+    const data = faces[face].subarray(table.offset, table.offset + table.length);
+    const key = sharingKey(table.tag, data);
+    if (!shared.has(key)) {
+      shared.set(key, { data, offset });
+      offset += align4(data.length);
+    }
+    return { ...table, offset: shared.get(key).offset };
+  }));
+
+  const collection = Buffer.alloc(offset);
+  collection.writeUInt32BE(TTC_SIGNATURE, 0);
+  collection.writeUInt16BE(1, 4); // majorVersion
+  collection.writeUInt16BE(0, 6); // minorVersion
+  collection.writeUInt32BE(faces.length, 8);
+
+  // Table directories follow the header, copied from each face with the
+  // table offsets pointing into the shared data
+  let directoryOffset = TTC_HEADER_SIZE + faces.length * 4;
+  layout.forEach((tables, face) => {
+    collection.writeUInt32BE(directoryOffset, TTC_HEADER_SIZE + face * 4);
+    writeDirectory(collection, directoryOffset, faces[face], tables);
+    directoryOffset += 12 + tables.length * 16;
+  });
+
+  for (const { data, offset: tableOffset } of shared.values()) {
+    data.copy(collection, tableOffset);
+  }
+
+  return collection;
+}
+
+// Replace some faces of a collection (Map of index → SFNT) without moving
+// anything else: the original bytes are kept as they are, and the new
+// directories and whatever tables aren't already in the collection are
+// appended. Tables the replaced faces no longer use stay behind unused
+// until the collection is rebuilt with buildCollection().
+function replaceFaces(buffer, replacements) {
+  const { offsets, dsig } = readCollection(buffer);
+
+  const existing = new Map();
+  for (const offset of offsets) {
+    for (const table of readTableDirectory(buffer, offset).tables) {
+      const key = sharingKey(table.tag, tableData(buffer, table));
+      if (!existing.has(key)) {
+        existing.set(key, table.offset);
+      }
+    }
+  }
+
+  let end = align4(buffer.length);
+  const appended = [];
+  const directories = [...replacements].map(([index, sfnt]) => {
+    const tables = readTableDirectory(sfnt).tables;
+    const directory = { index, sfnt, tables, offset: end };
+    end += 12 + tables.length * 16;
+    return directory;
+  });
+  for (const { sfnt, tables } of directories) {
+    for (const table of tables) {
+      const key = sharingKey(table.tag, tableData(sfnt, table));
+      if (!existing.has(key)) {
+        existing.set(key, end);
+        appended.push({ data: tableData(sfnt, table), offset: end });
+        end = align4(end + table.length);
+      }
+    }
+  }
+
+  const collection = Buffer.alloc(end);
+  buffer.copy(collection);
+  if (dsig) {
+    // ulDsigTag, ulDsigLength and ulDsigOffset of 0 mean "not signed"
+    collection.fill(0, TTC_HEADER_SIZE + offsets.length * 4, TTC_HEADER_SIZE + offsets.length * 4 + 12);
+  }
+  for (const { index, sfnt, tables, offset } of directories) {
+    collection.writeUInt32BE(offset, TTC_HEADER_SIZE + index * 4);
+    writeDirectory(collection, offset, sfnt, tables.map(table => ({
+      ...table,
+      offset: existing.get(sharingKey(table.tag, tableData(sfnt, table)))
+    })));
+  }
+  for (const { data, offset } of appended) {
+    data.copy(collection, offset);
+  }
+
+  return collection;
+}
+
+// Write a face's directory header, copied from the face, and its table
+// records with their offsets in the collection
+function writeDirectory(collection, directoryOffset, sfnt, tables) {
+  sfnt.copy(collection, directoryOffset, 0, 12);
+  tables.forEach((table, i) => {
+    const record = directoryOffset + 12 + i * 16;
+    collection.write(table.tag, record, 'latin1');
+    collection.writeUInt32BE(table.checksum, record + 4);
+    collection.writeUInt32BE(table.offset, record + 8);
+    collection.writeUInt32BE(table.length, record + 12);
+  });
+}
+
+function tableData(buffer, table) {
+  return buffer.subarray(table.offset, table.offset + table.length);
+}
+
+// Tables are shared when tag and bytes match, ignoring head.checkSumAdjustment
+function sharingKey(tag, data) {
+  let bytes = data;
+  if (tag === 'head' && data.length >= HEAD_CHECKSUM_ADJUSTMENT + 4) {
+    bytes = Buffer.from(data);
+    bytes.writeUInt32BE(0, HEAD_CHECKSUM_ADJUSTMENT);
+  }
+  return `${tag}:${crypto.createHash('sha1').update(bytes).digest('hex')}`;
+}
+
+/**
+ * Resolve a face selection to indexes
+ * `selection` is a list of face indexes and/or PostScript names; null
+ * selects every face.
+ */
+export function selectFaces(faces, selection = null) {
+  if (!selection) {
+    return faces.map(face => face.index);
+  }
+
+  return selection.map(item => {
+    const face = /^\d+$/.test(String(item))
+      ? faces[Number(item)]
+      : faces.find(candidate => candidate.postscriptName === item);
+    if (!face) {
+      const names = faces.map(candidate => `${candidate.index} (${candidate.postscriptName})`).join(', ');
+      throw new InvalidOptionError(`No face '${item}' in collection; faces are ${names}`);
+    }
+    return face.index;
+  });
+}
+
+/**
+ * readMetrics() for every face of a collection
+ */
+export async function readCollectionMetrics(buffer) {
+  return Promise.all(readFaces(buffer).map(async ({ index, postscriptName, sfnt }) => ({
+    index,
+    postscriptName,
+    ...(await readMetrics(sfnt))
+  })));
+}
+
+/**
+ * setMetrics() on the selected faces of a collection
+ * `options.faces` selects faces by index or PostScript name (default all);
+ * the other options are passed to setMetrics for each face. Returns the
+ * new collection, one entry per face, with `result` null for faces
+ * that were left alone, and collection-level `warnings`.
+ *
+ * Faces that were left alone keep their directory, table offsets and bytes
+ * exactly, and the edited faces still share every table they didn't
+ * change. A version 2 collection's DSIG can't survive the edit and is
+ * removed, with a warning.
+ */
+export async function setCollectionMetrics(buffer, settings = {}, options = {}) {
+  const { faces: selection = null, ...faceOptions } = options;
+  const { dsig } = readCollection(buffer);
+  const faces = readFaces(buffer);
+  const selected = selectFaces(faces, selection);
+
+  const results = [];
+  for (const face of faces) {
+    if (!selected.includes(face.index)) {
+      results.push({ index: face.index, postscriptName: face.postscriptName, sfnt: face.sfnt, result: null });
+      continue;
+    }
+    try {
+      const result = await setMetrics(face.sfnt, settings, { ...faceOptions, format: 'sfnt' });
+      results.push({ index: face.index, postscriptName: face.postscriptName, sfnt: result.sfnt, result });
+    } catch (error) {
+      if (error instanceof GlyphClippingError) {
+        throw new GlyphClippingError(`Face ${face.index} (${face.postscriptName}): ${error.message}`, error.glyphs);
+      }
+      throw error;
+    }
+  }
+
+  // With every face edited there is nothing to keep in place, so the
+  // collection is rebuilt without the tables the edits replaced
+  const edited = results.filter(face => face.result);
+  return {
+    buffer: edited.length === results.length
+      ? buildCollection(results.map(face => face.sfnt))
+      : replaceFaces(buffer, new Map(edited.map(face => [face.index, face.sfnt]))),
+    faces: results,
+    warnings: dsig ? ['The collection\'s DSIG signature was removed; it can\'t be valid after an edit'] : []
+  };
+}
+
+function align4(length) {
+  return (length + 3) & ~3;
+}
@@ -0,0 +1,155 @@
+/**
+ * Compressing font files for the web
+ * What the compress-woff2 command does with its input: encode it as WOFF2
+ * or WOFF, optionally subset to the characters a site uses or split into
+ * one file per character set, and describe the outputs in a stylesheet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { toSfnt, fromSfnt, detectFormat } from './format.js';
+import { subsetFont, fontCodePoints, collectCodePoints } from './subset.js';
+import { inRanges } from './unicode.js';
+import { readNames, familyName } from './names.js';
+import { generateStylesheet } from './css.js';
+import { UnsupportedFormatError, InvalidOptionError, FontWriteError } from './errors.js';
+
+/**
+ * Compress a font file to `outputPath`
+ * Options:
+ *   format    'woff2' (default) or 'woff'
+ *   encoder   WOFF2 encoder (see compressWoff2); level  zlib level for WOFF
+ *   unicodes  ranges to keep (see parseUnicodeRanges)
+ *   text      text or HTML files whose characters to keep
+ *   split     [{ label, ranges }]: one output per set, named
+ *             Lato.latin.woff2 etc., plus Lato.rest.woff2 for the
+ *             characters outside every set
+ *
+ * Subsetting needs TrueType outlines. Returns
+ *
+ *   { input, inputSize, format, outputs: [{ label, output, size, characters, glyphs }],
+ *     skipped: ['cyrillic'], warnings: ['…'] }
+ *
+ * where `characters` and `glyphs` ({ kept, total }) are null for a whole
+ * font and `skipped` lists sets the font has no characters for.
+ */
+export async function compressFontFile(inputPath, outputPath, { format = 'woff2', encoder = 'auto', level, unicodes = null, text = [], split = null } = {}) {
+  const inputBuffer = fs.readFileSync(inputPath);
+  if (detectFormat(inputBuffer) === 'collection') {
+    throw new UnsupportedFormatError(`${path.basename(inputPath)} is a font collection; extract its faces with font-metrics --extract first`);
+  }
+
+  const sfnt = await toSfnt(inputBuffer);
+  const subsetting = unicodes || text.length > 0 || split;
+  if (subsetting && sfnt.toString('latin1', 0, 4) === 'OTTO') {
+    throw new UnsupportedFormatError(`${path.basename(inputPath)} has CFF outlines; --unicodes, --text and --split only work on TrueType (glyf) outlines`);
+  }
+
+  const result = { input: inputPath, inputSize: inputBuffer.length, format, outputs: [], skipped: [], warnings: [] };
+  for (const subset of planSubsets(sfnt, outputPath, { unicodes, text, split })) {
+    let fontData = sfnt;
+    let characters = null;
+    let glyphs = null;
+    if (subset.codePoints) {
+      const subsetted = subsetFont(sfnt, subset.codePoints);
+      if (subsetted.codePoints.length === 0) {
+        result.skipped.push(subset.label ?? 'subset');
+        continue;
+      }
+      result.warnings.push(...subsetted.warnings);
+      fontData = subsetted.sfnt;
+      characters = subsetted.codePoints.length;
+      glyphs = subsetted.glyphs;
+    }
+
+    const compressed = await fromSfnt(fontData, format, { encoder, level });
+    try {
+      fs.mkdirSync(path.dirname(subset.outputPath), { recursive: true });
+      fs.writeFileSync(subset.outputPath, compressed);
+    } catch (error) {
+      throw new FontWriteError(`Failed to save font: ${error.message}`, error);
+    }
+    result.outputs.push({ label: subset.label, output: subset.outputPath, size: compressed.length, characters, glyphs });
+  }
+
+  if (result.outputs.length === 0) {
+    throw new InvalidOptionError('No characters left to subset; check --unicodes, --text and --split');
+  }
+  return result;
+}
+
+/**
+ * Stylesheet for the files compressFontFile() wrote
+ * One rule per output, each with the unicode-range of its own subset. A
+ * single output also lists the input as a fallback for older browsers,
+ * unless the input is in the same format. URLs are relative to `cssPath`.
+ */
+export async function compressedStylesheet(result, { cssPath = null } = {}) {
+  const inputBuffer = fs.readFileSync(result.input);
+  const family = familyName(readNames(await toSfnt(inputBuffer))) ?? path.parse(result.outputs[0].output).name;
+  const fallback = result.outputs.length === 1 && result.outputs[0].label === null && detectFormat(inputBuffer) !== result.format;
+  const faces = [];
+  for (const { output } of result.outputs) {
+    faces.push({
+      family,
+      files: fallback ? [output, result.input] : [output],
+      sfnt: await toSfnt(fs.readFileSync(output))
+    });
+  }
+  return generateStylesheet(faces, { cssPath });
+}
+
+/**
+ * Default output path for compressing `inputPath` to `format`
+ * Re-encoding a WOFF2 to WOFF2 (or WOFF to WOFF) must not overwrite the
+ * input, so that gets a .min suffix.
+ */
+export function compressedOutputPath(inputPath, format) {
+  const parsed = path.parse(inputPath);
+  const output = path.join(parsed.dir, `${parsed.name}.${format}`);
+  return path.resolve(output) === path.resolve(inputPath)
+    ? path.join(parsed.dir, `${parsed.name}.min.${format}`)
+    : output;
+}
+
+// One output per split set, plus one for the characters outside every set
+// so nothing the font (or the selection) covers is lost; a single output
+// otherwise
+function planSubsets(sfnt, outputPath, { unicodes, text, split }) {
+  const selected = selectedCodePoints(sfnt, { unicodes, text });
+  if (!split) {
+    return [{ label: null, codePoints: selected, outputPath }];
+  }
+
+  const available = selected ? [...selected] : fontCodePoints(sfnt);
+  const subsets = split.map(set => ({
+    label: set.label,
+    codePoints: available.filter(codePoint => inRanges(set.ranges, codePoint)),
+    outputPath: subsetOutputPath(outputPath, set.label)
+  }));
+
+  const rest = available.filter(codePoint => !split.some(set => inRanges(set.ranges, codePoint)));
+  if (rest.length > 0) {
+    subsets.push({ label: 'rest', codePoints: rest, outputPath: subsetOutputPath(outputPath, 'rest') });
+  }
+  return subsets;
+}
+
+// The code points to keep, or null to keep the whole font
+function selectedCodePoints(sfnt, { unicodes, text }) {
+  if (!unicodes && text.length === 0) {
+    return null;
+  }
+  const selected = new Set(unicodes ? fontCodePoints(sfnt, unicodes) : []);
+  for (const file of text) {
+    const html = /\.html?$/i.test(file);
+    collectCodePoints(fs.readFileSync(file, 'utf8'), { html }).forEach(codePoint => selected.add(codePoint));
+  }
+  return selected;
+}
+
+// e.g. Lato.woff2 → Lato.latin-ext.woff2
+function subsetOutputPath(outputPath, label) {
+  const parsed = path.parse(outputPath);
+  return path.join(parsed.dir, `${parsed.name}.${label}${parsed.ext}`);
+}
@@ -0,0 +1,238 @@
+/**
+ * CSS for patched fonts
+ * @font-face rules whose descriptors (weight, style, stretch, unicode-range
+ * and optional metric overrides) are read from the font itself, and
+ * stylesheets listing every format of a font in priority order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as fontkit from 'fontkit';
+import { findTable, readVerticalMetrics } from './sfnt.js';
+import { computeLineHeights } from './metrics.js';
+import { toSfnt } from './format.js';
+import { readNames, familyName } from './names.js';
+import { formatCodePoint } from './unicode.js';
+
+/**
+ * Quote a CSS string value
+ */
+export function cssString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * @font-face rule for a local fallback font tuned to match a web font
+ * `overrides` comes from computeFallbackOverrides().
+ */
+export function fallbackFontFace(family, overrides, localName = overrides.localName) {
+  return [
+    '@font-face {',
+    `  font-family: ${cssString(family)};`,
+    `  src: local(${cssString(localName)});`,
+    `  size-adjust: ${overrides.sizeAdjust}%;`,
+    `  ascent-override: ${overrides.ascentOverride}%;`,
+    `  descent-override: ${overrides.descentOverride}%;`,
+    `  line-gap-override: ${overrides.lineGapOverride}%;`,
+    '}'
+  ].join('\n');
+}
+
+const CSS_FORMATS = {
+  '.woff2': 'woff2',
+  '.woff': 'woff',
+  '.ttf': 'truetype',
+  '.otf': 'opentype'
+};
+
+// Smallest and best-supported first
+const SOURCE_PRIORITY = ['woff2', 'woff', 'opentype', 'truetype'];
+
+// OS/2 usWidthClass 1-9
+const FONT_STRETCH = [
+  'ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'normal',
+  'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'
+];
+
+const FS_SELECTION_ITALIC = 1 << 0;
+const FS_SELECTION_OBLIQUE = 1 << 9;
+const MAC_STYLE_ITALIC = 1 << 1;
+
+/**
+ * CSS format() hint for a font file, from its extension
+ */
+export function cssFontFormat(filePath) {
+  const ext = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+  return CSS_FORMATS[ext] || ext.slice(1);
+}
+
+/**
+ * Order sources WOFF2, WOFF, OTF, TTF so browsers pick the smallest they support
+ */
+export function sortSources(sources) {
+  const rank = source => {
+    const index = SOURCE_PRIORITY.indexOf(source.format);
+    return index === -1 ? SOURCE_PRIORITY.length : index;
+  };
+  return [...sources].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Collapse code points into a CSS unicode-range value
+ *   [0x41, 0x42, 0x43, 0x20AC] → 'U+0041-0043, U+20AC'
+ */
+export function formatUnicodeRange(codePoints) {
+  const sorted = [...new Set(codePoints)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const codePoint of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && codePoint === last[1] + 1) {
+      last[1] = codePoint;
+    } else {
+      ranges.push([codePoint, codePoint]);
+    }
+  }
+  return ranges
+    .map(([start, end]) => (start === end ? formatCodePoint(start) : `${formatCodePoint(start)}-${formatCodePoint(end).slice(2)}`))
+    .join(', ');
+}
+
+/**
+ * Read @font-face descriptors from an SFNT
+ * Weight and stretch come from OS/2 usWeightClass and usWidthClass, style
+ * from fsSelection (or head.macStyle without OS/2), unicode-range from the
+ * cmap. With `overrides`, ascent/descent/line-gap overrides are added as
+ * percentages of the em, from the metrics Chrome and Firefox use (Safari
+ * ignores the descriptors, which is why the metrics are patched at all).
+ *
+ *   { weight: 400, style: 'normal', stretch: 'normal', unicodeRange: 'U+0000-00FF, ...' }
+ */
+export function fontFaceDescriptors(sfnt, { overrides = false } = {}) {
+  const os2 = findTable(sfnt, 'OS/2');
+  const head = findTable(sfnt, 'head');
+
+  let weight = 400;
+  let stretch = 'normal';
+  let style = 'normal';
+  if (os2) {
+    weight = Math.min(Math.max(sfnt.readUInt16BE(os2.offset + 4), 1), 1000);
+    stretch = FONT_STRETCH[sfnt.readUInt16BE(os2.offset + 6) - 1] ?? 'normal';
+    const fsSelection = sfnt.readUInt16BE(os2.offset + 62);
+    if (fsSelection & FS_SELECTION_ITALIC) {
+      style = 'italic';
+    } else if (fsSelection & FS_SELECTION_OBLIQUE) {
+      style = 'oblique';
+    }
+  } else if (head && sfnt.readUInt16BE(head.offset + 44) & MAC_STYLE_ITALIC) {
+    style = 'italic';
+  }
+
+  const descriptors = {
+    weight,
+    style,
+    stretch,
+    // U+FFFF is only cmap format 4's end marker, not a real character
+    unicodeRange: formatUnicodeRange(fontkit.create(sfnt).characterSet.filter(codePoint => codePoint !== 0xFFFF))
+  };
+
+  if (overrides) {
+    const metrics = readVerticalMetrics(sfnt);
+    const box = computeLineHeights(metrics).chrome;
+    if (box) {
+      const percent = value => Math.round((value / metrics.unitsPerEm) * 10000) / 100;
+      Object.assign(descriptors, {
+        ascentOverride: percent(box.ascent),
+        descentOverride: percent(box.descent),
+        lineGapOverride: percent(Math.max(box.lineGap, 0))
+      });
+    }
+  }
+
+  return descriptors;
+}
+
+/**
+ * @font-face rule for a web font
+ *   sources = [{ url, format }] in order of preference
+ * Optional descriptors (stretch, unicodeRange, display and the metric
+ * overrides in percent) are only written when given.
+ */
+export function fontFace({
+  family,
+  sources,
+  weight = 400,
+  style = 'normal',
+  stretch,
+  unicodeRange,
+  display,
+  ascentOverride,
+  descentOverride,
+  lineGapOverride
+}) {
+  const src = sources.map(source => `url(${cssString(source.url)}) format(${cssString(source.format)})`);
+  const optional = [
+    ['font-stretch', stretch],
+    ['font-display', display],
+    ['unicode-range', unicodeRange],
+    ['ascent-override', ascentOverride !== undefined ? `${ascentOverride}%` : undefined],
+    ['descent-override', descentOverride !== undefined ? `${descentOverride}%` : undefined],
+    ['line-gap-override', lineGapOverride !== undefined ? `${lineGapOverride}%` : undefined]
+  ];
+  return [
+    '@font-face {',
+    `  font-family: ${cssString(family)};`,
+    `  src: ${src.join(',\n       ')};`,
+    `  font-weight: ${weight};`,
+    `  font-style: ${style};`,
+    ...optional.filter(([, value]) => value !== undefined && value !== '').map(([name, value]) => `  ${name}: ${value};`),
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Stylesheet with one @font-face rule per font
+ *   faces = [{ family, files: ['dist/Lato.woff2', 'dist/Lato.ttf'], sfnt, weight?, style? }]
+ * Descriptors are read from each face's SFNT; explicit weight/style win.
+ * URLs are relative to `cssPath` (or bare file names without one) and
+ * sources are listed WOFF2 first. `header` is written as a leading comment.
+ */
+export function generateStylesheet(faces, { cssPath = null, overrides = false, display = 'swap', header = null } = {}) {
+  const url = file => (cssPath
+    ? path.relative(path.dirname(cssPath), file).split(path.sep).join('/')
+    : path.basename(file));
+
+  const rules = faces.map(face => {
+    const descriptors = fontFaceDescriptors(face.sfnt, { overrides });
+    return fontFace({
+      family: face.family,
+      sources: sortSources(face.files.map(file => ({ url: url(file), format: cssFontFormat(file) }))),
+      ...descriptors,
+      weight: face.weight ?? descriptors.weight,
+      style: face.style ?? descriptors.style,
+      display
+    });
+  });
+
+  return [...(header ? [`/* ${header} */`] : []), ...rules].join('\n\n') + '\n';
+}
+
+/**
+ * A generateStylesheet() face for one font file, named as browsers will see
+ * the font (or after the file when it has no family name)
+ */
+export function fileFontFace(file, sfnt) {
+  return { family: familyName(readNames(sfnt)) ?? path.basename(file, path.extname(file)), files: [file], sfnt };
+}
+
+/**
+ * Write a stylesheet with one rule per font file to `cssPath`
+ * `options` are generateStylesheet()'s.
+ */
+export async function writeStylesheet(files, cssPath, options = {}) {
+  const faces = [];
+  for (const file of files) {
+    faces.push(fileFontFace(file, await toSfnt(fs.readFileSync(file))));
+  }
+  fs.mkdirSync(path.dirname(cssPath), { recursive: true });
+  fs.writeFileSync(cssPath, generateStylesheet(faces, { ...options, cssPath }));
+}
@@ -0,0 +1,164 @@
+/**
+ * Font comparison and metric assertions
+ * Compares two fonts table by table and checks a font against expected
+ * metric values, for CI checks and for verifying our own output.
+ */
+
+import { detectFormat, toSfnt } from './format.js';
+import { readTableDirectory, readVerticalMetrics, validateChecksums } from './sfnt.js';
+import { computeLineHeights, resolveMetricValue } from './metrics.js';
+import { InvalidOptionError, InvalidFontError } from './errors.js';
+
+// head.checkSumAdjustment changes whenever any table does, so it is
+// ignored when deciding whether head itself changed
+const HEAD_CHECKSUM_ADJUSTMENT = 8;
+
+/**
+ * Flatten vertical metrics into { 'hhea.ascender': 1843, ... }
+ * Line heights are reported by platform, e.g. 'lineHeight.safari': 1.2.
+ */
+export function flattenMetrics(metrics) {
+  const flat = {};
+  if (metrics.unitsPerEm !== undefined) {
+    flat.unitsPerEm = metrics.unitsPerEm;
+  }
+  for (const table of ['head', 'hhea', 'os2']) {
+    for (const [field, value] of Object.entries(metrics[table] || {})) {
+      flat[`${table}.${field}`] = value;
+    }
+  }
+  for (const [platform, box] of Object.entries(metrics.lineHeight || {})) {
+    flat[`lineHeight.${platform}`] = box ? box.normal : null;
+  }
+  return flat;
+}
+
+/**
+ * Compare two fonts in any supported format
+ *
+ *   {
+ *     formats: { before: 'sfnt', after: 'woff2' },
+ *     metrics: [{ metric: 'hhea.ascender', before: 1974, after: 1843 }],
+ *     tables: { added: ['MVAR'], removed: [], changed: [{ tag: 'OS/2', before: 96, after: 96 }], unchanged: 14 },
+ *     checksums: { before: [], after: [] }
+ *   }
+ *
+ * `checksums` lists the problems found in each font's SFNT data.
+ */
+export async function diffFonts(before, after) {
+  const sfnts = [await toSfnt(before), await toSfnt(after)];
+  const [flatBefore, flatAfter] = sfnts.map(sfnt => {
+    const metrics = readVerticalMetrics(sfnt);
+    return flattenMetrics({ ...metrics, lineHeight: computeLineHeights(metrics) });
+  });
+
+  const metricNames = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+  const metrics = metricNames
+    .map(metric => ({ metric, before: flatBefore[metric] ?? null, after: flatAfter[metric] ?? null }))
+    .filter(change => change.before !== change.after);
+
+  return {
+    formats: { before: detectFormat(before), after: detectFormat(after) },
+    metrics,
+    tables: diffTables(sfnts[0], sfnts[1]),
+    checksums: { before: validateChecksums(sfnts[0]), after: validateChecksums(sfnts[1]) }
+  };
+}
+
+function diffTables(before, after) {
+  const tablesOf = sfnt => new Map(readTableDirectory(sfnt).tables.map(table => [table.tag, tableData(sfnt, table)]));
+  const tablesBefore = tablesOf(before);
+  const tablesAfter = tablesOf(after);
+
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [tag, data] of tablesBefore) {
+    if (!tablesAfter.has(tag)) {
+      result.removed.push(tag);
+    } else if (!data.equals(tablesAfter.get(tag))) {
+      result.changed.push({ tag, before: data.length, after: tablesAfter.get(tag).length });
+    } else {
+      result.unchanged++;
+    }
+  }
+  result.added = [...tablesAfter.keys()].filter(tag => !tablesBefore.has(tag));
+  return result;
+}
+
+function tableData(sfnt, table) {
+  const data = Buffer.from(sfnt.subarray(table.offset, table.offset + table.length));
+  if (table.tag === 'head' && data.length >= HEAD_CHECKSUM_ADJUSTMENT + 4) {
+    data.writeUInt32BE(0, HEAD_CHECKSUM_ADJUSTMENT);
+  }
+  return data;
+}
+
+/**
+ * Parse 'hhea.ascender=1843,os2.useTypoMetrics=true' into expectations
+ * Values are numbers, booleans, or '90%' / '1843u' strings that are
+ * resolved against the font's units per em when checked.
+ */
+export function parseExpectations(spec) {
+  const expected = {};
+  for (const item of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^([\w.]+)\s*=\s*(.+)$/.exec(item);
+    if (!match) {
+      throw new InvalidOptionError(`Invalid expectation '${item}' (use metric=value, e.g. hhea.ascender=1843)`);
+    }
+    const [, metric, value] = match;
+    if (value === 'true' || value === 'false') {
+      expected[metric] = value === 'true';
+    } else if (/(%|u)$/.test(value)) {
+      expected[metric] = value;
+    } else if (Number.isFinite(Number(value))) {
+      expected[metric] = Number(value);
+    } else {
+      throw new InvalidOptionError(`Invalid value '${value}' for ${metric} (use a number, true/false, '90%' or '1843u')`);
+    }
+  }
+  return expected;
+}
+
+/**
+ * Check a font against expected metric values and its own checksums
+ * `expected` maps flattened metric names to values (see parseExpectations);
+ * percentages are of the em size, so descenders need a minus sign.
+ * Returns { passed, checks: [{ metric, expected, actual, ok }], checksums }.
+ */
+export async function verifyFont(buffer, expected = {}) {
+  const sfnt = await toSfnt(buffer);
+  const metrics = readVerticalMetrics(sfnt);
+  const flat = flattenMetrics({ ...metrics, lineHeight: computeLineHeights(metrics) });
+
+  const unknown = Object.keys(expected).filter(metric => !(metric in flat));
+  if (unknown.length > 0) {
+    throw new InvalidOptionError(`Unknown metric(s) ${unknown.join(', ')}; available: ${Object.keys(flat).join(', ')}`);
+  }
+
+  const checks = Object.entries(expected).map(([metric, value]) => {
+    const wanted = typeof value === 'string' ? resolveMetricValue(value, metrics.unitsPerEm, 'units') : value;
+    return { metric, expected: wanted, actual: flat[metric], ok: flat[metric] === wanted };
+  });
+  const checksums = validateChecksums(sfnt);
+
+  return {
+    passed: checks.every(check => check.ok) && checksums.length === 0,
+    checks,
+    checksums
+  };
+}
+
+/**
+ * Check a font about to be written against the values setMetrics() applied
+ * Throws InvalidFontError listing every wrong value and checksum, so a bad
+ * write fails instead of passing silently; returns the verifyFont() result.
+ */
+export async function verifyOutput(buffer, applied) {
+  const verification = await verifyFont(buffer, flattenMetrics(applied));
+  if (!verification.passed) {
+    const mismatches = verification.checks
+      .filter(check => !check.ok)
+      .map(check => `${check.metric} is ${check.actual}, expected ${check.expected}`);
+    throw new InvalidFontError(`Output font failed verification: ${[...mismatches, ...verification.checksums].join('; ')}`);
+  }
+  return verification;
+}
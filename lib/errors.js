@@ -0,0 +1,79 @@
+/**
+ * Error types thrown by the font-metrics library
+ * Every error carries a stable `code` so callers can branch without
+ * matching on message text.
+ */
+
+export class FontMetricsError extends Error {
+  constructor(message, code = 'FONT_METRICS_ERROR', options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The input isn't TTF, OTF, WOFF or WOFF2, or the requested output format is unknown
+ */
+export class UnsupportedFormatError extends FontMetricsError {
+  constructor(message) {
+    super(message, 'UNSUPPORTED_FORMAT');
+  }
+}
+
+/**
+ * The font data is truncated or structurally broken
+ */
+export class InvalidFontError extends FontMetricsError {
+  constructor(message) {
+    super(message, 'INVALID_FONT');
+  }
+}
+
+/**
+ * A table required for the operation is absent
+ */
+export class MissingTableError extends FontMetricsError {
+  constructor(tag) {
+    super(`Font has no ${tag} table`, 'MISSING_TABLE');
+    this.tag = tag;
+  }
+}
+
+/**
+ * A requested metric value can't be stored in its table field
+ */
+export class MetricRangeError extends FontMetricsError {
+  constructor(message) {
+    super(message, 'METRIC_OUT_OF_RANGE');
+  }
+}
+
+/**
+ * An option value passed to the library or CLI is malformed
+ */
+export class InvalidOptionError extends FontMetricsError {
+  constructor(message) {
+    super(message, 'INVALID_OPTION');
+  }
+}
+
+/**
+ * A font couldn't be written to disk; `cause` is the underlying fs error
+ */
+export class FontWriteError extends FontMetricsError {
+  constructor(message, cause) {
+    super(message, 'WRITE_FAILED', { cause });
+    this.path = cause?.path ?? null;
+  }
+}
+
+/**
+ * The new metrics would clip glyphs and clipping was configured to fail
+ */
+export class GlyphClippingError extends FontMetricsError {
+  constructor(message, glyphs) {
+    super(message, 'GLYPH_CLIPPING');
+    this.glyphs = glyphs;
+  }
+}
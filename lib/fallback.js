@@ -0,0 +1,89 @@
+/**
+ * Fallback font metric overrides
+ * Computes size-adjust and ascent/descent/line-gap overrides that make a
+ * local fallback font (e.g. Arial) occupy the same space as the web font,
+ * so swapping fonts in doesn't shift the layout.
+ */
+
+import * as fontkit from 'fontkit';
+import { toSfnt } from './format.js';
+import { readVerticalMetrics } from './sfnt.js';
+import { computeLineHeights } from './metrics.js';
+import { MissingTableError } from './errors.js';
+
+// English letter frequencies (including space) used to weight the average
+// character width, so common letters dominate like they do in real text
+const CHARACTER_WEIGHTS = {
+  a: 0.0668, b: 0.0122, c: 0.0228, d: 0.0348, e: 0.1039, f: 0.0182, g: 0.0165,
+  h: 0.0499, i: 0.0570, j: 0.0013, k: 0.0063, l: 0.0329, m: 0.0197, n: 0.0552,
+  o: 0.0614, p: 0.0158, q: 0.0008, r: 0.0490, s: 0.0518, t: 0.0741, u: 0.0226,
+  v: 0.0080, w: 0.0193, x: 0.0012, y: 0.0162, z: 0.0006, ' ': 0.1818
+};
+
+/**
+ * Weighted average advance width of everyday text, in font units
+ * Characters the font doesn't map are left out of the average.
+ */
+export function measureAverageWidth(sfnt) {
+  const font = fontkit.create(sfnt);
+  let total = 0;
+  let weights = 0;
+
+  for (const [char, weight] of Object.entries(CHARACTER_WEIGHTS)) {
+    const codePoint = char.codePointAt(0);
+    if (!font.hasGlyphForCodePoint(codePoint)) {
+      continue;
+    }
+    total += font.glyphForCodePoint(codePoint).advanceWidth * weight;
+    weights += weight;
+  }
+
+  // Fall back to OS/2 xAvgCharWidth for fonts without Latin letters
+  if (weights === 0) {
+    return font['OS/2']?.xAvgCharWidth || font.unitsPerEm / 2;
+  }
+  return total / weights;
+}
+
+/**
+ * The local() name to use for a fallback font, from its name table
+ */
+export function localFontName(sfnt) {
+  const font = fontkit.create(sfnt);
+  return font.fullName || font.familyName || font.postscriptName || null;
+}
+
+/**
+ * Compute CSS overrides that match a fallback font to a web font
+ * Both buffers may be TTF, OTF, WOFF or WOFF2. The web font's vertical
+ * metrics are taken from the set Chrome and Firefox use (typo metrics when
+ * USE_TYPO_METRICS is set, otherwise hhea), since those browsers honour the
+ * override descriptors.
+ *
+ * Percentages are returned as numbers, e.g. { sizeAdjust: 104.52, ... }.
+ */
+export async function computeFallbackOverrides(webBuffer, fallbackBuffer) {
+  const webSfnt = await toSfnt(webBuffer);
+  const fallbackSfnt = await toSfnt(fallbackBuffer);
+
+  const web = readVerticalMetrics(webSfnt);
+  const fallback = readVerticalMetrics(fallbackSfnt);
+
+  const webWidth = measureAverageWidth(webSfnt) / web.unitsPerEm;
+  const fallbackWidth = measureAverageWidth(fallbackSfnt) / fallback.unitsPerEm;
+  const sizeAdjust = webWidth / fallbackWidth;
+
+  const box = computeLineHeights(web).chrome;
+  if (!box) {
+    throw new MissingTableError('hhea');
+  }
+  const percent = value => Math.round((value / (web.unitsPerEm * sizeAdjust)) * 10000) / 100;
+
+  return {
+    localName: localFontName(fallbackSfnt),
+    sizeAdjust: Math.round(sizeAdjust * 10000) / 100,
+    ascentOverride: percent(box.ascent),
+    descentOverride: percent(box.descent),
+    lineGapOverride: percent(Math.max(box.lineGap, 0))
+  };
+}
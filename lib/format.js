@@ -0,0 +1,166 @@
+/**
+ * Font container detection and conversion between SFNT, WOFF and WOFF2
+ */
+
+import path from 'path';
+import * as woff2Encoder from 'woff2-encoder';
+import { isSfnt } from './sfnt.js';
+import { isWoff, encodeWoff, decodeWoff } from './woff.js';
+import { UnsupportedFormatError, InvalidFontError, InvalidOptionError } from './errors.js';
+
+const WOFF2_SIGNATURE = 0x774F4632; // 'wOF2'
+const COLLECTION_SIGNATURE = 0x74746366; // 'ttcf'
+
+// 'auto' prefers wawoff2 (an optional dependency) and falls back to woff2-encoder
+export const WOFF2_ENCODERS = ['auto', 'wawoff2', 'woff2-encoder'];
+
+/**
+ * Detect the container format from the file signature
+ * Returns 'sfnt', 'woff', 'woff2', 'collection' (TTC/OTC) or null
+ */
+export function detectFormat(buffer) {
+  if (isSfnt(buffer)) {
+    return 'sfnt';
+  }
+  if (isWoff(buffer)) {
+    return 'woff';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === WOFF2_SIGNATURE) {
+    return 'woff2';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === COLLECTION_SIGNATURE) {
+    return 'collection';
+  }
+  return null;
+}
+
+/**
+ * Human-readable name for a detected format, e.g. 'WOFF2' or 'OTF'
+ */
+export function describeFormat(format, outlines) {
+  if (format === 'sfnt') {
+    return outlines === 'CFF' ? 'OTF' : 'TTF';
+  }
+  if (format === 'collection') {
+    return outlines === 'CFF' ? 'OTC' : 'TTC';
+  }
+  return format ? format.toUpperCase() : 'unknown';
+}
+
+/**
+ * Unwrap any supported container to plain SFNT bytes
+ */
+export async function toSfnt(buffer) {
+  switch (detectFormat(buffer)) {
+    case 'sfnt':
+      return buffer;
+    case 'woff':
+      return decodeWoff(buffer);
+    case 'woff2': {
+      let sfnt;
+      try {
+        sfnt = await serializeWoff2(() => woff2Encoder.decompress(buffer));
+      } catch (error) {
+        throw new InvalidFontError(`WOFF2 decompression failed: ${error.message}`);
+      }
+      // Copy out of the encoder's memory, which the next call reuses
+      return Buffer.from(sfnt);
+    }
+    case 'collection':
+      throw new UnsupportedFormatError('Font collections (TTC/OTC) hold several faces; use the collection functions or extractFace()');
+    default:
+      throw new UnsupportedFormatError('Unrecognised font format (expected TTF, OTF, WOFF or WOFF2)');
+  }
+}
+
+/**
+ * Pick the output container from a file extension
+ * .ttc/.otc mean a collection; anything else other than .woff/.woff2 is
+ * written as plain SFNT.
+ */
+export function formatFromPath(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.ttc' || ext === '.otc') {
+    return 'collection';
+  }
+  if (ext === '.woff2') {
+    return 'woff2';
+  }
+  if (ext === '.woff') {
+    return 'woff';
+  }
+  return 'sfnt';
+}
+
+/**
+ * Wrap SFNT bytes in the requested container
+ * `options.encoder` picks the WOFF2 encoder (see compressWoff2) and
+ * `options.level` the zlib level (0-9) for WOFF.
+ */
+export async function fromSfnt(sfnt, format, options = {}) {
+  switch (format) {
+    case 'sfnt':
+      return sfnt;
+    case 'woff':
+      return encodeWoff(sfnt, options.level === undefined ? {} : { level: options.level });
+    case 'woff2':
+      return compressWoff2(sfnt, options);
+    default:
+      throw new UnsupportedFormatError(`Unsupported output format: ${format}`);
+  }
+}
+
+/**
+ * Compress SFNT bytes to WOFF2
+ * `encoder` is 'wawoff2', 'woff2-encoder' (the WebAssembly build that is
+ * always installed) or 'auto', which uses wawoff2 when it is installed.
+ */
+export async function compressWoff2(sfnt, { encoder = 'auto' } = {}) {
+  if (!isSfnt(sfnt)) {
+    throw new UnsupportedFormatError('WOFF2 compression needs TTF or OTF input');
+  }
+  const wawoff2 = (await resolveWoff2Encoder(encoder)) === 'wawoff2' ? await loadWawoff2() : null;
+  const woff2 = await serializeWoff2(() => (wawoff2 ? wawoff2.compress(sfnt) : woff2Encoder.compress(sfnt)));
+  // Copy out of the encoder's memory, which the next call reuses
+  return Buffer.from(woff2);
+}
+
+/**
+ * The WOFF2 encoder a setting resolves to: 'wawoff2' or 'woff2-encoder'
+ * Asking for wawoff2 explicitly when it isn't installed is an error.
+ */
+export async function resolveWoff2Encoder(encoder = 'auto') {
+  if (!WOFF2_ENCODERS.includes(encoder)) {
+    throw new InvalidOptionError(`encoder must be one of ${WOFF2_ENCODERS.join(', ')}, got ${encoder}`);
+  }
+  if (encoder === 'woff2-encoder') {
+    return encoder;
+  }
+  const available = Boolean(await loadWawoff2());
+  if (encoder === 'wawoff2' && !available) {
+    throw new InvalidOptionError('wawoff2 is not installed (it is an optional dependency); use the woff2-encoder encoder');
+  }
+  return available ? 'wawoff2' : 'woff2-encoder';
+}
+
+// The WebAssembly encoders keep state in one shared heap, so overlapping
+// calls from concurrent batch jobs corrupt each other's output
+let woff2Queue = Promise.resolve();
+
+function serializeWoff2(task) {
+  const result = woff2Queue.then(task);
+  woff2Queue = result.catch(() => {});
+  return result;
+}
+
+async function loadWawoff2() {
+  try {
+    const { default: wawoff2 } = await import('wawoff2');
+    return wawoff2;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Glyph bounding-box analysis
+ * Measures the vertical extent of every glyph so we can tell whether new
+ * win metrics would clip them on Windows.
+ */
+
+import * as fontkit from 'fontkit';
+import { inRanges, formatCodePoint } from './unicode.js';
+
+/**
+ * Measure the vertical bounds of every glyph with outlines
+ * Returns the union extents and one entry per glyph, with the code points
+ * that map to it from the cmap.
+ */
+export function measureGlyphs(sfnt) {
+  const font = fontkit.create(sfnt);
+
+  // Reverse the cmap so clipped glyphs can be reported by character
+  const codePointsByGlyph = new Map();
+  for (const codePoint of font.characterSet) {
+    const id = font.glyphForCodePoint(codePoint).id;
+    if (!codePointsByGlyph.has(id)) {
+      codePointsByGlyph.set(id, []);
+    }
+    codePointsByGlyph.get(id).push(codePoint);
+  }
+
+  const glyphs = [];
+  let yMin = 0;
+  let yMax = 0;
+
+  for (let id = 0; id < font.numGlyphs; id++) {
+    const { minY, maxY } = font.getGlyph(id).bbox;
+    // Empty glyphs such as space have an infinite (inverted) bbox
+    if (!Number.isFinite(minY) || !Number.isFinite(maxY)) {
+      continue;
+    }
+    glyphs.push({ id, codePoints: codePointsByGlyph.get(id) || [], yMin: minY, yMax: maxY });
+    yMin = Math.min(yMin, minY);
+    yMax = Math.max(yMax, maxY);
+  }
+
+  return { yMin, yMax, glyphs };
+}
+
+/**
+ * Find glyphs that extend past the given ascent (above) or descent (below)
+ * `descent` is a positive distance below the baseline, like usWinDescent.
+ * When `ranges` is given only glyphs mapped from those code points count.
+ * Results are sorted worst overflow first.
+ */
+export function findClippedGlyphs(measurement, { ascent, descent, ranges = null }) {
+  return measurement.glyphs
+    .filter(glyph => !ranges || glyph.codePoints.some(codePoint => inRanges(ranges, codePoint)))
+    .filter(glyph => glyph.yMax > ascent || -glyph.yMin > descent)
+    .map(glyph => ({
+      ...glyph,
+      label: describeGlyph(glyph),
+      overflowTop: Math.max(0, glyph.yMax - ascent),
+      overflowBottom: Math.max(0, -glyph.yMin - descent)
+    }))
+    .sort((a, b) => Math.max(b.overflowTop, b.overflowBottom) - Math.max(a.overflowTop, a.overflowBottom));
+}
+
+/**
+ * Name a glyph by its first character, e.g. "U+00C5 Å", or by glyph ID
+ */
+export function describeGlyph(glyph) {
+  if (glyph.codePoints.length === 0) {
+    return `glyph #${glyph.id}`;
+  }
+  const codePoint = glyph.codePoints[0];
+  return `${formatCodePoint(codePoint)} ${String.fromCodePoint(codePoint)}`;
+}
+
+/**
+ * Height of a character's outline above the baseline, or null if unmapped
+ * Used to measure cap height from 'H' and x-height from 'x'.
+ */
+export function measureCharacterHeight(sfnt, char) {
+  const font = fontkit.create(sfnt);
+  const codePoint = char.codePointAt(0);
+  if (!font.hasGlyphForCodePoint(codePoint)) {
+    return null;
+  }
+  const { maxY } = font.glyphForCodePoint(codePoint).bbox;
+  return Number.isFinite(maxY) ? maxY : null;
+}
@@ -0,0 +1,105 @@
+/**
+ * Family-wide metric harmonisation
+ * Proposes one ascent/descent/line gap for every member of a family so
+ * mixing weights and styles in a line doesn't shift the baseline. Values
+ * are shared in ems, so members with different units per em still line up.
+ */
+
+import path from 'path';
+import { toSfnt } from './format.js';
+import { readVerticalMetrics } from './sfnt.js';
+import { computeLineHeights } from './metrics.js';
+import { InvalidOptionError, MissingTableError } from './errors.js';
+
+/**
+ *   - union:  cover every member's glyph extents (head yMin/yMax), no line gap
+ *   - max:    the largest ascent, descent and line gap any member uses now
+ *   - master: copy the current metrics of one member to all the others
+ */
+export const HARMONIZE_STRATEGIES = ['union', 'max', 'master'];
+
+/**
+ * Propose shared metrics for a family
+ * `fonts` is a list of { name, buffer }; `master` names the member to copy
+ * (by path or file name) for the 'master' strategy. Current metrics are the
+ * ones Chrome and Firefox use (see computeLineHeights).
+ *
+ *   {
+ *     strategy: 'union',
+ *     em: { ascent: 1.079, descent: 0.269, lineGap: 0 },
+ *     fonts: [{ name, unitsPerEm, current: { ascent, descent, lineGap }, proposed: { ascent, descent, lineGap } }]
+ *   }
+ */
+export async function proposeHarmonizedMetrics(fonts, { strategy = 'union', master = null } = {}) {
+  if (!HARMONIZE_STRATEGIES.includes(strategy)) {
+    throw new InvalidOptionError(`strategy must be one of ${HARMONIZE_STRATEGIES.join(', ')}, got ${strategy}`);
+  }
+  if (fonts.length === 0) {
+    throw new InvalidOptionError('Harmonizing needs at least one font');
+  }
+
+  const members = await Promise.all(fonts.map(async ({ name, buffer }) => {
+    const metrics = readVerticalMetrics(await toSfnt(buffer));
+    const box = computeLineHeights(metrics).chrome;
+    if (!box) {
+      throw new MissingTableError('hhea');
+    }
+    return {
+      name,
+      unitsPerEm: metrics.unitsPerEm,
+      head: metrics.head,
+      current: { ascent: box.ascent, descent: box.descent, lineGap: Math.max(box.lineGap, 0) }
+    };
+  }));
+
+  const inEms = (member, value) => value / member.unitsPerEm;
+  const largest = pick => Math.max(...members.map(member => inEms(member, pick(member))));
+
+  let em;
+  if (strategy === 'union') {
+    em = { ascent: largest(member => member.head.yMax), descent: largest(member => -member.head.yMin), lineGap: 0 };
+  } else if (strategy === 'max') {
+    em = {
+      ascent: largest(member => member.current.ascent),
+      descent: largest(member => member.current.descent),
+      lineGap: largest(member => member.current.lineGap)
+    };
+  } else {
+    const source = members.find(member => member.name === master || path.basename(member.name) === master);
+    if (!source) {
+      throw new InvalidOptionError(`Master '${master}' is not one of the fonts being harmonized`);
+    }
+    const { ascent, descent, lineGap } = source.current;
+    em = { ascent: inEms(source, ascent), descent: inEms(source, descent), lineGap: inEms(source, lineGap) };
+  }
+
+  return {
+    strategy,
+    em: {
+      ascent: Math.round(em.ascent * 1000) / 1000,
+      descent: Math.round(em.descent * 1000) / 1000,
+      lineGap: Math.round(em.lineGap * 1000) / 1000
+    },
+    fonts: members.map(({ name, unitsPerEm, current }) => ({
+      name,
+      unitsPerEm,
+      current,
+      proposed: {
+        ascent: Math.round(em.ascent * unitsPerEm),
+        descent: Math.round(em.descent * unitsPerEm),
+        lineGap: Math.round(em.lineGap * unitsPerEm)
+      }
+    }))
+  };
+}
+
+/**
+ * setMetrics() settings that apply one member's proposed metrics
+ */
+export function harmonizedSettings(member) {
+  return {
+    ascent: `${member.proposed.ascent}u`,
+    descent: `${member.proposed.descent}u`,
+    lineGap: `${member.proposed.lineGap}u`
+  };
+}
@@ -0,0 +1,448 @@
+/**
+ * High-level metric reading and writing on whole font files
+ * Accepts TTF, OTF, WOFF or WOFF2 buffers and returns plain objects.
+ */
+
+import { toSfnt, fromSfnt, detectFormat } from './format.js';
+import { readTableDirectory, readVerticalMetrics, patchVerticalMetrics } from './sfnt.js';
+import { measureGlyphs, findClippedGlyphs, measureCharacterHeight } from './glyphs.js';
+import { parseUnicodeRanges } from './unicode.js';
+import { readVariations, updateMvar } from './variations.js';
+import { renameFont } from './names.js';
+import { readProvenance, recordProvenance, restoreProvenance } from './provenance.js';
+import { UnsupportedFormatError, InvalidOptionError, GlyphClippingError } from './errors.js';
+
+const CLIP_CHECK_MODES = ['off', 'warn', 'fail'];
+
+// Reference heights for optical centering: the OS/2 field and the glyph
+// to measure when the field is missing (OS/2 before version 2) or zero
+export const CENTER_MODES = {
+  caps: { field: 'capHeight', char: 'H', label: 'cap height' },
+  'x-height': { field: 'xHeight', char: 'x', label: 'x-height' }
+};
+
+// fsSelection bit 7: use OS/2 typo metrics for line spacing
+export const USE_TYPO_METRICS = 0x80;
+
+/**
+ * Read vertical metrics from a font buffer in any supported format
+ *
+ *   const metrics = await readMetrics(fs.readFileSync('font.woff2'));
+ *   // { format: 'woff2', outlines, unitsPerEm, head, hhea, os2, lineHeight, variations, provenance }
+ *
+ * `provenance` is the font's edit history from earlier setMetrics() runs
+ * (see readProvenance), or null.
+ */
+export async function readMetrics(buffer) {
+  const format = detectFormat(buffer);
+  const sfnt = await toSfnt(buffer);
+  const metrics = readVerticalMetrics(sfnt);
+  return {
+    format,
+    ...metrics,
+    lineHeight: computeLineHeights(metrics),
+    variations: readVariations(sfnt),
+    provenance: readProvenance(sfnt)
+  };
+}
+
+/**
+ * Work out the metrics each platform uses for `line-height: normal`
+ *   - safari:  Safari on macOS/iOS always uses hhea
+ *   - chrome:  Chrome and Firefox on macOS, Linux and Android use OS/2 typo
+ *              metrics when USE_TYPO_METRICS is set, otherwise hhea
+ *   - windows: every browser on Windows uses OS/2 typo metrics when
+ *              USE_TYPO_METRICS is set, otherwise usWinAscent/usWinDescent
+ * `normal` is the resulting line height as a multiple of the font size.
+ */
+export function computeLineHeights(metrics) {
+  const { unitsPerEm, hhea, os2 } = metrics;
+
+  const box = (source, ascent, descent, lineGap) => ({
+    source,
+    ascent,
+    descent,
+    lineGap,
+    normal: Math.round(((ascent + descent + Math.max(lineGap, 0)) / unitsPerEm) * 1000) / 1000
+  });
+
+  const typo = os2 && box('typo', os2.typoAscender, -os2.typoDescender, os2.typoLineGap);
+  const hheaBox = hhea && box('hhea', hhea.ascender, -hhea.descender, hhea.lineGap);
+  const win = os2 && box('win', os2.winAscent, os2.winDescent, 0);
+  const useTypo = Boolean(os2?.useTypoMetrics);
+
+  return {
+    safari: hheaBox,
+    chrome: useTypo ? typo : hheaBox,
+    windows: useTypo ? typo : win
+  };
+}
+
+/**
+ * The hhea and OS/2 values a font ends up with after setMetrics()
+ * `original` and `applied` are the fields of its result.
+ */
+export function resultingMetrics(original, applied) {
+  return {
+    hhea: original.hhea && { ...original.hhea, ...applied.hhea },
+    os2: original.os2 && { ...original.os2, ...applied.os2 }
+  };
+}
+
+/**
+ * Resolve one metric value to font units
+ * Numbers use the field's default unit; strings may say so explicitly:
+ * '90%' is a percentage of the em size, '1843u' is font units.
+ */
+export function resolveMetricValue(value, unitsPerEm, defaultUnit = 'percent') {
+  let amount = value;
+  let unit = defaultUnit;
+
+  if (typeof value === 'string') {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*(%|u)?\s*$/.exec(value);
+    if (!match) {
+      throw new InvalidOptionError(`Invalid metric value '${value}' (use a number, '90%' or '1843u')`);
+    }
+    amount = parseFloat(match[1]);
+    unit = match[2] === '%' ? 'percent' : match[2] === 'u' ? 'units' : defaultUnit;
+  }
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    throw new InvalidOptionError(`Invalid metric value '${value}'`);
+  }
+  return Math.round(unit === 'percent' ? unitsPerEm * (amount / 100) : amount);
+}
+
+/**
+ * Parse a CLI table spec: 'keep', or 'ascent,descent[,lineGap]'
+ * Empty positions fall back to the global -a/-d/-l values.
+ *
+ *   parseTableSpec('90%,22%,0')   // { ascent: '90%', descent: '22%', lineGap: '0' }
+ *   parseTableSpec('1900u,,')     // { ascent: '1900u' }
+ */
+export function parseTableSpec(spec) {
+  if (spec.trim().toLowerCase() === 'keep') {
+    return 'keep';
+  }
+  const parts = spec.split(',').map(part => part.trim());
+  if (parts.length > 3) {
+    throw new InvalidOptionError(`Invalid table metrics '${spec}' (use 'keep' or ascent,descent[,lineGap])`);
+  }
+  const values = {};
+  ['ascent', 'descent', 'lineGap'].forEach((key, i) => {
+    if (parts[i]) {
+      values[key] = parts[i];
+    }
+  });
+  return values;
+}
+
+// Table settings of false or 'keep' leave that table untouched
+function isKept(tableSettings) {
+  return tableSettings === false || tableSettings === 'keep';
+}
+
+/**
+ * Turn one table's settings into { ascent, descent, lineGap } in font units
+ * Fields the table doesn't set come from the global settings. Descent is
+ * returned as a positive distance below the baseline.
+ */
+function resolveTableMetrics(tableSettings, defaults, unitsPerEm) {
+  const merged = { ...defaults, ...(tableSettings || {}) };
+  return {
+    ascent: resolveMetricValue(merged.ascent, unitsPerEm, 'percent'),
+    descent: Math.abs(resolveMetricValue(merged.descent, unitsPerEm, 'percent')),
+    lineGap: resolveMetricValue(merged.lineGap, unitsPerEm, 'units')
+  };
+}
+
+/**
+ * Convert metric settings into the hhea/OS/2 field values to write
+ * `ascent` and `descent` default to percentages of the em size and
+ * `lineGap` to font units; any value may be given as '90%' or '1843u'.
+ *
+ * `hhea`, `typo` and `win` override the global values per table
+ * ({ ascent, descent, lineGap }), or leave a table untouched with 'keep'.
+ * `useTypoMetrics` sets (true) or clears (false) fsSelection bit 7, or
+ * leaves it alone with 'keep'. Tables the font doesn't have are left out.
+ *
+ * With `safeWinMetrics`, usWinAscent/usWinDescent are set to the real glyph
+ * extents from `glyphs` (see measureGlyphs) instead of the new ascent/descent,
+ * so Windows never clips outlines while typo and hhea still change.
+ */
+export function computeMetricChanges(current, settings = {}, glyphs = null) {
+  const {
+    ascent = 90,
+    descent = 22,
+    lineGap = 0,
+    safeWinMetrics = false,
+    useTypoMetrics = true
+  } = settings;
+  const defaults = { ascent, descent, lineGap };
+  const { unitsPerEm } = current;
+
+  if (safeWinMetrics && (settings.win !== undefined && !isKept(settings.win))) {
+    throw new InvalidOptionError('safeWinMetrics cannot be combined with explicit win metrics');
+  }
+  if (safeWinMetrics && !glyphs) {
+    throw new InvalidOptionError('safeWinMetrics needs glyph measurements');
+  }
+  if (![true, false, 'keep'].includes(useTypoMetrics)) {
+    throw new InvalidOptionError(`useTypoMetrics must be true, false or 'keep', got ${useTypoMetrics}`);
+  }
+
+  const hhea = isKept(settings.hhea) ? null : resolveTableMetrics(settings.hhea, defaults, unitsPerEm);
+  const typo = isKept(settings.typo) ? null : resolveTableMetrics(settings.typo, defaults, unitsPerEm);
+  let win = isKept(settings.win) ? null : resolveTableMetrics(settings.win, defaults, unitsPerEm);
+  if (safeWinMetrics && !isKept(settings.win)) {
+    win = { ascent: Math.max(0, Math.ceil(glyphs.yMax)), descent: Math.max(0, Math.ceil(-glyphs.yMin)) };
+  }
+
+  const changes = { hhea: null, os2: null };
+
+  if (current.hhea && hhea) {
+    changes.hhea = {
+      ascender: hhea.ascent,
+      descender: -hhea.descent,
+      lineGap: hhea.lineGap
+    };
+  }
+
+  if (current.os2) {
+    const os2 = {};
+    if (typo) {
+      os2.typoAscender = typo.ascent;
+      os2.typoDescender = -typo.descent;
+      os2.typoLineGap = typo.lineGap;
+    }
+    if (win) {
+      os2.winAscent = win.ascent;
+      os2.winDescent = win.descent;
+    }
+    // USE_TYPO_METRICS tells Windows and Chrome to use the typo metrics
+    if (useTypoMetrics === true) {
+      os2.fsSelection = current.os2.fsSelection | USE_TYPO_METRICS;
+    } else if (useTypoMetrics === false) {
+      os2.fsSelection = current.os2.fsSelection & ~USE_TYPO_METRICS;
+    }
+    changes.os2 = Object.keys(os2).length > 0 ? os2 : null;
+  }
+
+  return changes;
+}
+
+/**
+ * Compute ascent/descent that visually centre capitals or lowercase
+ * The reference height h (cap height or x-height) is centred in a line box
+ * of `lineHeight` ems with no line gap:
+ *
+ *   ascent + descent = lineHeight × unitsPerEm
+ *   ascent - descent = h
+ *
+ * `lineHeight` defaults to the font's current line-height: normal.
+ */
+export function computeCenteredMetrics(current, sfnt, { center, lineHeight } = {}) {
+  const mode = CENTER_MODES[center];
+  if (!mode) {
+    throw new InvalidOptionError(`center must be one of ${Object.keys(CENTER_MODES).join(', ')}, got ${center}`);
+  }
+
+  let referenceHeight = current.os2?.[mode.field] || null;
+  let source = `OS/2 ${mode.field}`;
+  if (!referenceHeight) {
+    referenceHeight = measureCharacterHeight(sfnt, mode.char);
+    source = `'${mode.char}' glyph`;
+  }
+  if (!referenceHeight) {
+    throw new InvalidOptionError(`Font has no ${mode.label} in OS/2 and no '${mode.char}' glyph to measure`);
+  }
+
+  const targetLineHeight = lineHeight ?? computeLineHeights(current).chrome?.normal ?? 1.2;
+  if (!(targetLineHeight > 0)) {
+    throw new InvalidOptionError(`lineHeight must be a positive number, got ${lineHeight}`);
+  }
+
+  const total = Math.round(targetLineHeight * current.unitsPerEm);
+  const ascent = Math.round((total + referenceHeight) / 2);
+
+  return {
+    center,
+    reference: mode.label,
+    referenceHeight,
+    source,
+    lineHeight: targetLineHeight,
+    ascent,
+    descent: total - ascent,
+    lineGap: 0
+  };
+}
+
+/**
+ * Apply new vertical metrics to a font buffer
+ * The result is re-wrapped in the input's format unless `options.format`
+ * ('sfnt', 'woff' or 'woff2') asks for another one.
+ *
+ * `settings.center` ('caps' or 'x-height') derives ascent/descent from the
+ * font's cap height or x-height instead (see computeCenteredMetrics), for
+ * `settings.lineHeight` ems.
+ *
+ * In variable fonts `settings.mvar` decides what happens to MVAR records
+ * for the edited typo/win values: 'remove' (default) drops them, 'scale'
+ * rescales their deltas, 'keep' leaves them with a warning.
+ *
+ * `settings.rename` ({ family | suffix, style, fullName, postscriptName,
+ * uniqueId }) also renames the font (see renameFont); the old and new
+ * names are returned as `names`.
+ *
+ * `options.clipCheck` ('off', 'warn' or 'fail') scans glyph bounding boxes
+ * for outlines the new win metrics would clip; `options.checkChars` limits
+ * the check to a unicode range spec such as 'latin,U+2000-206F'.
+ *
+ * With `options.provenance`, the original values and the settings are
+ * recorded in the font (see recordProvenance) so restoreMetrics() can undo
+ * the edit. It is off by default: the table adds bytes to every shipped font
+ * and tells anyone who looks how it was edited.
+ *
+ *   const { buffer, original, applied, clipped, warnings } =
+ *     await setMetrics(input, { ascent: 90, descent: 22, lineGap: 0 }, { clipCheck: 'warn' });
+ */
+export async function setMetrics(buffer, settings = {}, options = {}) {
+  const { clipCheck = 'off', checkChars = null, provenance = false } = options;
+  if (!CLIP_CHECK_MODES.includes(clipCheck)) {
+    throw new InvalidOptionError(`clipCheck must be one of ${CLIP_CHECK_MODES.join(', ')}, got ${clipCheck}`);
+  }
+
+  const inputFormat = detectFormat(buffer);
+  if (!inputFormat) {
+    throw new UnsupportedFormatError('Unrecognised font format (expected TTF, OTF, WOFF or WOFF2)');
+  }
+
+  const sfnt = await toSfnt(buffer);
+  const original = readVerticalMetrics(sfnt);
+
+  // Optical centering replaces the global ascent/descent/line gap
+  let centered = null;
+  if (settings.center) {
+    centered = computeCenteredMetrics(original, sfnt, settings);
+    settings = {
+      ...settings,
+      ascent: `${centered.ascent}u`,
+      descent: `${centered.descent}u`,
+      lineGap: `${centered.lineGap}u`
+    };
+  }
+
+  // Glyph bounds are only needed for clipping checks and safe win metrics
+  const glyphs = clipCheck !== 'off' || settings.safeWinMetrics ? measureGlyphs(sfnt) : null;
+  const applied = computeMetricChanges(original, settings, glyphs);
+
+  const warnings = [];
+  if (!original.os2) {
+    warnings.push('Font has no OS/2 table');
+  }
+  if (!original.hhea) {
+    warnings.push('Font has no hhea table');
+  }
+
+  if (settings.useTypoMetrics !== false && settings.useTypoMetrics !== 'keep' && original.os2?.version < 4) {
+    warnings.push(`USE_TYPO_METRICS is only defined for OS/2 version 4 and later (font has version ${original.os2.version})`);
+  }
+
+  // Clipping is judged against the win metrics Windows will end up with
+  const finalWin = {
+    ascent: applied.os2?.winAscent ?? original.os2?.winAscent,
+    descent: applied.os2?.winDescent ?? original.os2?.winDescent
+  };
+
+  let clipped = null;
+  if (clipCheck !== 'off' && original.os2) {
+    const ranges = typeof checkChars === 'string' ? parseUnicodeRanges(checkChars) : checkChars;
+    clipped = findClippedGlyphs(glyphs, { ...finalWin, ranges });
+
+    if (clipped.length > 0) {
+      const message = `${clipped.length} glyph(s) extend past win ascent ${finalWin.ascent} / ` +
+        `descent ${finalWin.descent} and would be clipped on Windows`;
+      if (clipCheck === 'fail') {
+        throw new GlyphClippingError(message, clipped);
+      }
+      warnings.push(message);
+    }
+  }
+
+  // Patch hhea (Mac metrics, critical for Safari) and OS/2 (Windows/cross-platform)
+  // directly in the SFNT bytes; every other table is left untouched
+  const patched = patchVerticalMetrics(sfnt, applied);
+
+  // In variable fonts MVAR would otherwise override the new typo/win
+  // values at every non-default instance
+  const mvar = updateMvar(patched, original, applied, settings.mvar);
+  const kept = mvar.changes.filter(change => change.action === 'kept');
+  if (kept.length > 0) {
+    warnings.push(`MVAR varies ${kept.map(change => change.tag).join(', ')}; ` +
+      'the new metrics only hold at the default instance');
+  }
+
+  // Renaming keeps the patched copy apart from an installed original
+  let output = mvar.sfnt;
+  let names = null;
+  if (settings.rename) {
+    const renamed = renameFont(output, settings.rename);
+    output = renamed.sfnt;
+    names = { before: renamed.before, after: renamed.after };
+    warnings.push(...renamed.warnings);
+  }
+
+  // Record the edit in the font so it can be traced and undone later
+  if (provenance) {
+    const mvarTable = readTableDirectory(sfnt).tables.find(table => table.tag === 'MVAR');
+    const mvarChanged = mvarTable && mvar.changes.some(change => change.action !== 'kept');
+    output = recordProvenance(output, {
+      settings,
+      original,
+      applied,
+      mvar: mvarChanged ? sfnt.subarray(mvarTable.offset, mvarTable.offset + mvarTable.length) : null
+    });
+  }
+
+  const format = options.format || inputFormat;
+
+  return {
+    buffer: await fromSfnt(output, format),
+    sfnt: output,
+    format,
+    original,
+    applied,
+    centered,
+    mvar: mvar.changes,
+    names,
+    clipped,
+    extents: glyphs && { yMin: glyphs.yMin, yMax: glyphs.yMax },
+    warnings
+  };
+}
+
+/**
+ * Undo every setMetrics() edit recorded in a font
+ * Puts back the hhea/OS/2 values (and MVAR) the font had before it was
+ * first patched, using the history stored in the font itself. Output
+ * format handling matches setMetrics().
+ *
+ *   const { buffer, original, restored, history, warnings } = await restoreMetrics(patched);
+ */
+export async function restoreMetrics(buffer, options = {}) {
+  const inputFormat = detectFormat(buffer);
+  const sfnt = await toSfnt(buffer);
+  const original = readVerticalMetrics(sfnt);
+  const { sfnt: output, restored, history, warnings } = restoreProvenance(sfnt);
+  const format = options.format || inputFormat;
+
+  return {
+    buffer: await fromSfnt(output, format),
+    sfnt: output,
+    format,
+    original,
+    restored,
+    history,
+    warnings
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Editing font files on disk
+ * What the font-metrics command does with each input: patch, restore or
+ * split a font and write the result in the format its output path names.
+ * Single fonts are re-read and checked before they are written, so a bad
+ * write fails without leaving a file behind.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readMetrics, setMetrics, restoreMetrics } from './metrics.js';
+import { setCollectionMetrics, readCollectionMetrics, selectFaces } from './collection.js';
+import { detectFormat, formatFromPath, fromSfnt } from './format.js';
+import { verifyOutput } from './diff.js';
+import { PROVENANCE_TAG } from './provenance.js';
+import { expandInputs, mirrorOutputPath } from './batch.js';
+import { computeFallbackOverrides } from './fallback.js';
+import { MissingTableError, InvalidOptionError, GlyphClippingError, FontWriteError } from './errors.js';
+
+/**
+ * Expand font-metrics inputs into { inputPath, outputPath } jobs
+ * See modifyJob() for the output paths. Throws InvalidOptionError when an
+ * input doesn't exist, nothing matches, or `output` is given for several
+ * fonts.
+ */
+export function modifyJobs(inputs, options = {}) {
+  const { files, missing } = expandInputs(inputs);
+  if (missing.length > 0) {
+    throw new InvalidOptionError(`Input file not found: ${missing.join(', ')}`);
+  }
+  if (files.length === 0) {
+    throw new InvalidOptionError('No font files found in the given inputs');
+  }
+  if (options.output && files.length > 1) {
+    throw new InvalidOptionError('--output can only be used with a single input file; use --out-dir for several');
+  }
+  return files.map(entry => modifyJob(entry, options));
+}
+
+/**
+ * The job for one expandInputs() entry
+ * The output is `output`, the input's place in a mirror of its tree under
+ * `outDir`, or name-fixed.ext (name-restored.ext with `restore`) next to it.
+ */
+export function modifyJob({ file, root }, { output = null, outDir = null, restore = false } = {}) {
+  const parsed = path.parse(file);
+  return {
+    inputPath: file,
+    outputPath: output ||
+      (outDir ? mirrorOutputPath(file, root, outDir) : path.join(parsed.dir, `${parsed.name}-${restore ? 'restored' : 'fixed'}${parsed.ext}`))
+  };
+}
+
+/**
+ * Run one font-metrics job on a font or collection file
+ * With `list` only the metrics are read (of the `faces` selected in a
+ * collection); with `restore` the recorded edits are undone; otherwise
+ * `settings` are applied. Other options go to saveModifiedFont() or
+ * saveModifiedCollection(). `fallback` is a fallback font buffer to
+ * compute CSS overrides against, named `fallbackLocal` in local().
+ * Returns
+ *
+ *   { mode: 'list' | 'restore' | 'modify', input, output, format,
+ *     original, modified, restored, fallback, faces }
+ *
+ * where `modified`/`restored` are the save…() results, `faces` is set for
+ * collections ([{ index, postscriptName, output, original, modified }]),
+ * and fields that don't apply are null. manifestEntry() turns it into the
+ * manifest's JSON.
+ */
+export async function modifyFontFile(inputPath, outputPath, settings = {}, options = {}) {
+  const { list = false, restore = false, faces = null, extract = false, fallback = null, fallbackLocal = null, ...saveOptions } = options;
+  const inputBuffer = fs.readFileSync(inputPath);
+  const format = detectFormat(inputBuffer);
+  const result = { mode: list ? 'list' : (restore ? 'restore' : 'modify'), input: inputPath, output: null, format, original: null, modified: null, restored: null, fallback: null, faces: null };
+  const fallbackOverrides = async buffer => {
+    const overrides = await computeFallbackOverrides(buffer, fallback);
+    return fallbackLocal ? { ...overrides, localName: fallbackLocal } : overrides;
+  };
+
+  if (format === 'collection') {
+    if (restore) {
+      throw new InvalidOptionError('--restore works on single fonts; extract the collection\'s faces with --extract first');
+    }
+    if (list) {
+      const all = await readCollectionMetrics(inputBuffer);
+      const selected = selectFaces(all, faces);
+      result.faces = all
+        .filter(face => selected.includes(face.index))
+        .map(face => ({ index: face.index, postscriptName: face.postscriptName, output: null, original: face, modified: null }));
+      result.faceCount = all.length;
+      return result;
+    }
+    const modified = await saveModifiedCollection(inputBuffer, outputPath, settings, { ...saveOptions, faces, extract });
+    result.output = extract ? null : outputPath;
+    result.warnings = modified.warnings;
+    result.faces = modified.faces.filter(face => face.result).map(face => ({
+      index: face.index,
+      postscriptName: face.postscriptName,
+      output: face.output ?? null,
+      original: face.result.original,
+      modified: face.result
+    }));
+    return result;
+  }
+
+  if (list) {
+    result.original = await readMetrics(inputBuffer);
+    result.fallback = fallback ? await fallbackOverrides(inputBuffer) : null;
+    return result;
+  }
+
+  if (restore) {
+    result.restored = await saveRestoredFont(inputBuffer, outputPath);
+    result.original = result.restored.original;
+  } else {
+    result.modified = await saveModifiedFont(inputBuffer, outputPath, settings, saveOptions);
+    result.original = result.modified.original;
+    // Match the fallback to the metrics just written
+    result.fallback = fallback ? await fallbackOverrides(result.modified.buffer) : null;
+  }
+  result.output = outputPath;
+  return result;
+}
+
+/**
+ * The manifest entry for a modifyFontFile() result
+ *
+ *   { input, output, original, applied, centered, mvar, names, clipped, fallback, error: null }
+ *
+ * Collections list their faces under `faces` with the same fields.
+ */
+export function manifestEntry(result) {
+  const changes = modified => ({
+    applied: modified?.applied ?? null,
+    centered: modified?.centered ?? null,
+    mvar: modified?.mvar ?? null,
+    names: modified?.names ?? null,
+    clipped: modified?.clipped ? modified.clipped.map(summarizeGlyph) : null
+  });
+  const entry = {
+    input: result.input,
+    output: result.output,
+    original: result.original,
+    ...changes(result.modified),
+    fallback: result.fallback,
+    error: null
+  };
+  if (result.restored) {
+    entry.applied = result.restored.restored;
+  }
+  if (result.faces) {
+    entry.faces = result.faces.map(face => ({
+      index: face.index,
+      postscriptName: face.postscriptName,
+      ...(result.mode === 'list' ? { original: face.original } : { output: face.output, original: face.original, ...changes(face.modified) })
+    }));
+  }
+  return entry;
+}
+
+/**
+ * The manifest entry for a font whose job threw `error`
+ */
+export function failedEntry(inputPath, error) {
+  return {
+    ...manifestEntry({ input: inputPath, output: null, original: null, modified: null, restored: null, fallback: null, faces: null }),
+    clipped: error instanceof GlyphClippingError ? error.glyphs.map(summarizeGlyph) : null,
+    error: error.message
+  };
+}
+
+/**
+ * setMetrics() on a font and write the result to `outputPath`
+ * `settings` and `options` are setMetrics()'s; the format follows the output
+ * extension. Returns setMetrics()'s result plus the verifyFont() result of
+ * the written font as `verification`.
+ */
+export async function saveModifiedFont(buffer, outputPath, settings, options = {}) {
+  const modified = await setMetrics(buffer, settings, { ...options, format: formatFromPath(outputPath) });
+  const verification = await verifyOutput(modified.buffer, modified.applied);
+  writeFontFile(outputPath, modified.buffer);
+  return { ...modified, verification };
+}
+
+/**
+ * restoreMetrics() on a font and write the result to `outputPath`
+ * Returns restoreMetrics()'s result plus `verification`.
+ */
+export async function saveRestoredFont(buffer, outputPath) {
+  let restored;
+  try {
+    restored = await restoreMetrics(buffer, { format: formatFromPath(outputPath) });
+  } catch (error) {
+    if (error instanceof MissingTableError && error.tag === PROVENANCE_TAG) {
+      error.message = 'Font has no font-metrics edit history to restore from (it was not patched, or was patched with --no-provenance)';
+    }
+    throw error;
+  }
+  const verification = await verifyOutput(restored.buffer, restored.restored);
+  writeFontFile(outputPath, restored.buffer);
+  return { ...restored, verification };
+}
+
+/**
+ * setCollectionMetrics() on a TTC/OTC and write the result
+ * Writes the collection to `outputPath` (which must be .ttc/.otc) or, with
+ * `extract`, each edited face as its own font next to it (see
+ * faceOutputPath). Returns setCollectionMetrics()'s result with an `output`
+ * on every extracted face.
+ */
+export async function saveModifiedCollection(buffer, outputPath, settings, { extract = false, ...options } = {}) {
+  if (!extract && formatFromPath(outputPath) !== 'collection') {
+    throw new InvalidOptionError('Collections can only be saved as .ttc/.otc; use --extract to write each face as its own font');
+  }
+
+  const modified = await setCollectionMetrics(buffer, settings, options);
+  if (!extract) {
+    writeFontFile(outputPath, modified.buffer);
+    return modified;
+  }
+
+  const faces = [];
+  for (const face of modified.faces) {
+    const output = face.result ? faceOutputPath(outputPath, face) : null;
+    if (output) {
+      writeFontFile(output, await fromSfnt(face.sfnt, formatFromPath(output)));
+    }
+    faces.push({ ...face, output });
+  }
+  return { ...modified, faces };
+}
+
+/**
+ * Where an extracted collection face goes
+ *   fonts-fixed.ttc → fonts-fixed-Lato-Bold.ttf (or .woff2 with -o x.woff2)
+ */
+export function faceOutputPath(outputPath, face) {
+  const parsed = path.parse(outputPath);
+  const webExtension = ['.woff', '.woff2'].includes(parsed.ext.toLowerCase());
+  const extension = webExtension ? parsed.ext : (face.result.original.outlines === 'CFF' ? '.otf' : '.ttf');
+  return path.join(parsed.dir, `${parsed.name}-${face.postscriptName || face.index}${extension}`);
+}
+
+/**
+ * Write the JSON manifest of a run: its settings and one entry per font
+ */
+export function writeManifest(manifestPath, settings, fonts) {
+  const manifest = {
+    generated: new Date().toISOString(),
+    settings,
+    fonts
+  };
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+function writeFontFile(outputPath, buffer) {
+  try {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, buffer);
+  } catch (error) {
+    throw new FontWriteError(`Failed to save font: ${error.message}`, error);
+  }
+}
+
+function summarizeGlyph(glyph) {
+  return { glyph: glyph.label, yMin: glyph.yMin, yMax: glyph.yMax };
+}
@@ -0,0 +1,359 @@
+/**
+ * Font naming (name table)
+ * A patched font that keeps its original names collides with an installed
+ * copy of the original in Safari's font cache and in design tools. These
+ * helpers read the family, full, PostScript and unique names and rewrite
+ * them consistently across every platform and language record.
+ *
+ * Reference: https://learn.microsoft.com/en-us/typography/opentype/spec/name
+ */
+
+import { findTable, replaceTable } from './sfnt.js';
+import { InvalidFontError, InvalidOptionError, MissingTableError } from './errors.js';
+
+// The name IDs we read or rewrite
+export const NAME_IDS = {
+  family: 1,
+  subfamily: 2,
+  uniqueId: 3,
+  fullName: 4,
+  postscriptName: 6,
+  typographicFamily: 16,
+  typographicSubfamily: 17
+};
+
+const PLATFORM_UNICODE = 0;
+const PLATFORM_MAC = 1;
+const PLATFORM_WINDOWS = 3;
+const MAC_ROMAN = 0;
+const WINDOWS_ENGLISH_US = 0x409;
+
+const NAME_HEADER_SIZE = 6;
+const NAME_RECORD_SIZE = 12;
+const LANG_TAG_RECORD_SIZE = 4;
+const MAX_POSTSCRIPT_NAME = 63;
+
+/**
+ * Read the font's names, preferring the Windows US English records
+ * Returns null when the font has no name table; missing names are null.
+ *
+ *   { family: 'Lato', subfamily: 'Regular', uniqueId, fullName: 'Lato Regular',
+ *     postscriptName: 'Lato-Regular', typographicFamily: null, typographicSubfamily: null }
+ */
+export function readNames(sfnt) {
+  const table = findTable(sfnt, 'name');
+  if (!table) {
+    return null;
+  }
+
+  const { records } = parseName(sfnt.subarray(table.offset, table.offset + table.length));
+  const names = {};
+  for (const [key, nameID] of Object.entries(NAME_IDS)) {
+    const record = preferredRecord(records.filter(r => r.nameID === nameID && r.value !== null));
+    names[key] = record ? record.value : null;
+  }
+  return names;
+}
+
+/**
+ * Family name a browser matches the font by: the typographic family when
+ * present, otherwise the legacy family
+ */
+export function familyName(names) {
+  return names && (names.typographicFamily ?? names.family);
+}
+
+/**
+ * Rename a font in its name table
+ * `rename` takes any of:
+ *   family          new family name (name IDs 1 and 16)
+ *   suffix          appended to the existing family, e.g. 'Fixed' → 'Lato Fixed'
+ *   style           new typographic subfamily (ID 17), e.g. 'Text Bold'
+ *   fullName        full name (ID 4); defaults to the new family plus the style
+ *   postscriptName  PostScript name (ID 6); defaults to the new family without spaces plus the style
+ *   uniqueId        unique ID (ID 3); defaults to the old one with the new PostScript name
+ * Names in other languages are renamed by replacing their own family prefix.
+ * Returns { sfnt, before, after, warnings } with before/after from readNames().
+ */
+export function renameFont(sfnt, rename = {}) {
+  const { family, suffix, style, fullName, postscriptName, uniqueId } = rename;
+  if (family !== undefined && suffix !== undefined) {
+    throw new InvalidOptionError('Set either a new family name or a suffix, not both');
+  }
+  for (const [key, value] of Object.entries({ family, suffix, style, fullName, postscriptName, uniqueId })) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      throw new InvalidOptionError(`${key} must be a non-empty string`);
+    }
+  }
+  if (postscriptName !== undefined) {
+    checkPostscriptName(postscriptName);
+  }
+
+  const table = findTable(sfnt, 'name');
+  if (!table) {
+    throw new MissingTableError('name');
+  }
+
+  const before = readNames(sfnt);
+  const name = parseName(sfnt.subarray(table.offset, table.offset + table.length));
+  const renameFamily = old => (family ?? (suffix ? `${old} ${suffix.trim()}` : old));
+
+  const oldFamily = familyName(before);
+  const newFamily = oldFamily === null ? family ?? null : renameFamily(oldFamily);
+  const oldPostscript = before.postscriptName;
+  const renamesFamilyOrStyle = family !== undefined || suffix !== undefined || style !== undefined;
+  const newPostscript = postscriptName ??
+    (renamesFamilyOrStyle ? derivePostscriptName(newFamily, style, oldPostscript) : oldPostscript);
+
+  // Each platform/encoding/language group renames relative to its own family name
+  const groups = new Map();
+  for (const record of name.records) {
+    const key = `${record.platformID}/${record.encodingID}/${record.languageID}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+
+  const warnings = [];
+  const records = [];
+  for (const group of groups.values()) {
+    const lookup = nameID => group.find(record => record.nameID === nameID)?.value ?? null;
+    const groupFamily = lookup(NAME_IDS.typographicFamily) ?? lookup(NAME_IDS.family);
+    const groupNewFamily = groupFamily === null ? newFamily : renameFamily(groupFamily);
+    const groupStyle = style ?? lookup(NAME_IDS.typographicSubfamily) ?? lookup(NAME_IDS.subfamily);
+    const withFamily = old => (groupFamily !== null && old.startsWith(groupFamily)
+      ? groupNewFamily + old.slice(groupFamily.length)
+      : renameFamily(old));
+
+    const rewrite = record => {
+      switch (record.nameID) {
+        case NAME_IDS.family:
+          return withFamily(record.value);
+        case NAME_IDS.typographicFamily:
+          return groupNewFamily;
+        case NAME_IDS.typographicSubfamily:
+          return style ?? record.value;
+        case NAME_IDS.fullName:
+          if (fullName !== undefined) {
+            return fullName;
+          }
+          if (style === undefined && (groupNewFamily === groupFamily || record.value.startsWith(groupFamily))) {
+            return withFamily(record.value);
+          }
+          return [groupNewFamily, groupStyle].filter(Boolean).join(' ');
+        case NAME_IDS.postscriptName:
+          return newPostscript ?? record.value;
+        case NAME_IDS.uniqueId:
+          if (uniqueId !== undefined) {
+            return uniqueId;
+          }
+          if (oldPostscript && newPostscript && record.value.includes(oldPostscript)) {
+            return record.value.replace(oldPostscript, newPostscript);
+          }
+          return groupFamily !== null && record.value.includes(groupFamily)
+            ? record.value.replace(groupFamily, groupNewFamily)
+            : record.value;
+        default:
+          return record.value;
+      }
+    };
+
+    for (const record of group) {
+      // Records we can't decode (legacy non-Roman Mac encodings) are kept byte for byte
+      if (record.value === null) {
+        records.push(record);
+        continue;
+      }
+      const value = rewrite(record);
+      if (value === record.value) {
+        records.push(record);
+        continue;
+      }
+      const bytes = encodeName(record, value);
+      if (bytes === null) {
+        warnings.push(`Dropped Mac Roman name ID ${record.nameID}: '${value}' isn't ASCII`);
+        continue;
+      }
+      records.push({ ...record, value, bytes });
+    }
+
+    // A new style needs an ID 17 record wherever the family is named
+    if (style !== undefined && lookup(NAME_IDS.typographicSubfamily) === null && lookup(NAME_IDS.family) !== null) {
+      const template = group.find(record => record.nameID === NAME_IDS.family);
+      const bytes = encodeName(template, style);
+      if (bytes !== null) {
+        records.push({ ...template, nameID: NAME_IDS.typographicSubfamily, value: style, bytes });
+      }
+    }
+  }
+
+  const renamed = replaceTable(sfnt, 'name', buildName(name, records));
+  return { sfnt: renamed, before, after: readNames(renamed), warnings };
+}
+
+function checkPostscriptName(value) {
+  if (value.length > MAX_POSTSCRIPT_NAME || !/^[\x21-\x7E]+$/.test(value) || /[[\](){}<>/%]/.test(value)) {
+    throw new InvalidOptionError(
+      `Invalid PostScript name '${value}' (at most 63 printable ASCII characters, no spaces or [](){}<>/%)`
+    );
+  }
+}
+
+function postscriptSafe(value) {
+  return value.replace(/[^\x21-\x7E]|[[\](){}<>/%]/g, '');
+}
+
+// 'Lato Fixed' + 'Lato-Bold' → 'LatoFixed-Bold'
+function derivePostscriptName(family, style, oldPostscript) {
+  if (family === null) {
+    return null;
+  }
+  let styleSuffix = '';
+  if (style !== undefined) {
+    styleSuffix = `-${postscriptSafe(style)}`;
+  } else if (oldPostscript?.includes('-')) {
+    styleSuffix = oldPostscript.slice(oldPostscript.indexOf('-'));
+  }
+  return (postscriptSafe(family) + styleSuffix).slice(0, MAX_POSTSCRIPT_NAME);
+}
+
+/**
+ * Parse the name table into records with their raw bytes and decoded value
+ * `value` is null for encodings we don't decode.
+ */
+function parseName(name) {
+  if (name.length < NAME_HEADER_SIZE) {
+    throw new InvalidFontError('Truncated name table');
+  }
+  const format = name.readUInt16BE(0);
+  const count = name.readUInt16BE(2);
+  const storage = name.readUInt16BE(4);
+  if (NAME_HEADER_SIZE + count * NAME_RECORD_SIZE > name.length) {
+    throw new InvalidFontError('Truncated name table records');
+  }
+
+  const stringAt = (offset, length) => {
+    if (storage + offset + length > name.length) {
+      throw new InvalidFontError('name table string runs past the end of the table');
+    }
+    return Buffer.from(name.subarray(storage + offset, storage + offset + length));
+  };
+
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const offset = NAME_HEADER_SIZE + i * NAME_RECORD_SIZE;
+    const record = {
+      platformID: name.readUInt16BE(offset),
+      encodingID: name.readUInt16BE(offset + 2),
+      languageID: name.readUInt16BE(offset + 4),
+      nameID: name.readUInt16BE(offset + 6),
+      bytes: stringAt(name.readUInt16BE(offset + 10), name.readUInt16BE(offset + 8))
+    };
+    record.value = decodeName(record);
+    records.push(record);
+  }
+
+  // Format 1 adds language-tag strings after the records
+  const langTags = [];
+  if (format === 1) {
+    const base = NAME_HEADER_SIZE + count * NAME_RECORD_SIZE;
+    const tagCount = name.readUInt16BE(base);
+    for (let i = 0; i < tagCount; i++) {
+      const offset = base + 2 + i * LANG_TAG_RECORD_SIZE;
+      langTags.push(stringAt(name.readUInt16BE(offset + 2), name.readUInt16BE(offset)));
+    }
+  }
+
+  return { format, records, langTags };
+}
+
+function isUtf16(record) {
+  return record.platformID === PLATFORM_UNICODE || record.platformID === PLATFORM_WINDOWS;
+}
+
+function isMacRoman(record) {
+  return record.platformID === PLATFORM_MAC && record.encodingID === MAC_ROMAN;
+}
+
+function decodeName(record) {
+  if (isUtf16(record)) {
+    return Buffer.from(record.bytes).swap16().toString('utf16le');
+  }
+  // Mac Roman matches ASCII; only ASCII names are common in practice
+  return isMacRoman(record) ? record.bytes.toString('latin1') : null;
+}
+
+// Returns null when the value can't be stored in the record's encoding
+function encodeName(record, value) {
+  if (isUtf16(record)) {
+    return Buffer.from(value, 'utf16le').swap16();
+  }
+  return /^[\x00-\x7F]*$/.test(value) ? Buffer.from(value, 'latin1') : null;
+}
+
+// Windows US English first, then any Windows, Unicode and Mac Roman record
+function preferredRecord(records) {
+  const rank = record => {
+    if (record.platformID === PLATFORM_WINDOWS) {
+      return record.languageID === WINDOWS_ENGLISH_US ? 0 : 1;
+    }
+    return record.platformID === PLATFORM_UNICODE ? 2 : 3;
+  };
+  return records.reduce((best, record) => (best === null || rank(record) < rank(best) ? record : best), null);
+}
+
+/**
+ * Serialise a name table, sharing storage between identical strings
+ * Records are sorted by platform, encoding, language and name ID as the
+ * spec requires.
+ */
+function buildName(name, records) {
+  const sorted = [...records].sort((a, b) =>
+    a.platformID - b.platformID || a.encodingID - b.encodingID ||
+    a.languageID - b.languageID || a.nameID - b.nameID);
+
+  const strings = [];
+  const offsets = new Map();
+  let storageSize = 0;
+  const store = bytes => {
+    const key = bytes.toString('hex');
+    if (!offsets.has(key)) {
+      if (storageSize > 0xFFFF) {
+        throw new InvalidFontError('name table strings exceed 64 KB');
+      }
+      offsets.set(key, storageSize);
+      strings.push(bytes);
+      storageSize += bytes.length;
+    }
+    return offsets.get(key);
+  };
+
+  const langTagSize = name.format === 1 ? 2 + name.langTags.length * LANG_TAG_RECORD_SIZE : 0;
+  const storage = NAME_HEADER_SIZE + sorted.length * NAME_RECORD_SIZE + langTagSize;
+  const header = Buffer.alloc(storage);
+  header.writeUInt16BE(name.format, 0);
+  header.writeUInt16BE(sorted.length, 2);
+  header.writeUInt16BE(storage, 4);
+
+  sorted.forEach((record, i) => {
+    const offset = NAME_HEADER_SIZE + i * NAME_RECORD_SIZE;
+    header.writeUInt16BE(record.platformID, offset);
+    header.writeUInt16BE(record.encodingID, offset + 2);
+    header.writeUInt16BE(record.languageID, offset + 4);
+    header.writeUInt16BE(record.nameID, offset + 6);
+    header.writeUInt16BE(record.bytes.length, offset + 8);
+    header.writeUInt16BE(store(record.bytes), offset + 10);
+  });
+
+  if (name.format === 1) {
+    const base = NAME_HEADER_SIZE + sorted.length * NAME_RECORD_SIZE;
+    header.writeUInt16BE(name.langTags.length, base);
+    name.langTags.forEach((tag, i) => {
+      header.writeUInt16BE(tag.length, base + 2 + i * LANG_TAG_RECORD_SIZE);
+      header.writeUInt16BE(store(tag), base + 4 + i * LANG_TAG_RECORD_SIZE);
+    });
+  }
+
+  return Buffer.concat([header, ...strings]);
+}
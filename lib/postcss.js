@@ -0,0 +1,92 @@
+/**
+ * PostCSS plugin
+ * Patches the fonts loaded by @font-face rules (see patchFontFace) and
+ * points the rules at the patched WOFF2 files:
+ *
+ *   // postcss.config.js
+ *   import { fontMetricsPostcss } from 'font-metrics-editor';
+ *   export default { plugins: [fontMetricsPostcss({ metrics: { lineGap: 0 } })] };
+ *
+ * Options:
+ *   metrics     setMetrics() settings, or ({ family, file }) => settings
+ *   cacheDir    where patched fonts are kept between builds
+ *   outDir      copy patched fonts here instead of linking into the cache
+ *   publicPath  URL prefix for fonts in outDir (default: relative to the CSS)
+ *   clipCheck, checkChars, encoder  as for setMetrics() and compressWoff2()
+ *
+ * PostCSS itself is not a dependency; the plugin is a plain object.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { patchFontFace, relativeUrl } from './assets.js';
+import { InvalidOptionError } from './errors.js';
+
+const PLUGIN_NAME = 'font-metrics';
+
+/**
+ * Create the PostCSS plugin
+ */
+export function fontMetricsPostcss({ outDir = null, publicPath = null, ...options } = {}) {
+  if (publicPath !== null && !outDir) {
+    throw new InvalidOptionError('publicPath needs outDir');
+  }
+
+  return {
+    postcssPlugin: PLUGIN_NAME,
+    async Once(root, { result }) {
+      const from = root.source?.input.file ?? result.opts.from;
+      if (!from) {
+        result.warn('No source file name; pass `from` to PostCSS so font URLs can be resolved', { plugin: PLUGIN_NAME });
+        return;
+      }
+      const cssDir = path.dirname(result.opts.to ?? from);
+
+      const rules = [];
+      root.walkAtRules(/^font-face$/i, rule => {
+        rules.push(rule);
+      });
+
+      for (const rule of rules) {
+        const decls = rule.nodes.filter(node => node.type === 'decl');
+        const declarations = decls.map(decl => ({ name: decl.prop.toLowerCase(), value: decl.value }));
+        const patched = await patchFontFace(declarations, {
+          ...options,
+          cssPath: from,
+          url: file => {
+            if (!outDir) {
+              return relativeUrl(cssDir, file);
+            }
+            const target = path.join(outDir, path.basename(file));
+            if (!fs.existsSync(target)) {
+              fs.mkdirSync(outDir, { recursive: true });
+              fs.copyFileSync(file, target);
+            }
+            return publicPath !== null ? `${publicPath.replace(/\/?$/, '/')}${path.basename(file)}` : relativeUrl(cssDir, target);
+          }
+        });
+        if (!patched) {
+          continue;
+        }
+        if (patched.skip) {
+          result.warn(`Font not patched: ${patched.skip}`, { node: rule, plugin: PLUGIN_NAME });
+          continue;
+        }
+
+        const { asset } = patched;
+        result.messages.push({ type: 'dependency', plugin: PLUGIN_NAME, file: path.resolve(asset.input), parent: path.resolve(from) });
+        asset.warnings.forEach(warning => result.warn(`${path.basename(asset.input)}: ${warning}`, { node: rule, plugin: PLUGIN_NAME }));
+        for (const decl of decls) {
+          const name = decl.prop.toLowerCase();
+          if (name === 'src') {
+            decl.value = patched.src;
+          } else if (patched.remove.includes(name)) {
+            decl.remove();
+          }
+        }
+      }
+    }
+  };
+}
+
+fontMetricsPostcss.postcss = true;
@@ -0,0 +1,259 @@
+/**
+ * HTML proof sheets
+ * A single self-contained page that embeds an original and a modified font
+ * as data URIs and renders sample text side by side, with ascent, descent,
+ * baseline, cap-height and x-height guides over each line box, so metric
+ * changes can be reviewed in any browser (Safari in particular) before
+ * shipping.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { detectFormat, toSfnt } from './format.js';
+import { readMetrics } from './metrics.js';
+import { measureCharacterHeight } from './glyphs.js';
+import { metricRows } from './report.js';
+import { cssString } from './css.js';
+import { InvalidOptionError } from './errors.js';
+
+export const DEFAULT_PROOF_TEXT = 'Hamburgefontsiv ÅÉÎ gjpqy 0123';
+export const DEFAULT_PROOF_SIZES = [24, 48, 96];
+
+const PLATFORMS = [
+  ['safari', 'Safari (hhea)'],
+  ['chrome', 'Chrome / Firefox'],
+  ['windows', 'Windows']
+];
+
+/**
+ * Build a proof sheet comparing two versions of a font
+ * `before` and `after` are { name, buffer } in any single-font format.
+ * Returns the HTML as a string; fonts, styles and script are all inline.
+ */
+export async function generateProof(before, after, { text = DEFAULT_PROOF_TEXT, sizes = DEFAULT_PROOF_SIZES, title = null } = {}) {
+  if (sizes.length === 0 || sizes.some(size => !(size > 0))) {
+    throw new InvalidOptionError(`sizes must be positive numbers, got ${sizes.join(', ')}`);
+  }
+
+  const fonts = [
+    await proofFont('original', 'Original', before),
+    await proofFont('modified', 'Modified', after)
+  ];
+  const heading = title ?? `${path.basename(before.name)} → ${path.basename(after.name)}`;
+
+  const [rowsBefore, rowsAfter] = fonts.map(font => metricRows(font.metrics));
+  const tableRows = rowsBefore.map(([label, value], i) => {
+    const changed = value !== rowsAfter[i][1];
+    return `<tr${changed ? ' class="changed"' : ''}><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td><td>${escapeHtml(rowsAfter[i][1])}</td></tr>`;
+  });
+
+  const samples = sizes.map(size => [
+    `<section class="proof-size"><h2>${size}px</h2><div class="proof-columns">`,
+    ...fonts.map(font => [
+      `<div class="proof-column"><h3>${escapeHtml(font.label)}</h3>`,
+      ...[0, 1].map(() => `<div class="proof-line" data-font="${font.id}" data-size="${size}" style="font-family: ${cssString(font.family)}; font-size: ${size}px"><span class="proof-text">${escapeHtml(text)}</span><span class="proof-probe"></span></div>`),
+      '</div>'
+    ].join('\n')),
+    '</div></section>'
+  ].join('\n'));
+
+  const data = {
+    fonts: Object.fromEntries(fonts.map(font => [font.id, font.guides]))
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Proof: ${escapeHtml(heading)}</title>
+<style>
+${fonts.map(font => `@font-face {
+  font-family: ${cssString(font.family)};
+  src: url(${cssString(font.url)}) format(${cssString(font.cssFormat)});
+}`).join('\n')}
+${PROOF_CSS}
+</style>
+</head>
+<body>
+<h1>Proof: ${escapeHtml(heading)}</h1>
+<table class="proof-metrics">
+<thead><tr><th></th><th>Original<br><small>${escapeHtml(path.basename(before.name))}</small></th><th>Modified<br><small>${escapeHtml(path.basename(after.name))}</small></th></tr></thead>
+<tbody>
+${tableRows.join('\n')}
+</tbody>
+</table>
+<form class="proof-controls" onsubmit="return false">
+<label>Text <input id="proof-text" size="40" value="${escapeHtml(text)}"></label>
+<label>Line height <select id="proof-line-height">
+${['normal', '1', '1.2', '1.5', '2'].map(value => `<option value="${value}">${value}</option>`).join('')}
+</select></label>
+<label>Guides from <select id="proof-platform">
+<option value="auto">this browser</option>
+${PLATFORMS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+</select></label>
+<span id="proof-platform-used"></span>
+</form>
+<p class="proof-legend">
+<span class="proof-key proof-guide-ascent"></span> ascent
+<span class="proof-key proof-guide-cap-height"></span> cap height
+<span class="proof-key proof-guide-x-height"></span> x-height
+<span class="proof-key proof-guide-baseline"></span> baseline
+<span class="proof-key proof-guide-descent"></span> descent
+<span class="proof-key proof-line-box"></span> line box
+</p>
+${samples.join('\n')}
+<script type="application/json" id="proof-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+<script>
+const PROOF_PLATFORMS = ${JSON.stringify(Object.fromEntries(PLATFORMS))};
+(${proofScript})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a proof sheet comparing two font files
+ * `output` defaults to <after>-proof.html next to the modified font; other
+ * options are generateProof()'s. Returns the path written.
+ */
+export async function writeProof(beforePath, afterPath, { output = null, ...options } = {}) {
+  const parsed = path.parse(afterPath);
+  const outputPath = output || path.join(parsed.dir, `${parsed.name}-proof.html`);
+  const html = await generateProof(
+    { name: beforePath, buffer: fs.readFileSync(beforePath) },
+    { name: afterPath, buffer: fs.readFileSync(afterPath) },
+    options
+  );
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, html);
+  return outputPath;
+}
+
+// Everything the page needs about one font: its data URI and the guide
+// positions in font units for each platform's line box
+async function proofFont(id, label, { buffer }) {
+  const sfnt = await toSfnt(buffer);
+  const metrics = await readMetrics(buffer);
+  const format = detectFormat(buffer);
+  const [mime, cssFormat] = format === 'sfnt'
+    ? (metrics.outlines === 'CFF' ? ['font/otf', 'opentype'] : ['font/ttf', 'truetype'])
+    : [`font/${format}`, format];
+
+  const boxes = Object.fromEntries(Object.entries(metrics.lineHeight).map(([platform, box]) => [
+    platform,
+    box && { source: box.source, ascent: box.ascent, descent: box.descent, lineGap: box.lineGap }
+  ]));
+
+  return {
+    id,
+    label,
+    metrics,
+    // A family name of its own so an installed copy of the font can't stand in
+    family: `Proof ${label}`,
+    url: `data:${mime};base64,${buffer.toString('base64')}`,
+    cssFormat,
+    guides: {
+      unitsPerEm: metrics.unitsPerEm,
+      boxes,
+      capHeight: metrics.os2?.capHeight || measureCharacterHeight(sfnt, 'H'),
+      xHeight: metrics.os2?.xHeight || measureCharacterHeight(sfnt, 'x')
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const PROOF_CSS = `body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.4rem; }
+h2 { font-size: 1rem; margin: 2rem 0 0.5rem; }
+h3 { font-size: 0.85rem; font-weight: normal; color: #666; margin: 0 0 0.25rem; }
+.proof-metrics { border-collapse: collapse; font-size: 0.85rem; }
+.proof-metrics th, .proof-metrics td { padding: 0.2rem 0.75rem; text-align: left; border-bottom: 1px solid #eee; }
+.proof-metrics tr.changed td { background: #fff4c2; font-weight: bold; }
+.proof-controls { margin: 1.5rem 0 0.5rem; display: flex; gap: 1.5rem; flex-wrap: wrap; align-items: center; font-size: 0.85rem; }
+.proof-legend { font-size: 0.8rem; color: #666; }
+.proof-key { display: inline-block; position: static; width: 1.5rem; height: 0; vertical-align: middle; margin-left: 0.75rem; }
+.proof-columns { display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; }
+.proof-column { overflow-x: auto; padding: 0.5rem 0; }
+.proof-line { position: relative; white-space: pre; line-height: var(--proof-line-height, normal); }
+.proof-line:nth-of-type(odd), .proof-key.proof-line-box { background: rgba(0, 120, 255, 0.08); }
+.proof-line:nth-of-type(even) { background: rgba(0, 120, 255, 0.16); }
+.proof-key.proof-line-box { height: 0.8rem; }
+.proof-probe { display: inline-block; width: 0; height: 0; }
+.proof-guide { position: absolute; left: 0; right: 0; height: 0; pointer-events: none; }
+.proof-guide-ascent { border-top: 1px solid #e0245e; }
+.proof-guide-cap-height { border-top: 1px dashed #9b51e0; }
+.proof-guide-x-height { border-top: 1px dashed #f2994a; }
+.proof-guide-baseline { border-top: 1px solid #27ae60; }
+.proof-guide-descent { border-top: 1px solid #2d9cdb; }`;
+
+// Runs in the page: positions the guides from each line's measured
+// baseline, so they show what the browser viewing the proof really does
+function proofScript() {
+  const data = JSON.parse(document.getElementById('proof-data').textContent);
+  const textInput = document.getElementById('proof-text');
+  const lineHeightSelect = document.getElementById('proof-line-height');
+  const platformSelect = document.getElementById('proof-platform');
+
+  // Every browser on iOS is WebKit, so it measures lines like Safari
+  function detectPlatform() {
+    const agent = navigator.userAgent;
+    if (/Windows/.test(agent)) {
+      return 'windows';
+    }
+    if (/iPhone|iPad/.test(agent) || (/Safari/.test(agent) && !/Chrome|Chromium|Edg|Firefox/.test(agent))) {
+      return 'safari';
+    }
+    return 'chrome';
+  }
+
+  function drawGuides() {
+    const platform = platformSelect.value === 'auto' ? detectPlatform() : platformSelect.value;
+    document.getElementById('proof-platform-used').textContent = 'Showing ' + PROOF_PLATFORMS[platform] + ' metrics';
+    document.body.style.setProperty('--proof-line-height', lineHeightSelect.value);
+
+    for (const line of document.querySelectorAll('.proof-line')) {
+      line.querySelectorAll('.proof-guide').forEach(guide => guide.remove());
+      const font = data.fonts[line.dataset.font];
+      const box = font.boxes[platform] || font.boxes.chrome;
+      const scale = Number(line.dataset.size) / font.unitsPerEm;
+      const baseline = line.querySelector('.proof-probe').offsetTop;
+      const guides = [
+        ['ascent', box && box.ascent],
+        ['cap-height', font.capHeight],
+        ['x-height', font.xHeight],
+        ['baseline', 0],
+        ['descent', box && -box.descent]
+      ];
+      for (const [name, value] of guides) {
+        if (value === null || value === undefined) {
+          continue;
+        }
+        const guide = document.createElement('div');
+        guide.className = 'proof-guide proof-guide-' + name;
+        guide.style.top = (baseline - value * scale) + 'px';
+        guide.title = name + ': ' + value + 'u' + (box && (name === 'ascent' || name === 'descent') ? ' (' + box.source + ')' : '');
+        line.appendChild(guide);
+      }
+    }
+  }
+
+  textInput.addEventListener('input', () => {
+    document.querySelectorAll('.proof-text').forEach(text => {
+      text.textContent = textInput.value;
+    });
+    drawGuides();
+  });
+  lineHeightSelect.addEventListener('change', drawGuides);
+  platformSelect.addEventListener('change', drawGuides);
+  window.addEventListener('resize', drawGuides);
+  document.fonts.ready.then(drawGuides);
+  drawGuides();
+}
@@ -0,0 +1,131 @@
+/**
+ * Edit history stored inside the font
+ * Every setMetrics() run appends an entry to a private FMED table holding
+ * the metrics the font had before, the values written and the settings
+ * used, so a patched font can be traced and restored without its source.
+ *
+ * The table is a uint16 major/minor version followed by UTF-8 JSON:
+ *
+ *   {
+ *     history: [{
+ *       tool: 'font-metrics-editor 1.0.0',
+ *       settings: { ascent: 90, descent: 22, lineGap: 0 },
+ *       original: { hhea: { ascender, descender, lineGap }, os2: { typoAscender, ..., fsSelection } },
+ *       applied: { hhea: { ... }, os2: { ... } },
+ *       mvar: '<base64 MVAR table before the edit, when the edit changed it>'
+ *     }]
+ *   }
+ *
+ * There is deliberately no timestamp: rebuilding with the same settings
+ * gives byte-identical fonts.
+ */
+
+import fs from 'fs';
+import { readTableDirectory, patchVerticalMetrics, replaceTable } from './sfnt.js';
+import { InvalidFontError, MissingTableError } from './errors.js';
+
+export const PROVENANCE_TAG = 'FMED';
+
+const MAJOR_VERSION = 1;
+const MINOR_VERSION = 0;
+const HEADER_SIZE = 4;
+
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const TOOL = `${PACKAGE.name} ${PACKAGE.version}`;
+
+/**
+ * Read the edit history, or null if the font was never patched by this tool
+ */
+export function readProvenance(sfnt) {
+  const table = readTableDirectory(sfnt).tables.find(entry => entry.tag === PROVENANCE_TAG);
+  if (!table) {
+    return null;
+  }
+  if (table.length < HEADER_SIZE || sfnt.readUInt16BE(table.offset) !== MAJOR_VERSION) {
+    throw new InvalidFontError(`Unsupported ${PROVENANCE_TAG} table version`);
+  }
+  const json = sfnt.toString('utf8', table.offset + HEADER_SIZE, table.offset + table.length);
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new InvalidFontError(`Corrupt ${PROVENANCE_TAG} table: ${error.message}`);
+  }
+}
+
+/**
+ * Append one edit to the font's history
+ * `original` is the readVerticalMetrics() result before the edit and
+ * `applied` the changes written (see computeMetricChanges); `mvar` is the
+ * MVAR table before the edit when the edit removed or rescaled it.
+ */
+export function recordProvenance(sfnt, { settings, original, applied, mvar = null }) {
+  const history = readProvenance(sfnt)?.history ?? [];
+  history.push({
+    tool: TOOL,
+    settings: compact(settings),
+    original: savedFields(original),
+    applied: compact(applied),
+    ...(mvar ? { mvar: mvar.toString('base64') } : {})
+  });
+
+  const json = Buffer.from(JSON.stringify({ history }), 'utf8');
+  const table = Buffer.alloc(HEADER_SIZE + json.length);
+  table.writeUInt16BE(MAJOR_VERSION, 0);
+  table.writeUInt16BE(MINOR_VERSION, 2);
+  json.copy(table, HEADER_SIZE);
+  return replaceTable(sfnt, PROVENANCE_TAG, table);
+}
+
+/**
+ * Put back the metrics the font had before its first edit
+ * Restores hhea and OS/2 from the history, and MVAR when an edit changed
+ * it, then drops the history table. Name table changes are not undone.
+ * Throws MissingTableError when the font has no history.
+ *
+ *   { sfnt, restored: { hhea, os2 }, history, warnings }
+ */
+export function restoreProvenance(sfnt) {
+  const provenance = readProvenance(sfnt);
+  if (!provenance || provenance.history.length === 0) {
+    throw new MissingTableError(PROVENANCE_TAG);
+  }
+
+  const { history } = provenance;
+  const restored = history[0].original;
+  let output = patchVerticalMetrics(sfnt, restored);
+
+  // The earliest saved MVAR predates every edit that touched it
+  const mvar = history.find(entry => entry.mvar)?.mvar;
+  if (mvar) {
+    output = replaceTable(output, 'MVAR', Buffer.from(mvar, 'base64'));
+  }
+
+  const warnings = [];
+  const renamed = history.filter(entry => entry.settings.rename);
+  if (renamed.length > 0) {
+    warnings.push('The font was renamed; names are left as they are');
+  }
+
+  return { sfnt: replaceTable(output, PROVENANCE_TAG, null), restored, history, warnings };
+}
+
+// Only the fields setMetrics() can change, so restoring leaves the rest alone
+function savedFields(metrics) {
+  const { hhea, os2 } = metrics;
+  return {
+    hhea: hhea && { ascender: hhea.ascender, descender: hhea.descender, lineGap: hhea.lineGap },
+    os2: os2 && {
+      typoAscender: os2.typoAscender,
+      typoDescender: os2.typoDescender,
+      typoLineGap: os2.typoLineGap,
+      winAscent: os2.winAscent,
+      winDescent: os2.winDescent,
+      fsSelection: os2.fsSelection
+    }
+  };
+}
+
+// Drop unset values so the stored JSON stays small
+function compact(object) {
+  return JSON.parse(JSON.stringify(object, (key, value) => (value === null ? undefined : value)));
+}
@@ -0,0 +1,71 @@
+/**
+ * Tabular metric reports for the CLI
+ * Flattens metric objects into labelled rows and renders aligned text tables.
+ */
+
+import path from 'path';
+import { describeFormat } from './format.js';
+
+/**
+ * Flatten a readMetrics() result into [label, value] rows
+ * Values that don't apply to the font (missing tables, old OS/2) are '-'.
+ */
+export function metricRows(metrics) {
+  const value = v => (v === null || v === undefined ? '-' : String(v));
+  const { head, hhea, os2, lineHeight } = metrics;
+  const lineHeightCell = box => (box ? `${box.normal} (${box.source})` : '-');
+  const axesCell = variations => (variations
+    ? variations.axes.map(axis => `${axis.tag} ${axis.min}-${axis.max}`).join(', ')
+    : '-');
+  const mvarCell = variations => (variations?.mvar?.length ? variations.mvar.map(record => record.tag).join(', ') : '-');
+
+  return [
+    ['Format', `${describeFormat(metrics.format, metrics.outlines)} (${metrics.outlines})`],
+    ['Units per em', value(metrics.unitsPerEm)],
+    ['hhea Ascent', value(hhea?.ascender)],
+    ['hhea Descent', value(hhea?.descender)],
+    ['hhea Line Gap', value(hhea?.lineGap)],
+    ['OS/2 Typo Ascender', value(os2?.typoAscender)],
+    ['OS/2 Typo Descender', value(os2?.typoDescender)],
+    ['OS/2 Typo Line Gap', value(os2?.typoLineGap)],
+    ['Win Ascent', value(os2?.winAscent)],
+    ['Win Descent', value(os2?.winDescent)],
+    ['USE_TYPO_METRICS', os2 ? (os2.useTypoMetrics ? 'yes' : 'no') : '-'],
+    ['Cap Height', value(os2?.capHeight)],
+    ['x-Height', value(os2?.xHeight)],
+    ['head yMin', value(head?.yMin)],
+    ['head yMax', value(head?.yMax)],
+    ['Line Height (Safari)', lineHeightCell(lineHeight?.safari)],
+    ['Line Height (Chrome)', lineHeightCell(lineHeight?.chrome)],
+    ['Line Height (Windows)', lineHeightCell(lineHeight?.windows)],
+    ['Variable Axes', axesCell(metrics.variations)],
+    ['MVAR Metrics', mvarCell(metrics.variations)],
+    ['font-metrics Edits', metrics.provenance ? String(metrics.provenance.history.length) : '-']
+  ];
+}
+
+/**
+ * Render rows of cells as a left-aligned table with a header rule
+ */
+export function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map(row => String(row[column]).length))
+  );
+  const line = cells => cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+  return [
+    line(headers),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * One column per font, one row per metric
+ */
+export function formatMetricsTable(reports) {
+  const columns = reports.map(report => metricRows(report));
+  const headers = ['Metric', ...reports.map(report => path.basename(report.file))];
+  const rows = columns[0].map(([label], row) => [label, ...columns.map(column => column[row][1])]);
+  return formatTable(headers, rows);
+}
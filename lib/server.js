@@ -0,0 +1,410 @@
+/**
+ * Local HTTP service for editing metrics in a browser
+ * Serves a small page with ascent/descent/line gap sliders and a live
+ * preview, backed by a JSON API over the same library calls the CLI uses:
+ *
+ *   POST /api/fonts?name=Lato.ttf       upload a font (raw bytes) → { id, name, metrics, rows }
+ *   GET  /api/fonts/:id                 metrics as `--list --json` prints them
+ *   POST /api/fonts/:id/metrics         apply setMetrics() settings (JSON) → { metrics, rows, applied, warnings, clipped }
+ *   GET  /api/fonts/:id/download        ?format=ttf|woff|woff2 &version=modified|original &inline=1
+ *
+ * Uploads live in memory only; the oldest are dropped once `maxFonts` are
+ * held. Nothing is written to disk.
+ *
+ * Any page open in the browser can send requests to a local port, so the
+ * server only answers requests whose Host is an IP address, localhost or one
+ * of `hosts` (a DNS rebinding page has its own name there), and refuses
+ * POSTs whose Origin is another site.
+ */
+
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import crypto from 'crypto';
+import { readMetrics, setMetrics, parseTableSpec } from './metrics.js';
+import { toSfnt, fromSfnt } from './format.js';
+import { metricRows } from './report.js';
+import { METRIC_KEYS } from './build.js';
+import { FontMetricsError, InvalidOptionError } from './errors.js';
+
+const DOWNLOAD_FORMATS = ['ttf', 'otf', 'woff', 'woff2'];
+const CONTENT_TYPES = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2'
+};
+
+/**
+ * Create the server (not yet listening)
+ *   const server = createMetricsServer();
+ *   server.listen(4400, '127.0.0.1');
+ * `maxUpload` caps request bodies in bytes; `hosts` lists extra host names
+ * the page may be opened under (e.g. ['studio.local']).
+ */
+export function createMetricsServer({ maxFonts = 16, maxUpload = 32 * 1024 * 1024, hosts = [] } = {}) {
+  const fonts = new Map();
+  const allowedHosts = new Set(['localhost', ...hosts.map(host => host.toLowerCase())]);
+
+  const routes = [
+    ['GET', /^\/$/, (request, response) => send(response, 200, 'text/html; charset=utf-8', PAGE)],
+    ['POST', /^\/api\/fonts$/, async (request, response, url) => {
+      const buffer = await readBody(request, maxUpload);
+      const name = path.basename(url.searchParams.get('name') || 'font.ttf');
+      const metrics = await readMetrics(buffer);
+      const font = { id: crypto.randomBytes(8).toString('hex'), name, buffer, original: metrics, modified: null };
+      fonts.set(font.id, font);
+      // Maps iterate in insertion order, so the first key is the oldest upload
+      while (fonts.size > maxFonts) {
+        fonts.delete(fonts.keys().next().value);
+      }
+      sendJson(response, 201, { id: font.id, name, metrics, rows: metricRows(metrics) });
+    }],
+    ['GET', /^\/api\/fonts\/(\w+)$/, (request, response, url, id) => {
+      const font = findFont(fonts, id);
+      sendJson(response, 200, {
+        id,
+        name: font.name,
+        metrics: font.original,
+        modified: font.modified && { settings: font.modified.settings, metrics: font.modified.metrics }
+      });
+    }],
+    ['POST', /^\/api\/fonts\/(\w+)\/metrics$/, async (request, response, url, id) => {
+      const font = findFont(fonts, id);
+      const settings = parseSettings(await readBody(request, maxUpload));
+      const modified = await setMetrics(font.buffer, settings, { format: 'sfnt', clipCheck: 'warn' });
+      const metrics = await readMetrics(modified.sfnt);
+      font.modified = { settings, sfnt: modified.sfnt, metrics };
+      sendJson(response, 200, {
+        metrics,
+        rows: metricRows(metrics),
+        applied: modified.applied,
+        warnings: modified.warnings,
+        clipped: modified.clipped?.length ?? 0
+      });
+    }],
+    ['GET', /^\/api\/fonts\/(\w+)\/download$/, async (request, response, url, id) => {
+      const font = findFont(fonts, id);
+      const version = url.searchParams.get('version') || 'modified';
+      if (version !== 'modified' && version !== 'original') {
+        throw new InvalidOptionError(`version must be modified or original, got ${version}`);
+      }
+      if (version === 'modified' && !font.modified) {
+        throw httpError(409, 'No metrics applied yet');
+      }
+      const sfnt = version === 'modified' ? font.modified.sfnt : await toSfnt(font.buffer);
+      const metrics = version === 'modified' ? font.modified.metrics : font.original;
+
+      const requested = url.searchParams.get('format') || 'woff2';
+      if (!DOWNLOAD_FORMATS.includes(requested)) {
+        throw new InvalidOptionError(`format must be one of ${DOWNLOAD_FORMATS.join(', ')}, got ${requested}`);
+      }
+      // TTF and OTF both mean the plain font; the outlines pick the extension
+      const extension = requested === 'ttf' || requested === 'otf' ? (metrics.outlines === 'CFF' ? 'otf' : 'ttf') : requested;
+      const body = await fromSfnt(sfnt, extension === 'ttf' || extension === 'otf' ? 'sfnt' : extension);
+
+      const base = path.basename(font.name, path.extname(font.name));
+      const fileName = `${base}${version === 'modified' ? '-fixed' : ''}.${extension}`;
+      const disposition = url.searchParams.get('inline') ? 'inline' : 'attachment';
+      response.setHeader('Content-Disposition', `${disposition}; filename="${fileName.replace(/["\\]/g, '_')}"`);
+      send(response, 200, CONTENT_TYPES[extension], body);
+    }]
+  ];
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    try {
+      checkRequestSource(request, allowedHosts);
+      const matches = routes.map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(url.pathname) }))
+        .filter(route => route.match);
+      if (matches.length === 0) {
+        throw httpError(404, `Not found: ${url.pathname}`);
+      }
+      const route = matches.find(candidate => candidate.method === request.method);
+      if (!route) {
+        response.setHeader('Allow', matches.map(candidate => candidate.method).join(', '));
+        throw httpError(405, `${request.method} not allowed for ${url.pathname}`);
+      }
+      await route.handler(request, response, url, ...route.match.slice(1));
+    } catch (error) {
+      const status = error.status ?? (error instanceof FontMetricsError ? 400 : 500);
+      if (response.headersSent) {
+        response.destroy(error);
+        return;
+      }
+      sendJson(response, status, { error: error.message, code: error.code ?? null });
+    }
+  });
+}
+
+// 403 unless the request is addressed to this machine and, for POSTs,
+// comes from the editor page itself (or from a client that sends no Origin)
+function checkRequestSource(request, allowedHosts) {
+  const host = normalizeHost(request.headers.host);
+  const hostname = host && host.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+  if (!hostname || !(net.isIP(hostname) || allowedHosts.has(hostname))) {
+    throw httpError(403, `Host ${request.headers.host ?? '(none)'} is not allowed; pass --allow-host to serve it under that name`);
+  }
+  const origin = request.headers.origin;
+  if (request.method === 'POST' && origin !== undefined && normalizeHost(origin.replace(/^https?:\/\//, '')) !== host) {
+    throw httpError(403, `Requests from ${origin} are not allowed`);
+  }
+}
+
+// 'LocalHost:80' → 'localhost'; null if it isn't a valid host
+function normalizeHost(value) {
+  try {
+    return value ? new URL(`http://${value}`).host : null;
+  } catch {
+    return null;
+  }
+}
+
+function findFont(fonts, id) {
+  const font = fonts.get(id);
+  if (!font) {
+    throw httpError(404, `Unknown font ${id}; upload it again`);
+  }
+  return font;
+}
+
+// Settings as JSON, with table specs allowed as CLI-style strings
+function parseSettings(body) {
+  let settings;
+  try {
+    settings = JSON.parse(body.toString('utf8') || '{}');
+  } catch (error) {
+    throw new InvalidOptionError(`Settings must be JSON: ${error.message}`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new InvalidOptionError('Settings must be a JSON object');
+  }
+  const unknown = Object.keys(settings).filter(key => !METRIC_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new InvalidOptionError(`Unknown setting(s) ${unknown.join(', ')}`);
+  }
+  for (const table of ['hhea', 'typo', 'win']) {
+    if (typeof settings[table] === 'string') {
+      settings[table] = parseTableSpec(settings[table]);
+    }
+  }
+  return settings;
+}
+
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        // Drain the rest so the 413 response can still be read
+        request.removeAllListeners('data');
+        request.resume();
+        reject(httpError(413, `Request body is larger than ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function send(response, status, type, body) {
+  response.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body), 'Cache-Control': 'no-store' });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  send(response, status, 'application/json; charset=utf-8', JSON.stringify(value));
+}
+
+// Runs in the page: uploads the font, posts slider changes and swaps the
+// modified font into the preview
+function pageScript() {
+  const $ = id => document.getElementById(id);
+  const sliders = ['ascent', 'descent', 'lineGap'];
+  let font = null;
+  let previewFace = null;
+  let applying = false;
+  let dirty = false;
+  let timer = null;
+
+  async function request(url, init) {
+    const response = await fetch(url, init);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(body && body.error ? body.error : response.statusText);
+    }
+    return body;
+  }
+
+  async function loadFace(family, url, previous) {
+    const face = new FontFace(family, 'url(' + url + ')');
+    await face.load();
+    if (previous) {
+      document.fonts.delete(previous);
+    }
+    document.fonts.add(face);
+    return face;
+  }
+
+  function showStatus(message, isError) {
+    $('status').textContent = message;
+    $('status').className = isError ? 'error' : '';
+  }
+
+  function renderTable(before, after) {
+    $('metrics').innerHTML = '';
+    before.forEach(([label, value], i) => {
+      const row = document.createElement('tr');
+      const modified = after ? after[i][1] : value;
+      row.className = modified !== value ? 'changed' : '';
+      [label, value, modified].forEach((text, column) => {
+        const cell = document.createElement(column === 0 ? 'th' : 'td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      $('metrics').appendChild(row);
+    });
+  }
+
+  function settings() {
+    return {
+      ascent: $('ascent').value + '%',
+      descent: $('descent').value + '%',
+      lineGap: $('lineGap').value + '%',
+      safeWinMetrics: $('safeWinMetrics').checked
+    };
+  }
+
+  async function apply() {
+    if (applying) {
+      dirty = true;
+      return;
+    }
+    applying = true;
+    dirty = false;
+    try {
+      const result = await request('/api/fonts/' + font.id + '/metrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings())
+      });
+      previewFace = await loadFace('Preview Modified', '/api/fonts/' + font.id + '/download?format=ttf&inline=1&t=' + Date.now(), previewFace);
+      renderTable(font.rows, result.rows);
+      $('warnings').textContent = result.warnings.join('\n');
+      $('downloads').hidden = false;
+      showStatus('Preview updated');
+    } catch (error) {
+      showStatus(error.message, true);
+    } finally {
+      applying = false;
+      if (dirty) {
+        apply();
+      }
+    }
+  }
+
+  function scheduleApply() {
+    sliders.forEach(name => {
+      $(name + '-value').textContent = $(name).value + '%';
+    });
+    clearTimeout(timer);
+    timer = setTimeout(apply, 150);
+  }
+
+  $('file').addEventListener('change', async () => {
+    const file = $('file').files[0];
+    if (!file) {
+      return;
+    }
+    showStatus('Reading ' + file.name + '…');
+    try {
+      font = await request('/api/fonts?name=' + encodeURIComponent(file.name), { method: 'POST', body: file });
+      await loadFace('Preview Original', '/api/fonts/' + font.id + '/download?version=original&format=ttf&inline=1');
+      // Start from what Chrome and Firefox use today, as a percentage of the
+      // em; a font without hhea has no box there, so try Windows, then 80/20
+      const box = font.metrics.lineHeight.chrome || font.metrics.lineHeight.windows;
+      const percent = value => Math.round(value / font.metrics.unitsPerEm * 1000) / 10;
+      $('ascent').value = box ? percent(box.ascent) : 80;
+      $('descent').value = box ? percent(box.descent) : 20;
+      $('lineGap').value = box ? percent(Math.max(box.lineGap, 0)) : 0;
+      for (const format of ['ttf', 'woff', 'woff2']) {
+        $('download-' + format).href = '/api/fonts/' + font.id + '/download?format=' + format;
+      }
+      $('download-ttf').textContent = font.metrics.outlines === 'CFF' ? 'OTF' : 'TTF';
+      $('editor').hidden = false;
+      renderTable(font.rows, null);
+      scheduleApply();
+    } catch (error) {
+      showStatus(error.message, true);
+    }
+  });
+
+  sliders.forEach(name => $(name).addEventListener('input', scheduleApply));
+  $('safeWinMetrics').addEventListener('change', scheduleApply);
+  $('text').addEventListener('input', () => {
+    document.querySelectorAll('.preview-text').forEach(node => {
+      node.textContent = $('text').value;
+    });
+  });
+  $('size').addEventListener('input', () => {
+    document.body.style.setProperty('--preview-size', $('size').value + 'px');
+  });
+}
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>font-metrics</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; --preview-size: 48px; }
+h1 { font-size: 1.4rem; }
+h2 { font-size: 0.85rem; font-weight: normal; color: #666; margin: 0 0 0.25rem; }
+.controls { display: grid; grid-template-columns: max-content 20rem 4rem; gap: 0.5rem 1rem; align-items: center; margin: 1rem 0; font-size: 0.9rem; }
+.preview { display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin: 1.5rem 0; }
+/* The shaded box grows and shrinks with the line height */
+.preview-text { font-size: var(--preview-size); line-height: normal; overflow-wrap: anywhere; background: rgba(0, 120, 255, 0.1); }
+#preview-original .preview-text { font-family: 'Preview Original', sans-serif; }
+#preview-modified .preview-text { font-family: 'Preview Modified', sans-serif; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { padding: 0.2rem 0.75rem; text-align: left; border-bottom: 1px solid #eee; }
+tr.changed td { background: #fff4c2; font-weight: bold; }
+#status.error, #warnings { color: #c0392b; }
+#warnings { white-space: pre-line; font-size: 0.85rem; }
+#downloads a { margin-right: 1rem; }
+</style>
+</head>
+<body>
+<h1>font-metrics</h1>
+<p><input type="file" id="file" accept=".ttf,.otf,.woff,.woff2"> <span id="status">Choose a TTF, OTF, WOFF or WOFF2 font</span></p>
+<div id="editor" hidden>
+<div class="controls">
+<label for="ascent">Ascent</label><input type="range" id="ascent" min="40" max="150" step="0.5"><span id="ascent-value"></span>
+<label for="descent">Descent</label><input type="range" id="descent" min="0" max="80" step="0.5"><span id="descent-value"></span>
+<label for="lineGap">Line gap</label><input type="range" id="lineGap" min="0" max="50" step="0.5"><span id="lineGap-value"></span>
+<label for="safeWinMetrics">Safe win metrics</label><span><input type="checkbox" id="safeWinMetrics"> keep win ascent/descent at the glyph extents</span><span></span>
+<label for="text">Sample</label><input id="text" value="Hamburgefontsiv ÅÉÎ gjpqy"><span></span>
+<label for="size">Size</label><input type="range" id="size" min="12" max="144" value="48"><span></span>
+</div>
+<p id="downloads" hidden>Download: <a id="download-ttf">TTF</a><a id="download-woff">WOFF</a><a id="download-woff2">WOFF2</a></p>
+<p id="warnings"></p>
+<div class="preview">
+<div id="preview-original"><h2>Original</h2><p class="preview-text">Hamburgefontsiv ÅÉÎ gjpqy</p></div>
+<div id="preview-modified"><h2>Modified</h2><p class="preview-text">Hamburgefontsiv ÅÉÎ gjpqy</p></div>
+</div>
+<table><thead><tr><th></th><th>Original</th><th>Modified</th></tr></thead><tbody id="metrics"></tbody></table>
+</div>
+<script>
+(${pageScript})();
+</script>
+</body>
+</html>
+`;
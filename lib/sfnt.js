@@ -0,0 +1,327 @@
+/**
+ * SFNT (TrueType/OpenType) table-level helpers
+ * Reads and patches vertical metrics directly in the font bytes so every
+ * table we don't touch stays byte-identical, then repairs the checksums.
+ *
+ * Reference: https://learn.microsoft.com/en-us/typography/opentype/spec/otff
+ */
+
+import { UnsupportedFormatError, InvalidFontError, MissingTableError, MetricRangeError } from './errors.js';
+
+const SFNT_HEADER_SIZE = 12;
+const TABLE_RECORD_SIZE = 16;
+const CHECKSUM_MAGIC = 0xB1B0AFBA;
+
+// Offset of head.checkSumAdjustment within the head table
+const HEAD_CHECKSUM_ADJUSTMENT = 8;
+
+/**
+ * Check whether a buffer has a known SFNT version tag at `offset`
+ */
+export function isSfnt(buffer, offset = 0) {
+  if (buffer.length < offset + SFNT_HEADER_SIZE) {
+    return false;
+  }
+  const version = buffer.readUInt32BE(offset);
+  return version === 0x00010000 || // TrueType outlines
+    version === 0x4F54544F ||      // 'OTTO' - CFF outlines
+    version === 0x74727565;        // 'true' - legacy Apple TrueType
+}
+
+/**
+ * Read the table directory of an SFNT font
+ * Returns the flavor and one record per table in directory order. In a
+ * collection each face's directory starts at `start`; table offsets are
+ * always from the start of the file.
+ */
+export function readTableDirectory(buffer, start = 0) {
+  if (!isSfnt(buffer, start)) {
+    throw new UnsupportedFormatError('Not an SFNT font (unrecognised sfnt version)');
+  }
+
+  const numTables = buffer.readUInt16BE(start + 4);
+  if (start + SFNT_HEADER_SIZE + numTables * TABLE_RECORD_SIZE > buffer.length) {
+    throw new InvalidFontError('Truncated table directory');
+  }
+
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = start + SFNT_HEADER_SIZE + i * TABLE_RECORD_SIZE;
+    const table = {
+      tag: buffer.toString('latin1', record, record + 4),
+      recordOffset: record,
+      checksum: buffer.readUInt32BE(record + 4),
+      offset: buffer.readUInt32BE(record + 8),
+      length: buffer.readUInt32BE(record + 12)
+    };
+    if (table.offset + table.length > buffer.length) {
+      throw new InvalidFontError(`Table '${table.tag}' extends past end of file`);
+    }
+    tables.push(table);
+  }
+
+  return {
+    flavor: buffer.readUInt32BE(start),
+    tables
+  };
+}
+
+/**
+ * Find a table record by tag, or null if the font doesn't have it
+ */
+export function findTable(buffer, tag) {
+  return readTableDirectory(buffer).tables.find(table => table.tag === tag) || null;
+}
+
+/**
+ * Compute the OpenType checksum of a byte range
+ * The range is treated as zero-padded to a multiple of four bytes
+ */
+export function calcChecksum(buffer, offset, length) {
+  let sum = 0;
+  const end = offset + length;
+  for (let i = offset; i < end; i += 4) {
+    let word = 0;
+    for (let j = 0; j < 4; j++) {
+      word = (word << 8) | (i + j < end ? buffer[i + j] : 0);
+    }
+    sum = (sum + (word >>> 0)) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Checksum of a table as stored in its directory record
+ * The head table is summed with checkSumAdjustment treated as zero
+ */
+function tableChecksum(buffer, table) {
+  let sum = calcChecksum(buffer, table.offset, table.length);
+  if (table.tag === 'head') {
+    sum = (sum - buffer.readUInt32BE(table.offset + HEAD_CHECKSUM_ADJUSTMENT)) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Recompute every table checksum and head.checkSumAdjustment in place
+ * All directory entries are rewritten, not just those of changed tables, so
+ * stale checksums in the input don't survive into the output.
+ */
+export function updateChecksums(buffer) {
+  const { tables } = readTableDirectory(buffer);
+
+  for (const table of tables) {
+    buffer.writeUInt32BE(tableChecksum(buffer, table), table.recordOffset + 4);
+  }
+
+  const head = tables.find(table => table.tag === 'head');
+  if (head) {
+    buffer.writeUInt32BE(0, head.offset + HEAD_CHECKSUM_ADJUSTMENT);
+    const fontSum = calcChecksum(buffer, 0, buffer.length);
+    buffer.writeUInt32BE((CHECKSUM_MAGIC - fontSum) >>> 0, head.offset + HEAD_CHECKSUM_ADJUSTMENT);
+  }
+
+  return buffer;
+}
+
+/**
+ * Validate every table checksum and head.checkSumAdjustment
+ * Returns a list of problems; an empty list means the font is consistent.
+ */
+export function validateChecksums(buffer) {
+  const { tables } = readTableDirectory(buffer);
+  const problems = [];
+
+  for (const table of tables) {
+    const actual = tableChecksum(buffer, table);
+    if (actual !== table.checksum) {
+      problems.push(`Table '${table.tag}' checksum 0x${hex(table.checksum)} should be 0x${hex(actual)}`);
+    }
+  }
+
+  const head = tables.find(table => table.tag === 'head');
+  if (head) {
+    const stored = buffer.readUInt32BE(head.offset + HEAD_CHECKSUM_ADJUSTMENT);
+    const fontSum = (calcChecksum(buffer, 0, buffer.length) - stored) >>> 0;
+    const expected = (CHECKSUM_MAGIC - fontSum) >>> 0;
+    if (stored !== expected) {
+      problems.push(`head.checkSumAdjustment 0x${hex(stored)} should be 0x${hex(expected)}`);
+    }
+  }
+
+  return problems;
+}
+
+function hex(value) {
+  return value.toString(16).padStart(8, '0');
+}
+
+/**
+ * Assemble an SFNT from a list of { tag, data } tables
+ * Tables are written in the given order, four-byte aligned. Checksums are
+ * always computed from the data (see updateChecksums).
+ */
+export function buildSfnt(flavor, tables) {
+  const numTables = tables.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+
+  let offset = SFNT_HEADER_SIZE + numTables * TABLE_RECORD_SIZE;
+  const size = tables.reduce((total, table) => total + align4(table.data.length), offset);
+  const sfnt = Buffer.alloc(size);
+
+  sfnt.writeUInt32BE(flavor, 0);
+  sfnt.writeUInt16BE(numTables, 4);
+  sfnt.writeUInt16BE(searchRange, 6);
+  sfnt.writeUInt16BE(entrySelector, 8);
+  sfnt.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  tables.forEach((table, i) => {
+    const record = SFNT_HEADER_SIZE + i * TABLE_RECORD_SIZE;
+    sfnt.write(table.tag, record, 'latin1');
+    sfnt.writeUInt32BE(offset, record + 8);
+    sfnt.writeUInt32BE(table.data.length, record + 12);
+    table.data.copy(sfnt, offset);
+    offset += align4(table.data.length);
+  });
+
+  return updateChecksums(sfnt);
+}
+
+/**
+ * Replace, add or (with data = null) remove one table, returning a new SFNT
+ * Every other table is copied byte for byte. New tables are inserted in tag
+ * order as the spec recommends.
+ */
+export function replaceTable(buffer, tag, data) {
+  const { flavor, tables } = readTableDirectory(buffer);
+  const entries = tables
+    .filter(table => table.tag !== tag)
+    .map(table => ({ tag: table.tag, data: buffer.subarray(table.offset, table.offset + table.length) }));
+
+  if (data) {
+    const index = entries.findIndex(entry => entry.tag > tag);
+    entries.splice(index === -1 ? entries.length : index, 0, { tag, data });
+  }
+
+  return buildSfnt(flavor, entries);
+}
+
+function align4(length) {
+  return (length + 3) & ~3;
+}
+
+/**
+ * Read the vertical metrics from head, hhea and OS/2
+ * Missing tables are reported as null, as are OS/2 x-height and cap height
+ * in tables older than version 2.
+ */
+export function readVerticalMetrics(buffer) {
+  const { flavor, tables } = readTableDirectory(buffer);
+  const byTag = tag => tables.find(table => table.tag === tag);
+
+  const head = byTag('head');
+  if (!head) {
+    throw new MissingTableError('head');
+  }
+
+  const metrics = {
+    outlines: flavor === 0x4F54544F ? 'CFF' : 'TrueType',
+    unitsPerEm: buffer.readUInt16BE(head.offset + 18),
+    head: {
+      yMin: buffer.readInt16BE(head.offset + 38),
+      yMax: buffer.readInt16BE(head.offset + 42)
+    },
+    hhea: null,
+    os2: null
+  };
+
+  const hhea = byTag('hhea');
+  if (hhea) {
+    metrics.hhea = {
+      ascender: buffer.readInt16BE(hhea.offset + 4),
+      descender: buffer.readInt16BE(hhea.offset + 6),
+      lineGap: buffer.readInt16BE(hhea.offset + 8)
+    };
+  }
+
+  const os2 = byTag('OS/2');
+  if (os2) {
+    const version = buffer.readUInt16BE(os2.offset);
+    const fsSelection = buffer.readUInt16BE(os2.offset + 62);
+    // sxHeight and sCapHeight were added in OS/2 version 2
+    const hasHeights = version >= 2 && os2.length >= 90;
+    metrics.os2 = {
+      version,
+      fsSelection,
+      useTypoMetrics: (fsSelection & 0x80) !== 0,
+      typoAscender: buffer.readInt16BE(os2.offset + 68),
+      typoDescender: buffer.readInt16BE(os2.offset + 70),
+      typoLineGap: buffer.readInt16BE(os2.offset + 72),
+      winAscent: buffer.readUInt16BE(os2.offset + 74),
+      winDescent: buffer.readUInt16BE(os2.offset + 76),
+      xHeight: hasHeights ? buffer.readInt16BE(os2.offset + 86) : null,
+      capHeight: hasHeights ? buffer.readInt16BE(os2.offset + 88) : null
+    };
+  }
+
+  return metrics;
+}
+
+/**
+ * Patch hhea and OS/2 vertical metrics in a copy of the font
+ * Only the fields present in `changes` are written; tables missing from
+ * the font are skipped. Returns the patched copy with checksums fixed.
+ *
+ *   changes = {
+ *     hhea: { ascender, descender, lineGap },
+ *     os2: { typoAscender, typoDescender, typoLineGap, winAscent, winDescent, fsSelection }
+ *   }
+ */
+export function patchVerticalMetrics(buffer, changes) {
+  const patched = Buffer.from(buffer);
+  const { tables } = readTableDirectory(patched);
+  const byTag = tag => tables.find(table => table.tag === tag);
+
+  const hhea = byTag('hhea');
+  if (hhea && changes.hhea) {
+    writeFields(patched, hhea.offset, changes.hhea, {
+      ascender: [4, 'Int16'],
+      descender: [6, 'Int16'],
+      lineGap: [8, 'Int16']
+    });
+  }
+
+  const os2 = byTag('OS/2');
+  if (os2 && changes.os2) {
+    writeFields(patched, os2.offset, changes.os2, {
+      fsSelection: [62, 'UInt16'],
+      typoAscender: [68, 'Int16'],
+      typoDescender: [70, 'Int16'],
+      typoLineGap: [72, 'Int16'],
+      winAscent: [74, 'UInt16'],
+      winDescent: [76, 'UInt16']
+    });
+  }
+
+  return updateChecksums(patched);
+}
+
+const FIELD_RANGES = {
+  Int16: [-0x8000, 0x7FFF],
+  UInt16: [0, 0xFFFF]
+};
+
+function writeFields(buffer, tableOffset, values, layout) {
+  for (const [field, [offset, type]] of Object.entries(layout)) {
+    const value = values[field];
+    if (value === undefined) {
+      continue;
+    }
+    const [min, max] = FIELD_RANGES[type];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new MetricRangeError(`${field} must be an integer between ${min} and ${max}, got ${value}`);
+    }
+    buffer[`write${type}BE`](value, tableOffset + offset);
+  }
+}
@@ -0,0 +1,562 @@
+/**
+ * Font subsetting for TrueType-outline fonts
+ * Keeps the glyphs for a set of code points plus everything they pull in
+ * through composite glyphs and GSUB (ligatures, alternates, small caps).
+ * Glyph IDs are kept, so GSUB, GPOS, hmtx and the patched hhea/OS/2
+ * metrics stay valid; dropped glyphs are left as empty outlines, which
+ * cost next to nothing once compressed.
+ */
+
+import * as fontkit from 'fontkit';
+import { readTableDirectory, replaceTable } from './sfnt.js';
+import { inRanges, formatCodePoint } from './unicode.js';
+import { MissingTableError, UnsupportedFormatError } from './errors.js';
+
+// Composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+const GVAR_LONG_OFFSETS = 0x0001;
+const GVAR_HEADER_SIZE = 20;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Collect the distinct code points used in a piece of text
+ * With `html`, tags, comments, scripts and styles are skipped and
+ * character references are decoded first.
+ */
+export function collectCodePoints(text, { html = false } = {}) {
+  let content = text;
+  if (html) {
+    content = content
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+      .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match);
+  }
+
+  const codePoints = new Set();
+  for (const char of content) {
+    // Line breaks and tabs never need a glyph
+    if (!/[\n\r\t]/.test(char)) {
+      codePoints.add(char.codePointAt(0));
+    }
+  }
+  return codePoints;
+}
+
+/**
+ * Code points the font maps, optionally limited to unicode ranges
+ * (see parseUnicodeRanges)
+ */
+export function fontCodePoints(sfnt, ranges = null) {
+  const characterSet = fontkit.create(sfnt).characterSet;
+  return ranges ? characterSet.filter(codePoint => inRanges(ranges, codePoint)) : characterSet;
+}
+
+/**
+ * Subset a TrueType-outline SFNT to the given code points
+ * Code points the font doesn't map are ignored. Returns
+ *   { sfnt, codePoints: [...mapped], glyphs: { kept, total }, warnings }
+ *
+ * The Unicode cmap subtables are rebuilt, variation sequences (format 14)
+ * are kept for the remaining characters and Mac format 0/6 subtables keep
+ * the glyphs that are left. Any other cmap subtable is left out, with a
+ * warning.
+ */
+export function subsetFont(sfnt, codePoints) {
+  const { tables } = readTableDirectory(sfnt);
+  const byTag = tag => tables.find(table => table.tag === tag);
+  if (byTag('CFF ') || byTag('CFF2')) {
+    throw new UnsupportedFormatError('Subsetting is only supported for TrueType (glyf) outlines, not CFF');
+  }
+  for (const tag of ['glyf', 'loca', 'head', 'maxp']) {
+    if (!byTag(tag)) {
+      throw new MissingTableError(tag);
+    }
+  }
+
+  const font = fontkit.create(sfnt);
+  const mapping = new Map();
+  for (const codePoint of codePoints) {
+    if (font.hasGlyphForCodePoint(codePoint)) {
+      mapping.set(codePoint, font.glyphForCodePoint(codePoint).id);
+    }
+  }
+
+  const head = byTag('head');
+  const numGlyphs = sfnt.readUInt16BE(byTag('maxp').offset + 4);
+  const longLoca = sfnt.readInt16BE(head.offset + 50) === 1;
+  const loca = readLoca(sfnt, byTag('loca'), numGlyphs, longLoca);
+  const glyf = sfnt.subarray(byTag('glyf').offset, byTag('glyf').offset + byTag('glyf').length);
+
+  // Variation sequences follow their base characters, along with their glyphs
+  const extras = readCmapExtras(sfnt, byTag('cmap'));
+  const variations = extras.variations
+    .map(({ selector, defaults, mappings }) => ({
+      selector,
+      defaults: defaults.filter(codePoint => mapping.has(codePoint)),
+      mappings: mappings.filter(([codePoint]) => mapping.has(codePoint))
+    }))
+    .filter(variation => variation.defaults.length > 0 || variation.mappings.length > 0);
+
+  // .notdef is always kept
+  const kept = new Set([0, ...mapping.values(), ...variations.flatMap(variation => variation.mappings.map(([, id]) => id))]);
+  closeOverGsub(font, kept);
+  closeOverComponents(glyf, loca, kept);
+
+  const newGlyf = [];
+  const newLoca = [0];
+  for (let id = 0; id < numGlyphs; id++) {
+    if (kept.has(id)) {
+      newGlyf.push(glyf.subarray(loca[id], loca[id + 1]));
+    }
+    newLoca.push(newLoca[id] + (kept.has(id) ? loca[id + 1] - loca[id] : 0));
+  }
+  let subset = replaceTable(sfnt, 'glyf', Buffer.concat(newGlyf));
+  subset = replaceTable(subset, 'loca', writeLoca(newLoca, longLoca));
+
+  const gvar = byTag('gvar');
+  if (gvar) {
+    subset = replaceTable(subset, 'gvar', subsetGvar(sfnt.subarray(gvar.offset, gvar.offset + gvar.length), kept));
+  }
+
+  const mac = extras.mac.map(table => ({ ...table, data: subsetMacTable(table.data, kept) }));
+  const cmap = buildCmap(mapping, variations, mac);
+  subset = replaceTable(subset, 'cmap', cmap.data);
+
+  // A signature can't survive any edit
+  if (byTag('DSIG')) {
+    subset = replaceTable(subset, 'DSIG', null);
+  }
+
+  // Only the character index range changes in OS/2; the metrics are left alone
+  const os2 = byTag('OS/2');
+  if (os2 && mapping.size > 0) {
+    const mapped = [...mapping.keys()];
+    const os2Data = Buffer.from(sfnt.subarray(os2.offset, os2.offset + os2.length));
+    os2Data.writeUInt16BE(Math.min(Math.min(...mapped), 0xFFFF), 64); // usFirstCharIndex
+    os2Data.writeUInt16BE(Math.min(Math.max(...mapped), 0xFFFF), 66); // usLastCharIndex
+    subset = replaceTable(subset, 'OS/2', os2Data);
+  }
+
+  return {
+    sfnt: subset,
+    codePoints: [...mapping.keys()].sort((a, b) => a - b),
+    glyphs: { kept: kept.size, total: numGlyphs },
+    warnings: [
+      ...extras.dropped.map(subtable => `cmap subtable ${subtable} can't be subset and was left out`),
+      ...cmap.warnings
+    ]
+  };
+}
+
+function readLoca(sfnt, table, numGlyphs, longLoca) {
+  const offsets = [];
+  for (let i = 0; i <= numGlyphs; i++) {
+    offsets.push(longLoca
+      ? sfnt.readUInt32BE(table.offset + i * 4)
+      : sfnt.readUInt16BE(table.offset + i * 2) * 2);
+  }
+  return offsets;
+}
+
+function writeLoca(offsets, longLoca) {
+  const loca = Buffer.alloc(offsets.length * (longLoca ? 4 : 2));
+  offsets.forEach((offset, i) => (longLoca
+    ? loca.writeUInt32BE(offset, i * 4)
+    : loca.writeUInt16BE(offset / 2, i * 2)));
+  return loca;
+}
+
+const asArray = value => (Array.isArray(value) ? value : value?.toArray?.() ?? []);
+
+function coverageGlyphs(coverage) {
+  if (coverage.version === 1) {
+    return asArray(coverage.glyphs);
+  }
+  return asArray(coverage.rangeRecords).flatMap(({ start, end }) =>
+    Array.from({ length: end - start + 1 }, (_, i) => start + i));
+}
+
+/**
+ * Add every glyph GSUB can substitute for the kept glyphs, until nothing
+ * new turns up. Contextual lookups only call other lookups, which are
+ * visited on their own, so this errs on the side of keeping too much.
+ */
+function closeOverGsub(font, kept) {
+  const lookups = asArray(font.GSUB?.lookupList);
+  let size;
+  do {
+    size = kept.size;
+    for (const lookup of lookups) {
+      for (let table of asArray(lookup.subTables)) {
+        let type = lookup.lookupType;
+        if (type === 7) {
+          type = table.lookupType;
+          table = table.extension;
+        }
+        substitutionTargets(type, table, kept).forEach(id => kept.add(id));
+      }
+    }
+  } while (kept.size > size);
+}
+
+function substitutionTargets(type, table, kept) {
+  if (!table?.coverage) {
+    return [];
+  }
+  const targets = [];
+  coverageGlyphs(table.coverage).forEach((id, index) => {
+    if (!kept.has(id)) {
+      return;
+    }
+    switch (type) {
+      case 1:
+        targets.push(table.version === 1 ? (id + table.deltaGlyphID) & 0xFFFF : table.substitute.get(index));
+        break;
+      case 2:
+        targets.push(...asArray(table.sequences.get(index)));
+        break;
+      case 3:
+        targets.push(...asArray(table.alternateSet.get(index)));
+        break;
+      case 4:
+        for (const ligature of asArray(table.ligatureSets.get(index))) {
+          if (asArray(ligature.components).every(component => kept.has(component))) {
+            targets.push(ligature.glyph);
+          }
+        }
+        break;
+      case 8:
+        targets.push(asArray(table.substitutes)[index]);
+        break;
+    }
+  });
+  return targets.filter(id => id !== undefined);
+}
+
+// Composite glyphs are drawn from other glyphs, which must be kept too
+function closeOverComponents(glyf, loca, kept) {
+  const pending = [...kept];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    const start = loca[id];
+    if (loca[id + 1] - start < 10 || glyf.readInt16BE(start) >= 0) {
+      continue;
+    }
+    let offset = start + 10;
+    let flags;
+    do {
+      flags = glyf.readUInt16BE(offset);
+      const component = glyf.readUInt16BE(offset + 2);
+      if (!kept.has(component)) {
+        kept.add(component);
+        pending.push(component);
+      }
+      offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+      if (flags & WE_HAVE_A_SCALE) {
+        offset += 2;
+      } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+        offset += 4;
+      } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+        offset += 8;
+      }
+    } while (flags & MORE_COMPONENTS);
+  }
+}
+
+// Drop the variation data of dropped glyphs; the shared tuples stay as they are
+function subsetGvar(gvar, kept) {
+  const glyphCount = gvar.readUInt16BE(12);
+  const longOffsets = gvar.readUInt16BE(14) & GVAR_LONG_OFFSETS;
+  const dataStart = gvar.readUInt32BE(16);
+  const offsetAt = i => (longOffsets ? gvar.readUInt32BE(GVAR_HEADER_SIZE + i * 4) : gvar.readUInt16BE(GVAR_HEADER_SIZE + i * 2) * 2);
+
+  const data = [];
+  const offsets = [0];
+  for (let id = 0; id < glyphCount; id++) {
+    const length = kept.has(id) ? offsetAt(id + 1) - offsetAt(id) : 0;
+    if (length > 0) {
+      data.push(gvar.subarray(dataStart + offsetAt(id), dataStart + offsetAt(id) + length));
+    }
+    offsets.push(offsets[id] + length);
+  }
+
+  const offsetsSize = (glyphCount + 1) * (longOffsets ? 4 : 2);
+  const sharedTuplesSize = gvar.readUInt16BE(6) * gvar.readUInt16BE(4) * 2;
+  const sharedTuples = gvar.subarray(gvar.readUInt32BE(8), gvar.readUInt32BE(8) + sharedTuplesSize);
+  const header = Buffer.alloc(GVAR_HEADER_SIZE + offsetsSize);
+  gvar.copy(header, 0, 0, GVAR_HEADER_SIZE);
+  offsets.forEach((offset, i) => (longOffsets
+    ? header.writeUInt32BE(offset, GVAR_HEADER_SIZE + i * 4)
+    : header.writeUInt16BE(offset / 2, GVAR_HEADER_SIZE + i * 2)));
+
+  // Shared tuples follow the offsets, then the glyph variation data
+  const sharedTuplesOffset = header.length;
+  header.writeUInt32BE(sharedTuplesOffset, 8);
+  header.writeUInt32BE(sharedTuplesOffset + sharedTuples.length, 16);
+  return Buffer.concat([header, sharedTuples, ...data]);
+}
+
+// A format 4 subtable stores its length in 16 bits: 16 bytes of header and
+// 8 per segment, including the end marker
+const MAX_FORMAT4_SEGMENTS = (0xFFFF - 16) >> 3;
+
+/**
+ * cmap with a format 4 subtable for the BMP and, when needed, a format 12
+ * subtable for supplementary planes, plus any variation sequences and Mac
+ * subtables carried over from the original
+ * A BMP mapping too fragmented for format 4 is cut short there, as fontTools
+ * does, and kept whole in format 12. Returns { data, warnings }.
+ */
+function buildCmap(mapping, variations = [], mac = []) {
+  const entries = [...mapping.entries()].sort((a, b) => a[0] - b[0]);
+  // U+FFFF is a noncharacter and doubles as format 4's end marker
+  const bmp = entries.filter(([codePoint]) => codePoint < 0xFFFF);
+  const format4 = buildFormat4(bmp);
+  const needsFormat12 = format4.truncated || entries.some(([codePoint]) => codePoint > 0xFFFF);
+  const warnings = format4.truncated
+    ? [`cmap format 4 needs more than ${MAX_FORMAT4_SEGMENTS} segments, so it only maps up to ${formatCodePoint(format4.lastCodePoint)}; the full mapping is in format 12`]
+    : [];
+  const subtables = { f4: format4.table };
+  if (needsFormat12) {
+    subtables.f12 = buildFormat12(entries);
+  }
+  if (variations.length > 0) {
+    subtables.f14 = buildFormat14(variations);
+  }
+  mac.forEach((table, i) => {
+    subtables[`mac${i}`] = table.data;
+  });
+
+  // Unicode BMP (0/3) and Windows BMP (3/1) share one subtable, likewise 0/4
+  // and 3/10; records are sorted by platform and encoding
+  const records = [
+    [0, 3, 'f4'],
+    ...(needsFormat12 ? [[0, 4, 'f12']] : []),
+    ...(variations.length > 0 ? [[0, 5, 'f14']] : []),
+    ...mac.map((table, i) => [1, table.encodingID, `mac${i}`]).sort((a, b) => a[1] - b[1]),
+    [3, 1, 'f4'],
+    ...(needsFormat12 ? [[3, 10, 'f12']] : [])
+  ];
+  const headerSize = 4 + records.length * 8;
+  const offsets = {};
+  let offset = headerSize;
+  for (const [name, data] of Object.entries(subtables)) {
+    offsets[name] = offset;
+    offset += data.length;
+  }
+
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt16BE(0, 0);
+  header.writeUInt16BE(records.length, 2);
+  records.forEach(([platformID, encodingID, subtable], i) => {
+    header.writeUInt16BE(platformID, 4 + i * 8);
+    header.writeUInt16BE(encodingID, 6 + i * 8);
+    header.writeUInt32BE(offsets[subtable], 8 + i * 8);
+  });
+  return { data: Buffer.concat([header, ...Object.values(subtables)]), warnings };
+}
+
+/**
+ * The parts of the original cmap that aren't rebuilt from the code point
+ * mapping: variation sequences and Mac format 0/6 subtables. Other
+ * subtables that aren't plain Unicode are listed in `dropped`.
+ */
+function readCmapExtras(sfnt, table) {
+  const extras = { variations: [], mac: [], dropped: [] };
+  if (!table) {
+    return extras;
+  }
+
+  const cmap = sfnt.subarray(table.offset, table.offset + table.length);
+  for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+    const record = 4 + i * 8;
+    const platformID = cmap.readUInt16BE(record);
+    const encodingID = cmap.readUInt16BE(record + 2);
+    const offset = cmap.readUInt32BE(record + 4);
+    const format = cmap.readUInt16BE(offset);
+    if (format === 14) {
+      extras.variations.push(...readFormat14(cmap, offset));
+    } else if (platformID === 1 && (format === 0 || format === 6)) {
+      extras.mac.push({ encodingID, data: cmap.subarray(offset, offset + cmap.readUInt16BE(offset + 2)) });
+    } else if (!(platformID === 0 && encodingID <= 4) && !(platformID === 3 && (encodingID === 1 || encodingID === 10))) {
+      extras.dropped.push(`${platformID}/${encodingID} (format ${format})`);
+    }
+  }
+  return extras;
+}
+
+// [{ selector, defaults: [codePoint], mappings: [[codePoint, glyphId]] }]
+function readFormat14(cmap, offset) {
+  const selectors = [];
+  for (let i = 0; i < cmap.readUInt32BE(offset + 6); i++) {
+    const record = offset + 10 + i * 11;
+    const defaultOffset = cmap.readUInt32BE(record + 3);
+    const nonDefaultOffset = cmap.readUInt32BE(record + 7);
+
+    const defaults = [];
+    if (defaultOffset) {
+      const ranges = offset + defaultOffset;
+      for (let j = 0; j < cmap.readUInt32BE(ranges); j++) {
+        const start = cmap.readUIntBE(ranges + 4 + j * 4, 3);
+        const additionalCount = cmap[ranges + 7 + j * 4];
+        for (let k = 0; k <= additionalCount; k++) {
+          defaults.push(start + k);
+        }
+      }
+    }
+
+    const mappings = [];
+    if (nonDefaultOffset) {
+      const list = offset + nonDefaultOffset;
+      for (let j = 0; j < cmap.readUInt32BE(list); j++) {
+        mappings.push([cmap.readUIntBE(list + 4 + j * 5, 3), cmap.readUInt16BE(list + 7 + j * 5)]);
+      }
+    }
+    selectors.push({ selector: cmap.readUIntBE(record, 3), defaults, mappings });
+  }
+  return selectors;
+}
+
+function buildFormat14(variations) {
+  const header = Buffer.alloc(10 + variations.length * 11);
+  const lists = [];
+  let offset = header.length;
+  variations.forEach(({ selector, defaults, mappings }, i) => {
+    const record = 10 + i * 11;
+    header.writeUIntBE(selector, record, 3);
+
+    if (defaults.length > 0) {
+      // Runs of up to 256 consecutive code points share a range
+      const ranges = [];
+      for (const codePoint of [...defaults].sort((a, b) => a - b)) {
+        const last = ranges[ranges.length - 1];
+        if (last && codePoint === last.start + last.additionalCount + 1 && last.additionalCount < 255) {
+          last.additionalCount++;
+        } else {
+          ranges.push({ start: codePoint, additionalCount: 0 });
+        }
+      }
+      const list = Buffer.alloc(4 + ranges.length * 4);
+      list.writeUInt32BE(ranges.length, 0);
+      ranges.forEach((range, j) => {
+        list.writeUIntBE(range.start, 4 + j * 4, 3);
+        list.writeUInt8(range.additionalCount, 7 + j * 4);
+      });
+      header.writeUInt32BE(offset, record + 3);
+      lists.push(list);
+      offset += list.length;
+    }
+
+    if (mappings.length > 0) {
+      const list = Buffer.alloc(4 + mappings.length * 5);
+      list.writeUInt32BE(mappings.length, 0);
+      mappings.forEach(([codePoint, id], j) => {
+        list.writeUIntBE(codePoint, 4 + j * 5, 3);
+        list.writeUInt16BE(id, 7 + j * 5);
+      });
+      header.writeUInt32BE(offset, record + 7);
+      lists.push(list);
+      offset += list.length;
+    }
+  });
+
+  header.writeUInt16BE(14, 0);
+  header.writeUInt32BE(offset, 2);
+  header.writeUInt32BE(variations.length, 6);
+  return Buffer.concat([header, ...lists]);
+}
+
+// Mac subtables map to glyph IDs directly; dropped glyphs map to .notdef
+function subsetMacTable(data, kept) {
+  const table = Buffer.from(data);
+  if (table.readUInt16BE(0) === 0) {
+    for (let i = 6; i < table.length; i++) {
+      if (!kept.has(table[i])) {
+        table[i] = 0;
+      }
+    }
+  } else {
+    for (let i = 10; i < table.length; i += 2) {
+      if (!kept.has(table.readUInt16BE(i))) {
+        table.writeUInt16BE(0, i);
+      }
+    }
+  }
+  return table;
+}
+
+function buildFormat4(entries) {
+  // Runs of consecutive code points with consecutive glyph IDs share a segment
+  const segments = [];
+  for (const [codePoint, id] of entries) {
+    const last = segments[segments.length - 1];
+    if (last && codePoint === last.end + 1 && id === last.startId + (codePoint - last.start)) {
+      last.end = codePoint;
+    } else {
+      segments.push({ start: codePoint, end: codePoint, startId: id });
+    }
+  }
+  // Keep the segments that fit, lowest code points first
+  const truncated = segments.length >= MAX_FORMAT4_SEGMENTS;
+  if (truncated) {
+    segments.length = MAX_FORMAT4_SEGMENTS - 1;
+  }
+  const lastCodePoint = segments.length > 0 ? segments[segments.length - 1].end : null;
+  segments.push({ start: 0xFFFF, end: 0xFFFF, startId: 0 });
+
+  const segCount = segments.length;
+  const table = Buffer.alloc(16 + segCount * 8);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+  table.writeUInt16BE(4, 0);
+  table.writeUInt16BE(table.length, 2);
+  table.writeUInt16BE(0, 4); // language
+  table.writeUInt16BE(segCount * 2, 6);
+  table.writeUInt16BE(searchRange, 8);
+  table.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  table.writeUInt16BE(segCount * 2 - searchRange, 12);
+
+  const endCodes = 14;
+  const startCodes = endCodes + segCount * 2 + 2; // after reservedPad
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+  segments.forEach((segment, i) => {
+    table.writeUInt16BE(segment.end, endCodes + i * 2);
+    table.writeUInt16BE(segment.start, startCodes + i * 2);
+    table.writeUInt16BE((segment.startId - segment.start) & 0xFFFF, idDeltas + i * 2);
+    table.writeUInt16BE(0, idRangeOffsets + i * 2);
+  });
+  return { table, truncated, lastCodePoint };
+}
+
+function buildFormat12(entries) {
+  const groups = [];
+  for (const [codePoint, id] of entries) {
+    const last = groups[groups.length - 1];
+    if (last && codePoint === last.end + 1 && id === last.startId + (codePoint - last.start)) {
+      last.end = codePoint;
+    } else {
+      groups.push({ start: codePoint, end: codePoint, startId: id });
+    }
+  }
+
+  const table = Buffer.alloc(16 + groups.length * 12);
+  table.writeUInt16BE(12, 0);
+  table.writeUInt32BE(table.length, 4);
+  table.writeUInt32BE(0, 8); // language
+  table.writeUInt32BE(groups.length, 12);
+  groups.forEach((group, i) => {
+    table.writeUInt32BE(group.start, 16 + i * 12);
+    table.writeUInt32BE(group.end, 20 + i * 12);
+    table.writeUInt32BE(group.startId, 24 + i * 12);
+  });
+  return table;
+}
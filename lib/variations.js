@@ -0,0 +1,355 @@
+/**
+ * Variable font metrics (fvar axes and MVAR deltas)
+ * MVAR varies font-wide metrics across the design space, so edits to the
+ * default OS/2 values only hold at the default instance unless the
+ * matching MVAR records are rescaled or removed.
+ *
+ * Reference: https://learn.microsoft.com/en-us/typography/opentype/spec/mvar
+ */
+
+import { readTableDirectory, replaceTable } from './sfnt.js';
+import { InvalidFontError, InvalidOptionError } from './errors.js';
+
+// MVAR value tags for the vertical metrics we read or edit
+export const MVAR_FIELDS = {
+  hasc: 'typoAscender',
+  hdsc: 'typoDescender',
+  hlgp: 'typoLineGap',
+  hcla: 'winAscent',
+  hcld: 'winDescent',
+  xhgt: 'xHeight',
+  cpht: 'capHeight'
+};
+
+export const MVAR_MODES = ['remove', 'scale', 'keep'];
+
+const NO_VARIATION = 0xFFFF;
+const MVAR_HEADER_SIZE = 12;
+const MVAR_RECORD_SIZE = 8;
+
+/**
+ * Read fvar axes and the per-axis MVAR deltas of the metric fields
+ * Returns null for static fonts. Each MVAR record reports the delta at the
+ * minimum and maximum of every axis, with the other axes at their default.
+ *
+ *   {
+ *     axes: [{ tag: 'wght', min: 100, default: 400, max: 900 }],
+ *     mvar: [{ tag: 'hasc', field: 'typoAscender', deltas: [{ axis: 'wght', value: 900, delta: 40 }] }]
+ *   }
+ */
+export function readVariations(sfnt) {
+  const { tables } = readTableDirectory(sfnt);
+  const fvar = tables.find(table => table.tag === 'fvar');
+  if (!fvar) {
+    return null;
+  }
+
+  const axes = readAxes(sfnt.subarray(fvar.offset, fvar.offset + fvar.length));
+  const mvarTable = tables.find(table => table.tag === 'MVAR');
+  if (!mvarTable) {
+    return { axes, mvar: null };
+  }
+
+  const mvar = parseMvar(sfnt.subarray(mvarTable.offset, mvarTable.offset + mvarTable.length));
+  return {
+    axes,
+    mvar: mvar.records
+      .filter(record => record.tag in MVAR_FIELDS)
+      .map(record => ({
+        tag: record.tag,
+        field: MVAR_FIELDS[record.tag],
+        deltas: axes.flatMap((axis, index) => [
+          ['min', -1],
+          ['max', 1]
+        ]
+          .filter(([end]) => axis[end] !== axis.default)
+          .map(([end, coord]) => {
+            const coords = axes.map((_, i) => (i === index ? coord : 0));
+            return { axis: axis.tag, value: axis[end], delta: Math.round(evaluateDelta(mvar, record, coords)) };
+          }))
+      }))
+  };
+}
+
+/**
+ * Rescale or drop MVAR records after the default metrics changed
+ * `original` and `applied` are the readVerticalMetrics() values and the
+ * computeMetricChanges() result. In 'scale' mode each delta is multiplied
+ * by new / old so the metric keeps its proportions across the design
+ * space; a record whose old value is 0 can't be scaled and is removed.
+ * 'remove' drops the records so the new value holds at every instance.
+ *
+ * Returns { sfnt, changes: [{ tag, field, action, factor }] }; the font is
+ * returned unchanged when nothing applies.
+ */
+export function updateMvar(sfnt, original, applied, mode = 'remove') {
+  if (!MVAR_MODES.includes(mode)) {
+    throw new InvalidOptionError(`mvar must be one of ${MVAR_MODES.join(', ')}, got ${mode}`);
+  }
+
+  const table = readTableDirectory(sfnt).tables.find(entry => entry.tag === 'MVAR');
+  if (!table || !original.os2 || !applied.os2) {
+    return { sfnt, changes: [] };
+  }
+
+  const mvar = parseMvar(sfnt.subarray(table.offset, table.offset + table.length));
+  const changes = [];
+  const factors = new Map();
+
+  for (const record of mvar.records) {
+    const field = MVAR_FIELDS[record.tag];
+    const before = original.os2[field];
+    const after = applied.os2[field];
+    if (!field || after === undefined || after === before || record.outer === NO_VARIATION) {
+      continue;
+    }
+
+    let action = mode === 'scale' && before !== 0 ? 'scaled' : 'removed';
+    if (mode === 'keep') {
+      action = 'kept';
+    }
+    const factor = action === 'scaled' ? after / before : null;
+    changes.push({ tag: record.tag, field, action, factor });
+    if (action !== 'kept') {
+      factors.set(record.tag, factor);
+    }
+  }
+
+  if (factors.size === 0) {
+    return { sfnt, changes };
+  }
+
+  const records = mvar.records
+    .filter(record => factors.get(record.tag) !== null)
+    .map(record => ({
+      tag: record.tag,
+      deltas: record.outer === NO_VARIATION
+        ? null
+        : regionDeltas(mvar, record).map(delta => Math.round(delta * (factors.get(record.tag) ?? 1)))
+    }));
+
+  const data = records.length > 0 ? buildMvar(mvar, records) : null;
+  return { sfnt: replaceTable(sfnt, 'MVAR', data), changes };
+}
+
+function readAxes(fvar) {
+  const axesArrayOffset = fvar.readUInt16BE(4);
+  const axisCount = fvar.readUInt16BE(8);
+  const axisSize = fvar.readUInt16BE(10);
+  if (axesArrayOffset + axisCount * axisSize > fvar.length) {
+    throw new InvalidFontError('Truncated fvar axis array');
+  }
+
+  const fixed = offset => fvar.readInt32BE(offset) / 0x10000;
+  return Array.from({ length: axisCount }, (_, i) => {
+    const record = axesArrayOffset + i * axisSize;
+    return {
+      tag: fvar.toString('latin1', record, record + 4),
+      min: fixed(record + 4),
+      default: fixed(record + 8),
+      max: fixed(record + 12)
+    };
+  });
+}
+
+/**
+ * Parse MVAR value records and its item variation store
+ */
+function parseMvar(mvar) {
+  const recordSize = mvar.readUInt16BE(6);
+  const recordCount = mvar.readUInt16BE(8);
+  const storeOffset = mvar.readUInt16BE(10);
+  if (MVAR_HEADER_SIZE + recordCount * recordSize > mvar.length) {
+    throw new InvalidFontError('Truncated MVAR value records');
+  }
+
+  const records = Array.from({ length: recordCount }, (_, i) => {
+    const record = MVAR_HEADER_SIZE + i * recordSize;
+    return {
+      tag: mvar.toString('latin1', record, record + 4),
+      outer: mvar.readUInt16BE(record + 4),
+      inner: mvar.readUInt16BE(record + 6)
+    };
+  });
+
+  const store = storeOffset ? parseItemVariationStore(mvar, storeOffset) : { axisCount: 0, regions: [], data: [] };
+  return { records, ...store };
+}
+
+function parseItemVariationStore(buffer, base) {
+  const regionListOffset = base + buffer.readUInt32BE(base + 2);
+  const dataCount = buffer.readUInt16BE(base + 6);
+
+  const f2dot14 = offset => buffer.readInt16BE(offset) / 0x4000;
+  const axisCount = buffer.readUInt16BE(regionListOffset);
+  const regionCount = buffer.readUInt16BE(regionListOffset + 2);
+  const regions = Array.from({ length: regionCount }, (_, r) =>
+    Array.from({ length: axisCount }, (_, a) => {
+      const offset = regionListOffset + 4 + (r * axisCount + a) * 6;
+      return { start: f2dot14(offset), peak: f2dot14(offset + 2), end: f2dot14(offset + 4) };
+    })
+  );
+
+  const data = Array.from({ length: dataCount }, (_, i) => {
+    const offset = base + buffer.readUInt32BE(base + 8 + i * 4);
+    const itemCount = buffer.readUInt16BE(offset);
+    const wordDeltaCount = buffer.readUInt16BE(offset + 2);
+    const regionIndexCount = buffer.readUInt16BE(offset + 4);
+    const regionIndexes = Array.from({ length: regionIndexCount }, (_, r) => buffer.readUInt16BE(offset + 6 + r * 2));
+
+    // The first wordCount deltas of each row are 16-bit (32-bit with
+    // LONG_WORDS), the rest 8-bit (16-bit)
+    const longWords = (wordDeltaCount & 0x8000) !== 0;
+    const wordCount = wordDeltaCount & 0x7FFF;
+    const [wordSize, shortSize] = longWords ? [4, 2] : [2, 1];
+    const rowSize = wordCount * wordSize + (regionIndexCount - wordCount) * shortSize;
+    const rowsStart = offset + 6 + regionIndexCount * 2;
+    if (rowsStart + itemCount * rowSize > buffer.length) {
+      throw new InvalidFontError('Truncated MVAR item variation data');
+    }
+
+    const read = (position, size) => ({ 1: buffer.readInt8, 2: buffer.readInt16BE, 4: buffer.readInt32BE })[size].call(buffer, position);
+    const rows = Array.from({ length: itemCount }, (_, item) => {
+      let position = rowsStart + item * rowSize;
+      return regionIndexes.map((_, column) => {
+        const size = column < wordCount ? wordSize : shortSize;
+        const delta = read(position, size);
+        position += size;
+        return delta;
+      });
+    });
+
+    return { regionIndexes, rows };
+  });
+
+  return { axisCount, regions, data };
+}
+
+/**
+ * A record's delta for every region in the region list (0 where unused)
+ */
+function regionDeltas(mvar, record) {
+  const deltas = new Array(mvar.regions.length).fill(0);
+  const subtable = mvar.data[record.outer];
+  const row = subtable?.rows[record.inner];
+  if (!row) {
+    throw new InvalidFontError(`MVAR record '${record.tag}' points to missing delta set ${record.outer}/${record.inner}`);
+  }
+  subtable.regionIndexes.forEach((region, column) => {
+    deltas[region] += row[column];
+  });
+  return deltas;
+}
+
+/**
+ * Interpolated delta of a record at normalized axis coordinates
+ */
+function evaluateDelta(mvar, record, coords) {
+  if (record.outer === NO_VARIATION) {
+    return 0;
+  }
+  return regionDeltas(mvar, record).reduce(
+    (total, delta, region) => total + delta * regionScalar(mvar.regions[region], coords),
+    0
+  );
+}
+
+function regionScalar(region, coords) {
+  let scalar = 1;
+  region.forEach(({ start, peak, end }, axis) => {
+    const coord = coords[axis] ?? 0;
+    // Axes with no peak, or invalid ranges, don't constrain the region
+    if (peak === 0 || start > peak || peak > end || (start < 0 && end > 0)) {
+      return;
+    }
+    if (coord === peak) {
+      return;
+    }
+    if (coord <= start || coord >= end) {
+      scalar = 0;
+    } else if (coord < peak) {
+      scalar *= (coord - start) / (peak - start);
+    } else {
+      scalar *= (end - coord) / (end - peak);
+    }
+  });
+  return scalar;
+}
+
+/**
+ * Serialize MVAR with one item variation data subtable holding a row per
+ * record over every region. Records must be sorted by tag, as they already
+ * are in a valid font.
+ */
+function buildMvar(mvar, records) {
+  const varied = records.filter(record => record.deltas);
+  const regionCount = mvar.regions.length;
+  const longWords = varied.some(record => record.deltas.some(delta => delta < -0x8000 || delta > 0x7FFF));
+  const deltaSize = longWords ? 4 : 2;
+
+  const storeOffset = MVAR_HEADER_SIZE + records.length * MVAR_RECORD_SIZE;
+  const regionListSize = 4 + regionCount * mvar.axisCount * 6;
+  const dataOffset = 12 + regionListSize;
+  const dataSize = 6 + regionCount * 2 + varied.length * regionCount * deltaSize;
+  const hasStore = varied.length > 0;
+  const mvarTable = Buffer.alloc(storeOffset + (hasStore ? dataOffset + dataSize : 0));
+
+  mvarTable.writeUInt16BE(1, 0); // majorVersion
+  mvarTable.writeUInt16BE(0, 2); // minorVersion
+  mvarTable.writeUInt16BE(MVAR_RECORD_SIZE, 6);
+  mvarTable.writeUInt16BE(records.length, 8);
+  mvarTable.writeUInt16BE(hasStore ? storeOffset : 0, 10);
+
+  let item = 0;
+  records.forEach((record, i) => {
+    const offset = MVAR_HEADER_SIZE + i * MVAR_RECORD_SIZE;
+    mvarTable.write(record.tag, offset, 'latin1');
+    mvarTable.writeUInt16BE(record.deltas ? 0 : NO_VARIATION, offset + 4);
+    mvarTable.writeUInt16BE(record.deltas ? item++ : NO_VARIATION, offset + 6);
+  });
+
+  if (!hasStore) {
+    return mvarTable;
+  }
+
+  // Item variation store header, region list and the single data subtable
+  let offset = storeOffset;
+  mvarTable.writeUInt16BE(1, offset);
+  mvarTable.writeUInt32BE(12, offset + 2);
+  mvarTable.writeUInt16BE(1, offset + 6);
+  mvarTable.writeUInt32BE(dataOffset, offset + 8);
+
+  offset += 12;
+  mvarTable.writeUInt16BE(mvar.axisCount, offset);
+  mvarTable.writeUInt16BE(regionCount, offset + 2);
+  offset += 4;
+  for (const region of mvar.regions) {
+    for (const { start, peak, end } of region) {
+      mvarTable.writeInt16BE(Math.round(start * 0x4000), offset);
+      mvarTable.writeInt16BE(Math.round(peak * 0x4000), offset + 2);
+      mvarTable.writeInt16BE(Math.round(end * 0x4000), offset + 4);
+      offset += 6;
+    }
+  }
+
+  mvarTable.writeUInt16BE(varied.length, offset);
+  mvarTable.writeUInt16BE(longWords ? 0x8000 | regionCount : regionCount, offset + 2);
+  mvarTable.writeUInt16BE(regionCount, offset + 4);
+  offset += 6;
+  for (let region = 0; region < regionCount; region++) {
+    mvarTable.writeUInt16BE(region, offset);
+    offset += 2;
+  }
+  for (const record of varied) {
+    for (const delta of record.deltas) {
+      if (longWords) {
+        mvarTable.writeInt32BE(delta, offset);
+      } else {
+        mvarTable.writeInt16BE(delta, offset);
+      }
+      offset += deltaSize;
+    }
+  }
+
+  return mvarTable;
+}
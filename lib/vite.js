@@ -0,0 +1,57 @@
+/**
+ * Vite plugin
+ * Patches the fonts loaded by @font-face rules in stylesheets (see
+ * transformFontFaces) before Vite's CSS handling runs. Rules are pointed at
+ * the patched WOFF2 files in the cache, which Vite then emits with its own
+ * hashed names like any other asset, and the source map of the edit is
+ * chained onto the stylesheet's:
+ *
+ *   // vite.config.js
+ *   import { fontMetricsVite } from 'font-metrics-editor';
+ *   export default { plugins: [fontMetricsVite({ metrics: { lineGap: 0 } })] };
+ *
+ * Options are as for the PostCSS plugin, minus outDir/publicPath; the
+ * cache defaults to node_modules/.cache/font-metrics under the project root.
+ *
+ * It relies on Vite's `enforce` and CSS asset handling, which plain Rollup
+ * doesn't have; Rollup builds should run the PostCSS plugin with outDir
+ * through their CSS plugin instead.
+ */
+
+import path from 'path';
+import { transformFontFaces, relativeUrl, DEFAULT_CACHE_DIR } from './assets.js';
+
+const STYLESHEET = /\.(css|pcss|postcss|scss|sass|less|styl|stylus)(\?|$)/;
+// Stylesheets imported as strings or URLs are not processed as CSS
+const SKIP_QUERY = /[?&](raw|url)\b/;
+
+/**
+ * Create the Vite plugin
+ */
+export function fontMetricsVite({ cacheDir = null, ...options } = {}) {
+  let root = process.cwd();
+
+  return {
+    name: 'font-metrics',
+    enforce: 'pre',
+    configResolved(config) {
+      root = config.root;
+    },
+    async transform(code, id) {
+      if (!STYLESHEET.test(id) || SKIP_QUERY.test(id) || !/@font-face/i.test(code)) {
+        return null;
+      }
+      const cssPath = id.replace(/\?.*$/, '');
+      const result = await transformFontFaces(code, {
+        ...options,
+        cacheDir: cacheDir ?? path.join(root, DEFAULT_CACHE_DIR),
+        cssPath,
+        url: file => relativeUrl(path.dirname(cssPath), file)
+      });
+
+      result.assets.forEach(asset => this.addWatchFile(asset.input));
+      result.warnings.forEach(warning => this.warn(warning));
+      return result.assets.length > 0 ? { code: result.css, map: result.map } : null;
+    }
+  };
+}
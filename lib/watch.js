@@ -0,0 +1,151 @@
+/**
+ * Watching inputs for --watch
+ * Files, directories and glob patterns are watched the way expandInputs()
+ * reads them. Changes are batched, so one editor save or a copy of several
+ * fonts runs the callback once, and callbacks never overlap.
+ *
+ * Directories are watched with fs.watch({ recursive: true }), which Linux
+ * only supports from Node 19.1; package.json asks for Node 20.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isGlob, expandInputs } from './batch.js';
+
+/**
+ * Call `onChange(paths)` with the absolute paths that changed under `inputs`
+ * `delay` is how long to wait for more changes (ms) before calling it.
+ * Errors thrown by `onChange` go to `onError`. Returns { close() }.
+ *
+ * Paths that don't exist yet (e.g. a config file about to be created) are
+ * watched through their parent directory.
+ */
+export function watchPaths(inputs, onChange, { delay = 200, onError = error => { throw error; } } = {}) {
+  const targets = new Map();
+  for (const input of inputs) {
+    const target = watchTarget(input);
+    if (!target) {
+      continue;
+    }
+    const key = `${target.dir}\0${target.recursive}`;
+    const existing = targets.get(key);
+    // A null name list means everything in the directory is of interest
+    if (existing) {
+      existing.names = existing.names && target.names ? new Set([...existing.names, ...target.names]) : null;
+    } else {
+      targets.set(key, target);
+    }
+  }
+
+  let pending = new Set();
+  let timer = null;
+  let running = false;
+
+  const flush = async () => {
+    timer = null;
+    if (running) {
+      return;
+    }
+    running = true;
+    const changed = pending;
+    pending = new Set();
+    try {
+      await onChange([...changed]);
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+      // Changes made while the callback ran get their own run
+      if (pending.size > 0) {
+        schedule();
+      }
+    }
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  const watchers = [...targets.values()].map(({ dir, recursive, names }) =>
+    fs.watch(dir, { recursive }, (event, name) => {
+      if (names && (!name || !names.has(name))) {
+        return;
+      }
+      pending.add(path.resolve(dir, name ?? ''));
+      if (!running) {
+        schedule();
+      }
+    })
+  );
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+/**
+ * Watch the fonts under `inputs` by content
+ * Calls `onChange({ changed, removed })` with the expandInputs() entries
+ * ({ file, root }) whose bytes differ from the last run (or from when
+ * watching started) and the absolute paths of fonts that are gone.
+ * `ignore(absolutePath)` leaves out files such as outputs written next to
+ * their inputs; it is asked again on every change. Returns { close() }.
+ */
+export function watchFonts(inputs, onChange, { ignore = () => false, ...options } = {}) {
+  const listFonts = () => expandInputs(inputs).files.filter(({ file }) => !ignore(path.resolve(file)));
+  const hashes = new Map(listFonts().map(({ file }) => [path.resolve(file), fileHash(file)]));
+
+  return watchPaths(inputs, async paths => {
+    if (paths.every(ignore)) {
+      return;
+    }
+
+    const current = listFonts();
+    const changed = current.filter(({ file }) => {
+      const key = path.resolve(file);
+      const hash = fileHash(file);
+      if (hashes.get(key) === hash) {
+        return false;
+      }
+      hashes.set(key, hash);
+      return true;
+    });
+    const removed = [...hashes.keys()].filter(key => !current.some(({ file }) => path.resolve(file) === key));
+    removed.forEach(key => hashes.delete(key));
+
+    if (changed.length > 0 || removed.length > 0) {
+      await onChange({ changed, removed });
+    }
+  }, options);
+}
+
+function fileHash(file) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+// The directory to watch for one input, and the file names that matter in it
+function watchTarget(input) {
+  if (fs.existsSync(input)) {
+    if (fs.statSync(input).isDirectory()) {
+      return { dir: input, recursive: true, names: null };
+    }
+    return { dir: path.dirname(input), recursive: false, names: new Set([path.basename(input)]) };
+  }
+
+  if (isGlob(input)) {
+    const segments = input.split(path.sep).join('/').split('/');
+    const root = segments.slice(0, segments.findIndex(isGlob)).join('/') || '.';
+    return fs.existsSync(root) ? { dir: root, recursive: true, names: null } : null;
+  }
+
+  const dir = path.dirname(input);
+  return fs.existsSync(dir) ? { dir, recursive: false, names: new Set([path.basename(input)]) } : null;
+}
@@ -0,0 +1,112 @@
+/**
+ * WOFF 1.0 encoding and decoding
+ * Wraps SFNT tables in zlib-compressed WOFF and unpacks them again.
+ *
+ * Reference: https://www.w3.org/TR/WOFF/
+ */
+
+import zlib from 'zlib';
+import { readTableDirectory, buildSfnt } from './sfnt.js';
+import { UnsupportedFormatError, InvalidFontError } from './errors.js';
+
+const WOFF_SIGNATURE = 0x774F4646; // 'wOFF'
+const WOFF_HEADER_SIZE = 44;
+const WOFF_TABLE_RECORD_SIZE = 20;
+
+/**
+ * Check whether a buffer is a WOFF 1.0 file
+ */
+export function isWoff(buffer) {
+  return buffer.length >= WOFF_HEADER_SIZE && buffer.readUInt32BE(0) === WOFF_SIGNATURE;
+}
+
+/**
+ * Encode SFNT bytes as WOFF 1.0
+ * Each table is deflated unless that would make it larger.
+ */
+export function encodeWoff(sfnt, { level = zlib.constants.Z_BEST_COMPRESSION } = {}) {
+  const { flavor, tables } = readTableDirectory(sfnt);
+
+  // The WOFF table directory must be sorted by tag
+  const entries = [...tables]
+    .sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0))
+    .map(table => {
+      const data = sfnt.subarray(table.offset, table.offset + table.length);
+      const compressed = zlib.deflateSync(data, { level });
+      return { table, data: compressed.length < data.length ? compressed : data };
+    });
+
+  let offset = WOFF_HEADER_SIZE + entries.length * WOFF_TABLE_RECORD_SIZE;
+  const length = entries.reduce((total, entry) => total + align4(entry.data.length), offset);
+  const totalSfntSize = entries.reduce((total, entry) => total + align4(entry.table.length), 12 + entries.length * 16);
+  const woff = Buffer.alloc(length);
+
+  woff.writeUInt32BE(WOFF_SIGNATURE, 0);
+  woff.writeUInt32BE(flavor, 4);
+  woff.writeUInt32BE(length, 8);
+  woff.writeUInt16BE(entries.length, 12);
+  woff.writeUInt32BE(totalSfntSize, 16);
+  woff.writeUInt16BE(1, 20); // majorVersion
+
+  entries.forEach(({ table, data }, i) => {
+    const record = WOFF_HEADER_SIZE + i * WOFF_TABLE_RECORD_SIZE;
+    woff.write(table.tag, record, 'latin1');
+    woff.writeUInt32BE(offset, record + 4);
+    woff.writeUInt32BE(data.length, record + 8);
+    woff.writeUInt32BE(table.length, record + 12);
+    woff.writeUInt32BE(table.checksum, record + 16);
+    data.copy(woff, offset);
+    offset += align4(data.length);
+  });
+
+  return woff;
+}
+
+/**
+ * Decode a WOFF 1.0 file to SFNT bytes
+ * Tables are laid out in the WOFF directory order, four-byte aligned.
+ */
+export function decodeWoff(buffer) {
+  if (!isWoff(buffer)) {
+    throw new UnsupportedFormatError('Not a WOFF file');
+  }
+
+  const flavor = buffer.readUInt32BE(4);
+  const numTables = buffer.readUInt16BE(12);
+
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = WOFF_HEADER_SIZE + i * WOFF_TABLE_RECORD_SIZE;
+    const offset = buffer.readUInt32BE(record + 4);
+    const compLength = buffer.readUInt32BE(record + 8);
+    const origLength = buffer.readUInt32BE(record + 12);
+    if (offset + compLength > buffer.length) {
+      throw new InvalidFontError(`WOFF table ${i} extends past end of file`);
+    }
+    const raw = buffer.subarray(offset, offset + compLength);
+
+    // Tables that didn't shrink are stored uncompressed
+    let data = raw;
+    if (compLength < origLength) {
+      try {
+        data = zlib.inflateSync(raw);
+      } catch (error) {
+        throw new InvalidFontError(`WOFF table ${i} could not be inflated: ${error.message}`);
+      }
+    }
+    if (data.length !== origLength) {
+      throw new InvalidFontError(`WOFF table ${i} decoded to ${data.length} bytes, expected ${origLength}`);
+    }
+
+    tables.push({
+      tag: buffer.toString('latin1', record, record + 4),
+      data
+    });
+  }
+
+  return buildSfnt(flavor, tables);
+}
+
+function align4(length) {
+  return (length + 3) & ~3;
+}
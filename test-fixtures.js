@@ -0,0 +1,390 @@
+/**
+ * Small fixture fonts built in memory for the tests
+ * Six glyphs at 1000 units per em, as TrueType (glyf) or CFF outlines,
+ * with known metrics so tests can assert exact values:
+ *
+ *   .notdef  box 50..450 × 0..700
+ *   space    empty
+ *   H        box 100..600 × 0..700      (cap height 700)
+ *   g        box 80..520 × -210..500    (deepest descender)
+ *   x        box 60..500 × 0..500       (x-height 500)
+ *   Å        box 40..640 × 0..950       (tallest glyph)
+ *
+ *   hhea  ascender 850, descender -250, lineGap 50
+ *   OS/2  typo 750 / -250 / 100, win 950 / 210, fsSelection REGULAR only
+ *   cmap  Unicode format 4, Mac Roman format 0, and variation sequences
+ *         x + U+FE00 (default glyph) and H + U+FE00 (the Å glyph)
+ *
+ * `os2: false` or `hhea: false` leave those tables out, and `os2Version`
+ * writes an older OS/2 version with the same layout. `mappings`
+ * ([[codePoint, glyphId]]) adds a Windows format 12 subtable mapping those
+ * characters as well as the ones above, and `family` renames the font.
+ *
+ * buildFixtureCollection() puts two such faces in a TTC.
+ */
+
+import { buildSfnt } from './lib/sfnt.js';
+import { buildCollection } from './lib/collection.js';
+
+export const FIXTURE_METRICS = {
+  unitsPerEm: 1000,
+  hhea: { ascender: 850, descender: -250, lineGap: 50 },
+  os2: { typoAscender: 750, typoDescender: -250, typoLineGap: 100, winAscent: 950, winDescent: 210, fsSelection: 0x40 },
+  capHeight: 700,
+  xHeight: 500
+};
+
+const GLYPHS = [
+  { name: '.notdef', codePoint: null, advance: 500, box: [50, 0, 450, 700] },
+  { name: 'space', codePoint: 0x20, advance: 250, box: null },
+  { name: 'H', codePoint: 0x48, advance: 700, box: [100, 0, 600, 700] },
+  { name: 'g', codePoint: 0x67, advance: 600, box: [80, -210, 520, 500] },
+  { name: 'x', codePoint: 0x78, advance: 560, box: [60, 0, 500, 500] },
+  { name: 'Aring', codePoint: 0xC5, advance: 680, box: [40, 0, 640, 950] }
+];
+
+const TRUETYPE_FLAVOR = 0x00010000;
+const CFF_FLAVOR = 0x4F54544F;
+
+/**
+ * Build a fixture font as SFNT bytes
+ */
+export function buildFixtureFont({ outlines = 'TrueType', os2 = true, hhea = true, os2Version = 4, mappings = [], family = null } = {}) {
+  const cff = outlines === 'CFF';
+  family ??= cff ? 'Fixture CFF' : 'Fixture Sans';
+  const tables = {
+    head: headTable(),
+    maxp: maxpTable(cff),
+    hmtx: hmtxTable(),
+    cmap: cmapTable(mappings),
+    name: nameTable(family),
+    post: postTable()
+  };
+  if (hhea) {
+    tables.hhea = hheaTable();
+  }
+  if (os2) {
+    tables['OS/2'] = os2Table(os2Version);
+  }
+  if (cff) {
+    tables['CFF '] = cffTable(`${family.replace(/ /g, '')}-Regular`);
+  } else {
+    const { glyf, loca } = glyfTables();
+    Object.assign(tables, { glyf, loca });
+  }
+
+  const entries = Object.keys(tables).sort().map(tag => ({ tag, data: tables[tag] }));
+  return buildSfnt(cff ? CFF_FLAVOR : TRUETYPE_FLAVOR, entries);
+}
+
+/**
+ * Build a TrueType collection of Fixture Sans and Fixture Serif
+ * The faces differ in name and OS/2 version and share every other table,
+ * head included (its checkSumAdjustment differs per face).
+ */
+export function buildFixtureCollection() {
+  return buildCollection([buildFixtureFont(), buildFixtureFont({ family: 'Fixture Serif', os2Version: 3 })]);
+}
+
+function headTable() {
+  const table = Buffer.alloc(54);
+  table.writeUInt32BE(0x00010000, 0);
+  table.writeUInt32BE(0x00010000, 4);
+  table.writeUInt32BE(0x5F0F3CF5, 12);
+  table.writeUInt16BE(0x000B, 16);
+  table.writeUInt16BE(FIXTURE_METRICS.unitsPerEm, 18);
+  table.writeInt16BE(40, 36);
+  table.writeInt16BE(-210, 38);
+  table.writeInt16BE(640, 40);
+  table.writeInt16BE(950, 42);
+  table.writeUInt16BE(8, 46);
+  table.writeInt16BE(2, 48);
+  // Short loca offsets, glyphDataFormat 0
+  return table;
+}
+
+function hheaTable() {
+  const { ascender, descender, lineGap } = FIXTURE_METRICS.hhea;
+  const table = Buffer.alloc(36);
+  table.writeUInt32BE(0x00010000, 0);
+  table.writeInt16BE(ascender, 4);
+  table.writeInt16BE(descender, 6);
+  table.writeInt16BE(lineGap, 8);
+  table.writeUInt16BE(Math.max(...GLYPHS.map(glyph => glyph.advance)), 10);
+  table.writeInt16BE(40, 12);
+  table.writeInt16BE(0, 14);
+  table.writeInt16BE(640, 16);
+  table.writeInt16BE(1, 18);
+  table.writeUInt16BE(GLYPHS.length, 34);
+  return table;
+}
+
+function maxpTable(cff) {
+  if (cff) {
+    const table = Buffer.alloc(6);
+    table.writeUInt32BE(0x00005000, 0);
+    table.writeUInt16BE(GLYPHS.length, 4);
+    return table;
+  }
+  const table = Buffer.alloc(32);
+  table.writeUInt32BE(0x00010000, 0);
+  table.writeUInt16BE(GLYPHS.length, 4);
+  table.writeUInt16BE(4, 6);
+  table.writeUInt16BE(1, 8);
+  table.writeUInt16BE(2, 14);
+  return table;
+}
+
+function os2Table(version) {
+  const { typoAscender, typoDescender, typoLineGap, winAscent, winDescent, fsSelection } = FIXTURE_METRICS.os2;
+  const table = Buffer.alloc(96);
+  table.writeUInt16BE(version, 0);
+  table.writeInt16BE(550, 2);
+  table.writeUInt16BE(400, 4);
+  table.writeUInt16BE(5, 6);
+  table.write('NONE', 58, 'latin1');
+  table.writeUInt16BE(fsSelection, 62);
+  table.writeUInt16BE(0x20, 64);
+  table.writeUInt16BE(0xC5, 66);
+  table.writeInt16BE(typoAscender, 68);
+  table.writeInt16BE(typoDescender, 70);
+  table.writeInt16BE(typoLineGap, 72);
+  table.writeUInt16BE(winAscent, 74);
+  table.writeUInt16BE(winDescent, 76);
+  table.writeUInt32BE(1, 78);
+  table.writeInt16BE(FIXTURE_METRICS.xHeight, 86);
+  table.writeInt16BE(FIXTURE_METRICS.capHeight, 88);
+  table.writeUInt16BE(0x20, 92);
+  return table;
+}
+
+function hmtxTable() {
+  const table = Buffer.alloc(GLYPHS.length * 4);
+  GLYPHS.forEach((glyph, i) => {
+    table.writeUInt16BE(glyph.advance, i * 4);
+    table.writeInt16BE(glyph.box ? glyph.box[0] : 0, i * 4 + 2);
+  });
+  return table;
+}
+
+// Format 4 subtable with one single-character segment per mapped glyph,
+// plus the Mac and variation sequence subtables described above, and a
+// format 12 subtable with one group per character when `mappings` are given
+function cmapTable(mappings) {
+  const mapped = GLYPHS.map((glyph, id) => ({ id, codePoint: glyph.codePoint })).filter(glyph => glyph.codePoint !== null);
+  const segments = [...mapped.map(glyph => ({ start: glyph.codePoint, delta: (glyph.id - glyph.codePoint) & 0xFFFF })), { start: 0xFFFF, delta: 1 }];
+  const segCount = segments.length;
+  const entrySelector = Math.floor(Math.log2(segCount));
+  const searchRange = 2 ** entrySelector * 2;
+
+  const subtable = Buffer.alloc(16 + segCount * 8);
+  subtable.writeUInt16BE(4, 0);
+  subtable.writeUInt16BE(subtable.length, 2);
+  subtable.writeUInt16BE(segCount * 2, 6);
+  subtable.writeUInt16BE(searchRange, 8);
+  subtable.writeUInt16BE(entrySelector, 10);
+  subtable.writeUInt16BE(segCount * 2 - searchRange, 12);
+  segments.forEach((segment, i) => {
+    subtable.writeUInt16BE(segment.start, 14 + i * 2);
+    subtable.writeUInt16BE(segment.start, 16 + segCount * 2 + i * 2);
+    subtable.writeUInt16BE(segment.delta, 16 + segCount * 4 + i * 2);
+  });
+
+  // Mac Roman has Å at 0x81
+  const mac = Buffer.alloc(262);
+  mac.writeUInt16BE(0, 0);
+  mac.writeUInt16BE(mac.length, 2);
+  GLYPHS.forEach((glyph, id) => {
+    if (glyph.codePoint !== null) {
+      mac[6 + (glyph.codePoint === 0xC5 ? 0x81 : glyph.codePoint)] = id;
+    }
+  });
+
+  // One selector with a default UVS range (x) and a non-default mapping (H → Å)
+  const variations = Buffer.alloc(10 + 11 + 8 + 9);
+  variations.writeUInt16BE(14, 0);
+  variations.writeUInt32BE(variations.length, 2);
+  variations.writeUInt32BE(1, 6);
+  variations.writeUIntBE(0xFE00, 10, 3);
+  variations.writeUInt32BE(21, 13);
+  variations.writeUInt32BE(29, 17);
+  variations.writeUInt32BE(1, 21);
+  variations.writeUIntBE(0x78, 25, 3);
+  variations.writeUInt32BE(1, 29);
+  variations.writeUIntBE(0x48, 33, 3);
+  variations.writeUInt16BE(GLYPHS.findIndex(glyph => glyph.name === 'Aring'), 36);
+
+  const records = [[0, 5, variations], [1, 0, mac], [3, 1, subtable]];
+  if (mappings.length > 0) {
+    const all = [...mapped.map(glyph => [glyph.codePoint, glyph.id]), ...mappings].sort((a, b) => a[0] - b[0]);
+    const format12 = Buffer.alloc(16 + all.length * 12);
+    format12.writeUInt16BE(12, 0);
+    format12.writeUInt32BE(format12.length, 4);
+    format12.writeUInt32BE(all.length, 12);
+    all.forEach(([codePoint, id], i) => {
+      format12.writeUInt32BE(codePoint, 16 + i * 12);
+      format12.writeUInt32BE(codePoint, 20 + i * 12);
+      format12.writeUInt32BE(id, 24 + i * 12);
+    });
+    records.push([3, 10, format12]);
+  }
+  const header = Buffer.alloc(4 + records.length * 8);
+  header.writeUInt16BE(records.length, 2);
+  let offset = header.length;
+  records.forEach(([platformID, encodingID, data], i) => {
+    header.writeUInt16BE(platformID, 4 + i * 8);
+    header.writeUInt16BE(encodingID, 6 + i * 8);
+    header.writeUInt32BE(offset, 8 + i * 8);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...records.map(([, , data]) => data)]);
+}
+
+function nameTable(family) {
+  const postscript = `${family.replace(/ /g, '')}-Regular`;
+  const names = [
+    [1, family],
+    [2, 'Regular'],
+    [3, `1.000;NONE;${postscript}`],
+    [4, `${family} Regular`],
+    [6, postscript]
+  ];
+  const strings = names.map(([, value]) => Buffer.from(value, 'utf16le').swap16());
+  const header = Buffer.alloc(6 + names.length * 12);
+  header.writeUInt16BE(names.length, 2);
+  header.writeUInt16BE(header.length, 4);
+  let offset = 0;
+  names.forEach(([nameId], i) => {
+    const record = 6 + i * 12;
+    header.writeUInt16BE(3, record);
+    header.writeUInt16BE(1, record + 2);
+    header.writeUInt16BE(0x409, record + 4);
+    header.writeUInt16BE(nameId, record + 6);
+    header.writeUInt16BE(strings[i].length, record + 8);
+    header.writeUInt16BE(offset, record + 10);
+    offset += strings[i].length;
+  });
+  return Buffer.concat([header, ...strings]);
+}
+
+function postTable() {
+  const table = Buffer.alloc(32);
+  table.writeUInt32BE(0x00030000, 0);
+  table.writeInt16BE(-100, 8);
+  table.writeInt16BE(50, 10);
+  return table;
+}
+
+// Every outline is one clockwise rectangle
+function glyfTables() {
+  const outlines = GLYPHS.map(({ box }) => {
+    if (!box) {
+      return Buffer.alloc(0);
+    }
+    const [xMin, yMin, xMax, yMax] = box;
+    const points = [[xMin, yMin], [xMin, yMax], [xMax, yMax], [xMax, yMin]];
+    const glyph = Buffer.alloc(34);
+    glyph.writeInt16BE(1, 0);
+    box.forEach((value, i) => glyph.writeInt16BE(value, 2 + i * 2));
+    glyph.writeUInt16BE(3, 10);
+    // No instructions; four on-curve points with int16 coordinate deltas
+    glyph.fill(0x01, 14, 18);
+    points.forEach(([x, y], i) => {
+      const [previousX, previousY] = i === 0 ? [0, 0] : points[i - 1];
+      glyph.writeInt16BE(x - previousX, 18 + i * 2);
+      glyph.writeInt16BE(y - previousY, 26 + i * 2);
+    });
+    return glyph;
+  });
+
+  const loca = Buffer.alloc((GLYPHS.length + 1) * 2);
+  let offset = 0;
+  outlines.forEach((outline, i) => {
+    loca.writeUInt16BE(offset / 2, i * 2);
+    offset += outline.length;
+  });
+  loca.writeUInt16BE(offset / 2, GLYPHS.length * 2);
+  return { glyf: Buffer.concat(outlines), loca };
+}
+
+// A bare CFF: one font, glyph names as custom strings, Type 2 rectangles
+function cffTable(fontName) {
+  const charStrings = GLYPHS.map(({ box }) => {
+    if (!box) {
+      return Buffer.from([14]);
+    }
+    const [xMin, yMin, xMax, yMax] = box;
+    const width = xMax - xMin;
+    const height = yMax - yMin;
+    return Buffer.concat([
+      charStringNumbers([xMin, yMin]), Buffer.from([21]),
+      charStringNumbers([0, height, width, 0, 0, -height]), Buffer.from([5]),
+      Buffer.from([14])
+    ]);
+  });
+
+  const header = Buffer.from([1, 0, 4, 4]);
+  const names = cffIndex([Buffer.from(fontName, 'latin1')]);
+  const strings = cffIndex(GLYPHS.slice(1).map(glyph => Buffer.from(glyph.name, 'latin1')));
+  const globalSubrs = cffIndex([]);
+  const charset = Buffer.alloc(1 + (GLYPHS.length - 1) * 2);
+  // Custom strings start at SID 391, after the standard strings
+  GLYPHS.slice(1).forEach((glyph, i) => charset.writeUInt16BE(391 + i, 1 + i * 2));
+  const charStringIndex = cffIndex(charStrings);
+  const privateDict = Buffer.from([139, 20]);
+
+  const topDictFor = (charsetOffset, charStringsOffset, privateOffset) => Buffer.concat([
+    dictInteger(charsetOffset), Buffer.from([15]),
+    dictInteger(charStringsOffset), Buffer.from([17]),
+    dictInteger(privateDict.length), dictInteger(privateOffset), Buffer.from([18])
+  ]);
+  // Offsets are written as 5-byte integers, so the Top DICT size doesn't depend on them
+  const topDictSize = cffIndex([topDictFor(0, 0, 0)]).length;
+  const charsetOffset = header.length + names.length + topDictSize + strings.length + globalSubrs.length;
+  const charStringsOffset = charsetOffset + charset.length;
+  const topDict = topDictFor(charsetOffset, charStringsOffset, charStringsOffset + charStringIndex.length);
+
+  return Buffer.concat([header, names, cffIndex([topDict]), strings, globalSubrs, charset, charStringIndex, privateDict]);
+}
+
+function cffIndex(items) {
+  if (items.length === 0) {
+    return Buffer.alloc(2);
+  }
+  const dataSize = items.reduce((total, item) => total + item.length, 0);
+  const offSize = dataSize + 1 <= 0xFF ? 1 : dataSize + 1 <= 0xFFFF ? 2 : 4;
+  const header = Buffer.alloc(3 + (items.length + 1) * offSize);
+  header.writeUInt16BE(items.length, 0);
+  header.writeUInt8(offSize, 2);
+  let offset = 1;
+  for (let i = 0; i <= items.length; i++) {
+    header.writeUIntBE(offset, 3 + i * offSize, offSize);
+    offset += items[i]?.length ?? 0;
+  }
+  return Buffer.concat([header, ...items]);
+}
+
+function dictInteger(value) {
+  const bytes = Buffer.alloc(5);
+  bytes.writeUInt8(29, 0);
+  bytes.writeInt32BE(value, 1);
+  return bytes;
+}
+
+function charStringNumbers(values) {
+  return Buffer.concat(values.map(value => {
+    if (value >= -107 && value <= 107) {
+      return Buffer.from([value + 139]);
+    }
+    if (value >= 108 && value <= 1131) {
+      return Buffer.from([((value - 108) >> 8) + 247, (value - 108) & 0xFF]);
+    }
+    if (value >= -1131 && value <= -108) {
+      return Buffer.from([((-value - 108) >> 8) + 251, (-value - 108) & 0xFF]);
+    }
+    const bytes = Buffer.alloc(3);
+    bytes.writeUInt8(28, 0);
+    bytes.writeInt16BE(value, 1);
+    return bytes;
+  }));
+}
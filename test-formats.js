@@ -2,44 +2,120 @@
 
 /**
  * Test script for font-metrics.js across all supported font formats
- * Tests TTF, OTF, WOFF, and WOFF2 formats with free fonts
+ * Every font in test-fonts/ is covered: real fonts must come out with exact
+ * metrics, valid checksums and untouched tables unchanged; the placeholder
+ * files must be rejected. Fixture fonts from test-fixtures.js add CFF and
+ * WOFF input and exercise the warning paths.
  */
 
 import fs from 'fs';
+import http from 'http';
+import os from 'os';
 import path from 'path';
-import { execSync } from 'child_process';
+import assert from 'assert/strict';
+import { execSync, spawnSync } from 'child_process';
+import * as fontkit from 'fontkit';
+import {
+  readMetrics,
+  setMetrics,
+  restoreMetrics,
+  validateChecksums,
+  readTableDirectory,
+  computeFallbackOverrides,
+  replaceTable,
+  toSfnt,
+  encodeWoff,
+  buildCollection,
+  extractFace,
+  readCollection,
+  readCollectionMetrics,
+  setCollectionMetrics,
+  saveModifiedFont,
+  proposeHarmonizedMetrics,
+  readNames,
+  generateStylesheet,
+  generateProof,
+  bakeStylesheet,
+  fontMetricsVite,
+  createMetricsServer,
+  watchPaths,
+  subsetFont,
+  fontCodePoints,
+  parseUnicodeRanges,
+  compressFontFile,
+  modifyJobs,
+  modifyFontFile,
+  manifestEntry,
+  fromSfnt,
+  detectFormat,
+  USE_TYPO_METRICS,
+  UnsupportedFormatError,
+  FontWriteError,
+  InvalidOptionError,
+  GlyphClippingError
+} from './index.js';
+import { buildFixtureFont, buildFixtureCollection, FIXTURE_METRICS } from './test-fixtures.js';
 
+// Fixtures are written to the temp directory so the CLI can read them
 const testFonts = [
   {
-    file: 'trade-gothic-next-thin.woff2',
+    file: 'test-fonts/Lato-Regular.ttf',
+    format: 'TTF',
+    description: 'Lato Regular (Google Fonts)'
+  },
+  {
+    file: 'test-fonts/Lato-Regular.woff2',
     format: 'WOFF2',
-    description: 'Trade Gothic Next Thin (Known working font)',
-    expected: 'PASS' // This is our confirmed working font
+    description: 'Lato Regular (Google Fonts)'
   },
   {
-    file: 'test-fonts/Roboto-Regular.ttf',
+    file: 'test-fonts/Roboto-Regular.woff2',
+    format: 'WOFF2',
+    description: 'Roboto Regular (Google Fonts)'
+  },
+  {
+    file: path.join(os.tmpdir(), 'font-metrics-fixture-truetype.ttf'),
     format: 'TTF',
-    description: 'Roboto Regular (Google Fonts)',
-    expected: 'KNOWN_ISSUE' // Some TTF variants not compatible with opentype.js
+    description: 'Generated TrueType fixture',
+    build: () => buildFixtureFont()
   },
   {
-    file: 'test-fonts/SourceSansPro-Regular.otf', 
+    file: path.join(os.tmpdir(), 'font-metrics-fixture-cff.otf'),
     format: 'OTF',
-    description: 'Source Sans Pro Regular (Adobe Fonts)',
-    expected: 'KNOWN_ISSUE' // Some OTF variants not compatible with opentype.js
+    description: 'Generated CFF fixture',
+    build: () => buildFixtureFont({ outlines: 'CFF' })
   },
   {
-    file: 'test-fonts/OpenSans-Regular.woff',
-    format: 'WOFF', 
-    description: 'Open Sans Regular (Google Fonts)',
-    expected: 'KNOWN_ISSUE' // Some WOFF variants not compatible with opentype.js
+    file: path.join(os.tmpdir(), 'font-metrics-fixture-cff.woff'),
+    format: 'WOFF',
+    description: 'Generated CFF fixture',
+    build: () => encodeWoff(buildFixtureFont({ outlines: 'CFF' }))
   },
+  // HTML pages saved by failed downloads, kept to check that non-fonts are rejected
   {
-    file: 'test-fonts/Roboto-Regular.woff2',
-    format: 'WOFF2',
-    description: 'Roboto Regular (Google Fonts)',
-    expected: 'KNOWN_ISSUE' // This specific WOFF2 has parser issues
+    file: 'test-fonts/Roboto-Regular.ttf',
+    format: 'TTF',
+    description: 'Roboto Regular placeholder (not a font)',
+    expected: 'REJECT'
   },
+  {
+    file: 'test-fonts/OpenSans-Regular.ttf',
+    format: 'TTF',
+    description: 'Open Sans Regular placeholder (not a font)',
+    expected: 'REJECT'
+  },
+  {
+    file: 'test-fonts/SourceSansPro-Regular.otf',
+    format: 'OTF',
+    description: 'Source Sans Pro Regular placeholder (not a font)',
+    expected: 'REJECT'
+  },
+  {
+    file: 'test-fonts/OpenSans-Regular.woff',
+    format: 'WOFF',
+    description: 'Open Sans Regular placeholder (not a font)',
+    expected: 'REJECT'
+  }
 ];
 
 const testMetrics = {
@@ -48,102 +124,832 @@ const testMetrics = {
   lineGap: 0
 };
 
+// Tables setMetrics() may rewrite; FMED is the edit history it adds
+const METRIC_TABLES = ['hhea', 'OS/2', 'head', 'FMED'];
+
+/**
+ * Assert that every table outside METRIC_TABLES is byte-identical
+ * head may differ only in checkSumAdjustment (bytes 8-11), which depends on
+ * the whole file.
+ */
+function assertUntouchedTables(before, after) {
+  const tablesBefore = readTableDirectory(before).tables;
+  const tablesAfter = new Map(readTableDirectory(after).tables.map(table => [table.tag, table]));
+  const bytes = (buffer, table) => buffer.subarray(table.offset, table.offset + table.length);
+  
+  assert.deepEqual(
+    [...tablesAfter.keys()].filter(tag => tag !== 'FMED').sort(),
+    tablesBefore.map(table => table.tag).sort(),
+    'Output should have the same tables as the input, plus FMED'
+  );
+  for (const table of tablesBefore) {
+    if (table.tag === 'head') {
+      const headBefore = Buffer.from(bytes(before, table));
+      const headAfter = Buffer.from(bytes(after, tablesAfter.get('head')));
+      headBefore.fill(0, 8, 12);
+      headAfter.fill(0, 8, 12);
+      assert.ok(headBefore.equals(headAfter), 'head changed beyond checkSumAdjustment');
+    } else if (!METRIC_TABLES.includes(table.tag)) {
+      assert.ok(bytes(before, table).equals(bytes(after, tablesAfter.get(table.tag))), `Table '${table.tag}' changed`);
+    }
+  }
+  return tablesBefore.length - 3;
+}
+
+/**
+ * Assert the hhea/OS/2 values the test settings should produce
+ */
+function assertTestMetrics(metrics, original) {
+  const ascent = Math.round(original.unitsPerEm * testMetrics.ascent / 100);
+  const descent = Math.round(original.unitsPerEm * testMetrics.descent / 100);
+  
+  assert.deepEqual(metrics.hhea, { ascender: ascent, descender: -descent, lineGap: 0 });
+  if (original.os2) {
+    const { typoAscender, typoDescender, typoLineGap, winAscent, winDescent, fsSelection } = metrics.os2;
+    assert.deepEqual(
+      { typoAscender, typoDescender, typoLineGap, winAscent, winDescent, fsSelection },
+      {
+        typoAscender: ascent,
+        typoDescender: -descent,
+        typoLineGap: 0,
+        winAscent: ascent,
+        winDescent: descent,
+        fsSelection: original.os2.fsSelection | USE_TYPO_METRICS
+      }
+    );
+  }
+  return { ascent, descent };
+}
+
+// The first few lines of an error; assertion diffs are longer than one line
+function describeError(error) {
+  return error.message.split('\n').filter(line => line.trim()).slice(0, 6).join('\n      ');
+}
+
+/**
+ * Run `test` as one counted test
+ * `name` labels the PASSED / FAILED line; a failure is reported and the run
+ * goes on with the next test.
+ */
+async function runTest(description, name, test) {
+  console.log(`\n📋 Testing ${description}`);
+  totalTests++;
+  try {
+    await test();
+    passedTests++;
+    console.log(`   🎉 ${name} test PASSED`);
+  } catch (error) {
+    console.log(`   ❌ ${name} test FAILED: ${describeError(error)}`);
+  }
+}
+
 console.log('🧪 Testing font-metrics.js across all supported formats\n');
-console.log('📝 Note: Some font files may be incompatible with opentype.js parser\n');
+console.log('📝 Note: Some files in test-fonts/ are failed downloads and must be rejected\n');
 
 let passedTests = 0;
 let totalTests = 0;
-let knownIssues = 0;
 
 for (const testFont of testFonts) {
   console.log(`\n📋 Testing ${testFont.format} format: ${testFont.description}`);
   console.log(`   Input: ${testFont.file}`);
   
-  if (!fs.existsSync(testFont.file)) {
-    console.log(`   ❌ SKIP: Font file not found`);
-    continue;
+  if (testFont.build) {
+    fs.writeFileSync(testFont.file, testFont.build());
   }
   
   totalTests++;
-  const outputFile = `test-output-${path.basename(testFont.file, path.extname(testFont.file))}.ttf`;
+  const input = fs.readFileSync(testFont.file);
+  const baseName = path.basename(testFont.file, path.extname(testFont.file));
+  let outputFile = null;
   
   try {
-    // Test 1: List current metrics (read-only)
+    if (testFont.expected === 'REJECT') {
+      // Not a font: the CLI fails with a clear message and the API throws a typed error
+      const result = spawnSync('node', ['font-metrics.js', testFont.file, '--list'], { encoding: 'utf8' });
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /Unrecognised font format/);
+      await assert.rejects(readMetrics(input), UnsupportedFormatError);
+      console.log(`   ✅ Rejected as an unrecognised format (${input.length} bytes of ${input.subarray(0, 15).toString('latin1').trim()}…)`);
+      passedTests++;
+      console.log(`   🎉 ${testFont.format} test PASSED`);
+      continue;
+    }
+    
+    // Test 1: The JSON report matches the library's reading of the input
     console.log(`   🔍 Reading current metrics...`);
-    const listOutput = execSync(`node font-metrics.js "${testFont.file}" --list`, { 
+    const original = await readMetrics(input);
+    const listed = JSON.parse(execSync(`node font-metrics.js "${testFont.file}" --list --json`, {
       encoding: 'utf8',
       stdio: ['pipe', 'pipe', 'pipe'] // Suppress stderr noise
-    });
-    console.log(`   ✅ Successfully read metrics`);
+    }));
+    assert.equal(listed.file, testFont.file);
+    delete listed.file;
+    assert.deepEqual(listed, JSON.parse(JSON.stringify(original)));
+    console.log(`   ✅ Read ${original.outlines} metrics: hhea ${original.hhea.ascender} / ${original.hhea.descender} / ${original.hhea.lineGap} at ${original.unitsPerEm} upm`);
     
-    // Test 2: Modify metrics
+    // Test 2: Modify metrics and check the exact values written
     console.log(`   🔧 Modifying metrics (${testMetrics.ascent}% ascent, ${testMetrics.descent}% descent)...`);
-    const modifyOutput = execSync(
+    outputFile = `test-output-${baseName}.${original.outlines === 'CFF' ? 'otf' : 'ttf'}`;
+    execSync(
       `node font-metrics.js "${testFont.file}" -a ${testMetrics.ascent} -d ${testMetrics.descent} -l ${testMetrics.lineGap} -o "${outputFile}"`,
-      { 
+      {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe'] // Suppress stderr noise
       }
     );
+    const output = fs.readFileSync(outputFile);
+    const modified = await readMetrics(output);
+    const { ascent, descent } = assertTestMetrics(modified, original);
+    console.log(`   ✅ hhea, typo and win are ${ascent} / -${descent} / 0, USE_TYPO_METRICS set`);
+    
+    // Test 3: Table checksums and checkSumAdjustment
+    assert.deepEqual(validateChecksums(output), []);
+    console.log(`   ✅ Checksums are valid`);
     
-    // Test 3: Verify output file was created
-    if (fs.existsSync(outputFile)) {
-      const stats = fs.statSync(outputFile);
-      console.log(`   ✅ Output file created (${stats.size} bytes)`);
-      
-      // Test 4: Verify we can read the modified font
+    // Test 4: Everything but the metric tables is copied byte for byte
+    const untouched = assertUntouchedTables(await toSfnt(input), output);
+    console.log(`   ✅ ${untouched} untouched tables are byte-identical`);
+    
+    // Test 5: verify passes for the metrics we wrote and fails otherwise; diff lists the change
+    execSync(`node font-metrics.js verify "${outputFile}" --expect hhea.ascender=${testMetrics.ascent}%`, { stdio: 'pipe' });
+    const mismatch = spawnSync('node', ['font-metrics.js', 'verify', outputFile, '--expect', `hhea.ascender=${ascent + 1}`]);
+    assert.equal(mismatch.status, 1, 'verify should fail for a metric the font does not have');
+    const diff = JSON.parse(execSync(`node font-metrics.js diff "${testFont.file}" "${outputFile}" --json`, { encoding: 'utf8' }));
+    const descenderChange = diff.metrics.find(change => change.metric === 'hhea.descender');
+    assert.deepEqual(descenderChange, { metric: 'hhea.descender', before: original.hhea.descender, after: -descent });
+    assert.ok(diff.tables.changed.some(table => table.tag === 'hhea'));
+    console.log(`   ✅ verify and diff report hhea descender ${descenderChange.before} → ${descenderChange.after}`);
+    
+    // Test 6: WOFF and WOFF2 output carries the same metrics
+    for (const ext of ['woff', 'woff2']) {
+      const webFontFile = outputFile.replace(/\.\w+$/, `.${ext}`);
       try {
-        const verifyOutput = execSync(`node font-metrics.js "${outputFile}" --list`, { 
-          encoding: 'utf8',
-          stdio: ['pipe', 'pipe', 'pipe'] // Suppress stderr noise
-        });
-        console.log(`   ✅ Modified font is readable`);
-        
-        // Clean up
-        fs.unlinkSync(outputFile);
-        console.log(`   🧹 Cleaned up output file`);
-        
-        passedTests++;
-        console.log(`   🎉 ${testFont.format} test PASSED`);
-        
-      } catch (verifyError) {
-        console.log(`   ❌ ${testFont.format} test FAILED: Cannot read modified font`);
-        if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+        execSync(
+          `node font-metrics.js "${testFont.file}" -a ${testMetrics.ascent} -d ${testMetrics.descent} -l ${testMetrics.lineGap} -o "${webFontFile}"`,
+          { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
+        );
+        const webFont = fs.readFileSync(webFontFile);
+        assert.equal(detectFormat(webFont), ext);
+        assertTestMetrics(await readMetrics(webFont), original);
+        assert.deepEqual(validateChecksums(await toSfnt(webFont)), []);
+      } finally {
+        if (fs.existsSync(webFontFile)) fs.unlinkSync(webFontFile);
       }
-    } else {
-      console.log(`   ❌ ${testFont.format} test FAILED: Output file not created`);
     }
+    console.log(`   ✅ WOFF and WOFF2 output has the same metrics`);
     
+    passedTests++;
+    console.log(`   🎉 ${testFont.format} test PASSED`);
   } catch (error) {
-    if (testFont.expected === 'KNOWN_ISSUE') {
-      console.log(`   ⚠️  ${testFont.format} test KNOWN ISSUE: opentype.js parser incompatibility`);
-      knownIssues++;
-    } else {
-      // Extract the main error message and clean it up
-      let errorMsg = error.message.split('\n')[0];
-      if (errorMsg.includes('Command failed')) {
-        errorMsg = 'Font parsing error';
-      }
-      console.log(`   ❌ ${testFont.format} test FAILED: ${errorMsg}`);
+    console.log(`   ❌ ${testFont.format} test FAILED: ${describeError(error)}`);
+  } finally {
+    for (const file of [outputFile, testFont.build && testFont.file]) {
+      if (file && fs.existsSync(file)) fs.unlinkSync(file);
     }
+  }
+}
+
+// Warning paths, on fixtures with known glyph extents and missing tables
+console.log(`\n📋 Testing generated fixtures: warnings`);
+totalTests++;
+try {
+  const settings = { ascent: 90, descent: 22, lineGap: 0 };
+  const warn = { clipCheck: 'warn' };
+  const hhea = { ascender: 900, descender: -220, lineGap: 0 };
+  const clipWarning = '1 glyph(s) extend past win ascent 900 / descent 220 and would be clipped on Windows';
+  
+  // Only Å (yMax 950) passes win ascent 900; g (yMin -210) fits within 220
+  for (const outlines of ['TrueType', 'CFF']) {
+    const font = buildFixtureFont({ outlines });
+    const result = await setMetrics(font, settings, warn);
+    assert.deepEqual(result.clipped.map(glyph => glyph.label), ['U+00C5 Å']);
+    assert.deepEqual(result.warnings, [clipWarning]);
     
-    // Clean up if output file exists
-    if (fs.existsSync(outputFile)) {
-      fs.unlinkSync(outputFile);
-    }
+    const safe = await setMetrics(font, { ...settings, safeWinMetrics: true }, warn);
+    assert.deepEqual(safe.clipped, []);
+    assert.equal(safe.applied.os2.winAscent, FIXTURE_METRICS.os2.winAscent);
+    assert.equal(safe.applied.os2.winDescent, FIXTURE_METRICS.os2.winDescent);
+    
+    await assert.rejects(setMetrics(font, settings, { clipCheck: 'fail' }), error =>
+      error instanceof GlyphClippingError && error.glyphs.length === 1);
   }
+  console.log(`   ✅ TrueType and CFF: Å reported as clipped, --safe-win keeps win ${FIXTURE_METRICS.os2.winAscent} / ${FIXTURE_METRICS.os2.winDescent}`);
+  
+  // No OS/2: hhea is still patched, nothing to clip against
+  const noOs2 = await setMetrics(buildFixtureFont({ os2: false }), settings, warn);
+  assert.deepEqual(noOs2.warnings, ['Font has no OS/2 table']);
+  const noOs2Metrics = await readMetrics(noOs2.buffer);
+  assert.deepEqual(noOs2Metrics.hhea, hhea);
+  assert.equal(noOs2Metrics.os2, null);
+  assert.deepEqual(validateChecksums(noOs2.buffer), []);
+  
+  // No hhea: OS/2 is still patched and clipping still checked
+  const noHhea = await setMetrics(buildFixtureFont({ hhea: false }), settings, warn);
+  assert.deepEqual(noHhea.warnings, ['Font has no hhea table', clipWarning]);
+  const noHheaMetrics = await readMetrics(noHhea.buffer);
+  assert.equal(noHheaMetrics.hhea, null);
+  assert.equal(noHheaMetrics.os2.typoAscender, 900);
+  assert.deepEqual(validateChecksums(noHhea.buffer), []);
+  console.log(`   ✅ Missing OS/2 and hhea tables are reported, the other table is still patched`);
+  
+  // OS/2 version 3 predates USE_TYPO_METRICS; the bit is set but flagged
+  const oldOs2 = await setMetrics(buildFixtureFont({ os2Version: 3 }), settings, warn);
+  assert.deepEqual(oldOs2.warnings, [
+    'USE_TYPO_METRICS is only defined for OS/2 version 4 and later (font has version 3)',
+    clipWarning
+  ]);
+  assert.equal((await readMetrics(oldOs2.buffer)).os2.fsSelection, FIXTURE_METRICS.os2.fsSelection | USE_TYPO_METRICS);
+  console.log(`   ✅ OS/2 version 3 warns about USE_TYPO_METRICS`);
+  
+  // The CLI lists fonts with missing tables without printing "undefined"
+  const fixtureFile = 'test-output-fixture-no-hhea.ttf';
+  try {
+    fs.writeFileSync(fixtureFile, buildFixtureFont({ hhea: false }));
+    const listOutput = execSync(`node font-metrics.js "${fixtureFile}" --list`, { encoding: 'utf8' });
+    assert.match(listOutput, /hhea Ascent: n\/a/);
+    assert.doesNotMatch(listOutput, /undefined/);
+  } finally {
+    fs.rmSync(fixtureFile, { force: true });
+  }
+  console.log(`   ✅ --list shows n/a for a missing hhea table`);
+  
+  // An input with a stale checksum in an untouched table still modifies and restores
+  const staleFile = 'test-output-fixture-stale.ttf';
+  const patchedFile = 'test-output-fixture-patched.ttf';
+  const restoredFile = 'test-output-fixture-restored.ttf';
+  try {
+    const stale = buildFixtureFont();
+    const post = readTableDirectory(stale).tables.find(table => table.tag === 'post');
+    stale.writeUInt32BE((post.checksum ^ 1) >>> 0, post.recordOffset + 4);
+    fs.writeFileSync(staleFile, stale);
+    execSync(`node font-metrics.js "${staleFile}" -a 90 -d 22 -o "${patchedFile}"`, { stdio: 'pipe' });
+    execSync(`node font-metrics.js "${patchedFile}" --restore -o "${restoredFile}"`, { stdio: 'pipe' });
+    assert.deepEqual(validateChecksums(fs.readFileSync(patchedFile)), []);
+    assert.deepEqual((await readMetrics(fs.readFileSync(restoredFile))).hhea, FIXTURE_METRICS.hhea);
+  } finally {
+    [staleFile, patchedFile, restoredFile].forEach(file => fs.rmSync(file, { force: true }));
+  }
+  console.log(`   ✅ A stale checksum in the input doesn't fail modify or --restore`);
+  passedTests++;
+  console.log(`   🎉 Fixture warning test PASSED`);
+} catch (error) {
+  console.log(`   ❌ Fixture warning test FAILED: ${describeError(error)}`);
+}
+
+// Batch test: glob input, mirrored output directory and manifest
+console.log(`\n📋 Testing batch processing: test-fonts/*.woff2`);
+totalTests++;
+const batchDir = 'test-output-batch';
+try {
+  execSync(
+    `node font-metrics.js "test-fonts/*.woff2" --out-dir "${batchDir}" -j 2 -a ${testMetrics.ascent} -d ${testMetrics.descent}`,
+    { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
+  );
+  const manifest = JSON.parse(fs.readFileSync(path.join(batchDir, 'font-metrics-manifest.json'), 'utf8'));
+  const outputs = manifest.fonts.map(entry => entry.output).filter(output => output && fs.existsSync(output));
+  assert.equal(manifest.fonts.length, 2);
+  assert.equal(outputs.length, 2, 'Expected every output in the manifest to be written');
+  console.log(`   ✅ Manifest lists ${manifest.fonts.length} fonts and all outputs exist`);
+  
+  // -j takes a positive whole number; anything else is a usage error, not an empty run
+  for (const concurrency of ['0', 'x']) {
+    const rejected = spawnSync('node', ['font-metrics.js', 'test-fonts/*.woff2', '--out-dir', batchDir, '-j', concurrency], { encoding: 'utf8' });
+    assert.equal(rejected.status, 1);
+    assert.match(rejected.stderr, /--concurrency/);
+  }
+  console.log(`   ✅ -j 0 and -j x are rejected`);
+  passedTests++;
+  console.log(`   🎉 Batch test PASSED`);
+} catch (error) {
+  console.log(`   ❌ Batch test FAILED: ${describeError(error)}`);
+} finally {
+  fs.rmSync(batchDir, { recursive: true, force: true });
+}
+
+// Build test: config file pipeline with incremental rebuilds
+console.log(`\n📋 Testing config build: font-metrics build`);
+totalTests++;
+const buildDir = 'test-output-build';
+try {
+  const configPath = path.join(buildDir, 'font-metrics.config.json');
+  fs.mkdirSync(buildDir, { recursive: true });
+  fs.writeFileSync(configPath, JSON.stringify({
+    outDir: 'dist',
+    formats: ['woff2', 'woff'],
+    css: 'dist/fonts.css',
+    metrics: testMetrics,
+    clipCheck: 'off',
+    families: [{ family: 'Lato', inputs: ['../test-fonts/Lato-Regular.woff2'] }]
+  }));
+  const build = () => execSync(`node font-metrics.js build --config "${configPath}" -j 8`, { encoding: 'utf8', stdio: 'pipe' });
+  
+  const first = build();
+  const css = fs.readFileSync(path.join(buildDir, 'dist/fonts.css'), 'utf8');
+  assert.match(first, /1 built/);
+  assert.ok(css.includes("url('Lato-Regular.woff2') format('woff2')"), 'Expected the font to be listed in the CSS');
+  assert.match(build(), /0 built, 1 up to date/, 'Expected an unchanged font to be skipped on the second build');
+  console.log(`   ✅ Built WOFF2/WOFF and CSS, then skipped the unchanged font`);
+  
+  // Inputs that would be written to the same output are refused before anything is built
+  fs.writeFileSync(configPath, JSON.stringify({
+    outDir: 'dist-collision',
+    families: [{ family: 'Lato', inputs: ['../test-fonts/Lato-Regular.woff2', '../test-fonts/Lato-Regular.ttf'] }]
+  }));
+  const collision = spawnSync('node', ['font-metrics.js', 'build', '--config', configPath], { encoding: 'utf8' });
+  assert.equal(collision.status, 1);
+  assert.match(collision.stderr, /Lato-Regular\.woff2 and .*Lato-Regular\.ttf would both be written to dist-collision.Lato-Regular\.\*/);
+  assert.equal(fs.existsSync(path.join(buildDir, 'dist-collision')), false);
+  console.log(`   ✅ Two inputs named Lato-Regular are refused instead of overwriting each other`);
+  passedTests++;
+  console.log(`   🎉 Build test PASSED`);
+} catch (error) {
+  console.log(`   ❌ Build test FAILED: ${describeError(error)}`);
+} finally {
+  fs.rmSync(buildDir, { recursive: true, force: true });
 }
 
+// Make a minimal variable font: a wght 100-900 axis and an MVAR record
+// raising hasc (typo ascender) by 100 units at wght 900
+function addVariations(sfnt) {
+  const fvar = Buffer.alloc(36);
+  fvar.writeUInt16BE(1, 0);                       // majorVersion
+  fvar.writeUInt16BE(16, 4);                      // axesArrayOffset
+  fvar.writeUInt16BE(2, 6);                       // reserved
+  fvar.writeUInt16BE(1, 8);                       // axisCount
+  fvar.writeUInt16BE(20, 10);                     // axisSize
+  fvar.writeUInt16BE(8, 14);                      // instanceSize
+  fvar.write('wght', 16, 'latin1');
+  [100, 400, 900].forEach((value, i) => fvar.writeInt32BE(value * 0x10000, 20 + i * 4));
+
+  const mvar = Buffer.alloc(52);
+  mvar.writeUInt16BE(1, 0);                       // majorVersion
+  mvar.writeUInt16BE(8, 6);                       // valueRecordSize
+  mvar.writeUInt16BE(1, 8);                       // valueRecordCount
+  mvar.writeUInt16BE(20, 10);                     // itemVariationStoreOffset
+  mvar.write('hasc', 12, 'latin1');               // delta set 0/0
+  mvar.writeUInt16BE(1, 20);                      // store format
+  mvar.writeUInt32BE(12, 22);                     // variationRegionListOffset
+  mvar.writeUInt16BE(1, 26);                      // itemVariationDataCount
+  mvar.writeUInt32BE(22, 28);                     // itemVariationDataOffsets[0]
+  mvar.writeUInt16BE(1, 32);                      // axisCount
+  mvar.writeUInt16BE(1, 34);                      // regionCount
+  [0, 0x4000, 0x4000].forEach((coord, i) => mvar.writeInt16BE(coord, 36 + i * 2));
+  mvar.writeUInt16BE(1, 42);                      // itemCount
+  mvar.writeUInt16BE(1, 44);                      // wordDeltaCount
+  mvar.writeUInt16BE(1, 46);                      // regionIndexCount
+  mvar.writeUInt16BE(0, 48);                      // regionIndexes[0]
+  mvar.writeInt16BE(100, 50);                     // hasc delta
+  return replaceTable(replaceTable(sfnt, 'fvar', fvar), 'MVAR', mvar);
+}
+
+// API tests: one per feature, on Lato unless a fixture shows the case better
+const lato = fs.readFileSync('test-fonts/Lato-Regular.ttf');
+const latoWoff2 = fs.readFileSync('test-fonts/Lato-Regular.woff2');
+const original = await readMetrics(latoWoff2);
+
+await runTest('programmatic API: readMetrics / setMetrics', 'API', async () => {
+  const { buffer, format, applied } = await setMetrics(latoWoff2, testMetrics);
+  const metrics = await readMetrics(buffer);
+  assert.equal(format, 'woff2');
+  assert.equal(metrics.format, 'woff2');
+  assert.equal(applied.hhea.ascender, 1700);
+  assert.equal(metrics.hhea.ascender, 1700);
+  console.log(`   ✅ setMetrics output reads back with hhea ascender ${metrics.hhea.ascender}`);
+  
+  // A stale checksum in a table the edit doesn't touch is fixed on the way out
+  const stale = buildFixtureFont();
+  const post = readTableDirectory(stale).tables.find(table => table.tag === 'post');
+  stale.writeUInt32BE((post.checksum ^ 1) >>> 0, post.recordOffset + 4);
+  assert.match(validateChecksums(stale)[0], /^Table 'post' checksum/);
+  assert.deepEqual(validateChecksums((await setMetrics(stale, testMetrics)).buffer), []);
+  console.log(`   ✅ Stale input checksums are recomputed on output`);
+  
+  await assert.rejects(readMetrics(fs.readFileSync('test-fonts/Roboto-Regular.ttf')), error =>
+    error instanceof UnsupportedFormatError && error.code === 'UNSUPPORTED_FORMAT');
+  console.log(`   ✅ Non-font input throws UnsupportedFormatError`);
+  
+  const hheaOnly = await readMetrics((await setMetrics(latoWoff2, {
+    hhea: { ascent: '1900u', descent: '500u' },
+    typo: 'keep',
+    win: 'keep',
+    useTypoMetrics: false
+  })).buffer);
+  assert.equal(hheaOnly.hhea.ascender, 1900);
+  assert.equal(hheaOnly.hhea.descender, -500);
+  assert.equal(hheaOnly.os2.typoAscender, original.os2.typoAscender);
+  assert.equal(hheaOnly.os2.winAscent, original.os2.winAscent);
+  assert.equal(hheaOnly.os2.useTypoMetrics, false);
+  console.log(`   ✅ Per-table settings change hhea only and clear USE_TYPO_METRICS`);
+  
+  const safeMetrics = await readMetrics((await setMetrics(latoWoff2, { ...testMetrics, safeWinMetrics: true })).buffer);
+  assert.equal(safeMetrics.os2.winAscent, safeMetrics.head.yMax);
+  assert.equal(safeMetrics.os2.winDescent, -safeMetrics.head.yMin);
+  console.log(`   ✅ safeWinMetrics keeps win metrics at glyph extents`);
+  
+  const clippingError = await setMetrics(latoWoff2, { ascent: 70, descent: 15 }, { clipCheck: 'fail', checkChars: 'ascii' })
+    .catch(error => error);
+  assert.ok(clippingError instanceof GlyphClippingError);
+  assert.ok(clippingError.glyphs.some(glyph => glyph.label === 'U+0024 $'), 'Expected U+0024 $ to be clipped');
+  console.log(`   ✅ clipCheck 'fail' reports ${clippingError.glyphs.length} clipped ASCII glyphs`);
+  
+  // Cap height 1433 centred in a 2400-unit line box: (2400 ± 1433) / 2
+  const centered = await setMetrics(latoWoff2, { center: 'caps', lineHeight: 1.2 });
+  const centeredMetrics = await readMetrics(centered.buffer);
+  assert.equal(centered.centered.source, 'OS/2 capHeight');
+  assert.deepEqual(centeredMetrics.hhea, { ascender: 1917, descender: -483, lineGap: 0 });
+  assert.equal(centeredMetrics.os2.typoLineGap, 0);
+  console.log(`   ✅ center 'caps' gives ascent ${centeredMetrics.hhea.ascender}, descent ${-centeredMetrics.hhea.descender}`);
+  
+  // Renaming keeps the patched copy apart from the original in font caches
+  const renamed = await setMetrics(lato, { ...testMetrics, rename: { suffix: 'Fixed' } });
+  const renamedNames = readNames(renamed.sfnt);
+  assert.equal(renamedNames.family, 'Lato Fixed');
+  assert.equal(renamedNames.postscriptName, 'LatoFixed-Regular');
+  assert.equal(renamedNames.fullName, 'Lato Fixed Regular');
+  assert.match(renamedNames.uniqueId, /;LatoFixed-Regular$/);
+  assert.deepEqual(validateChecksums(renamed.sfnt), []);
+  console.log(`   ✅ Name suffix renames family, full name, PostScript name and unique ID`);
+});
+
+await runTest('saving fonts: saveModifiedFont / modifyFontFile', 'Save', async () => {
+  // A file can't be written under another file; the fs error is kept as the cause
+  await assert.rejects(
+    saveModifiedFont(lato, 'test-fonts/Lato-Regular.ttf/fixed.ttf', testMetrics),
+    error => error instanceof FontWriteError && error.code === 'WRITE_FAILED' && typeof error.cause?.code === 'string'
+  );
+  console.log(`   ✅ A failed write throws FontWriteError with the fs error as its cause`);
+  
+  // The CLI's jobs, without the CLI: outputs mirror the input tree under outDir
+  const jobDir = path.join(os.tmpdir(), 'font-metrics-jobs');
+  fs.rmSync(jobDir, { recursive: true, force: true });
+  try {
+    const [job] = modifyJobs(['test-fonts/Lato-Regular.woff2'], { outDir: jobDir });
+    assert.equal(job.outputPath, path.join(jobDir, 'Lato-Regular.woff2'));
+    assert.throws(() => modifyJobs(['test-fonts/missing.ttf']), InvalidOptionError);
+    assert.throws(() => modifyJobs(['test-fonts/*.woff2'], { output: 'one.woff2' }), InvalidOptionError);
+    const entry = manifestEntry(await modifyFontFile(job.inputPath, job.outputPath, testMetrics));
+    assert.equal(entry.output, job.outputPath);
+    assert.equal(entry.applied.hhea.ascender, 1700);
+    assert.equal((await readMetrics(fs.readFileSync(job.outputPath))).hhea.ascender, 1700);
+    console.log(`   ✅ modifyJobs() and modifyFontFile() write ${path.basename(job.outputPath)} under --out-dir`);
+  } finally {
+    fs.rmSync(jobDir, { recursive: true, force: true });
+  }
+});
+
+await runTest('variable fonts: MVAR / restoreMetrics', 'Variable font', async () => {
+  // MVAR deltas for edited metrics are reported, then removed or rescaled
+  const variable = addVariations(lato);
+  const variations = (await readMetrics(variable)).variations;
+  assert.equal(variations?.axes[0]?.tag, 'wght');
+  assert.equal(variations.mvar[0]?.deltas[1]?.delta, 100);
+  const removed = await setMetrics(variable, testMetrics, { provenance: true });
+  assert.equal((await readMetrics(removed.buffer)).variations.mvar, null);
+  assert.deepEqual(validateChecksums(removed.buffer), []);
+  const scaled = await setMetrics(variable, { ...testMetrics, mvar: 'scale' });
+  const scaledDelta = (await readMetrics(scaled.buffer)).variations.mvar[0].deltas[1].delta;
+  assert.equal(scaledDelta, Math.round(100 * scaled.applied.os2.typoAscender / original.os2.typoAscender));
+  console.log(`   ✅ MVAR hasc delta +100 is removed, or scaled to +${scaledDelta}`);
+  
+  // History is only recorded when asked for, and is then enough to undo every edit, MVAR included
+  assert.equal((await readMetrics(scaled.buffer)).provenance, null);
+  const twice = await setMetrics(removed.buffer, { ascent: 80, descent: 20 }, { provenance: true });
+  const restored = await restoreMetrics(twice.buffer);
+  const [variableMetrics, restoredMetrics] = [await readMetrics(variable), await readMetrics(restored.buffer)];
+  assert.equal((await readMetrics(twice.buffer)).provenance?.history.length, 2);
+  assert.equal(restoredMetrics.provenance, null);
+  assert.deepEqual(
+    [restoredMetrics.hhea, restoredMetrics.os2, restoredMetrics.variations],
+    [variableMetrics.hhea, variableMetrics.os2, variableMetrics.variations]
+  );
+  assert.deepEqual(validateChecksums(restored.buffer), []);
+  console.log(`   ✅ Restored hhea ascender ${restoredMetrics.hhea.ascender} and MVAR after ${restored.history.length} recorded edits`);
+});
+
+await runTest('collections: setCollectionMetrics', 'Collection', async () => {
+  // Identical faces share tables; editing one face splits only what changed
+  const roboto = await toSfnt(fs.readFileSync('test-fonts/Roboto-Regular.woff2'));
+  const collection = buildCollection([lato, roboto, lato]);
+  assert.ok(collection.length < lato.length * 2 + roboto.length, 'Expected the two Lato faces to share their tables');
+  const edited = await setCollectionMetrics(collection, testMetrics, { faces: ['Roboto-Regular'] });
+  const faces = await readCollectionMetrics(edited.buffer);
+  const latoAscender = (await readMetrics(lato)).hhea.ascender;
+  assert.equal(faces[1].postscriptName, 'Roboto-Regular');
+  assert.deepEqual(faces.map(face => face.hhea.ascender), [latoAscender, Math.round(2048 * 0.85), latoAscender]);
+  for (const face of faces) {
+    assert.deepEqual(validateChecksums(extractFace(edited.buffer, face.index)), [], `Face ${face.index} checksums`);
+  }
+  console.log(`   ✅ Collection face 'Roboto-Regular' modified, other faces unchanged`);
+  
+  // Faces sharing only some tables: the face left alone keeps its directory and bytes
+  const fixtureCollection = buildFixtureCollection();
+  const faceTables = (ttc, index) => readTableDirectory(ttc, readCollection(ttc).offsets[index]).tables;
+  const tableBytes = (ttc, table) => ttc.subarray(table.offset, table.offset + table.length);
+  const [sansTables, serifTables] = [faceTables(fixtureCollection, 0), faceTables(fixtureCollection, 1)];
+  const sharedTags = (tables, others) => tables
+    .filter(table => others.some(other => other.tag === table.tag && other.offset === table.offset))
+    .map(table => table.tag);
+  assert.deepEqual(sharedTags(serifTables, sansTables), ['cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'post']);
+  const editedFixture = await setCollectionMetrics(fixtureCollection, { ascent: 90, descent: 20 }, { faces: [0] });
+  assert.deepEqual(editedFixture.warnings, []);
+  const [editedSans, editedSerif] = [faceTables(editedFixture.buffer, 0), faceTables(editedFixture.buffer, 1)];
+  assert.deepEqual(editedSerif, serifTables);
+  for (const table of editedSerif) {
+    assert.ok(tableBytes(editedFixture.buffer, table).equals(tableBytes(fixtureCollection, table)), `${table.tag} bytes changed`);
+  }
+  const stillShared = sharedTags(editedSerif, editedSans);
+  assert.deepEqual(stillShared, ['cmap', 'glyf', 'head', 'hmtx', 'loca', 'maxp', 'post']);
+  assert.equal((await readCollectionMetrics(editedFixture.buffer))[0].hhea.ascender, 900);
+  console.log(`   ✅ Editing Fixture Sans leaves Fixture Serif's tables in place and still shares ${stillShared.length} of them, head included`);
+});
+
+await runTest('stylesheets: generateStylesheet', 'Stylesheet', async () => {
+  // Descriptors come from the font, and WOFF2 is listed before TTF
+  const stylesheet = generateStylesheet(
+    [{ family: 'Lato', files: ['dist/Lato.ttf', 'dist/Lato.woff2'], sfnt: lato }],
+    { cssPath: 'fonts.css', overrides: true }
+  );
+  for (const expected of [
+    "src: url('dist/Lato.woff2') format('woff2'),\n       url('dist/Lato.ttf') format('truetype');",
+    'font-weight: 400;', 'font-style: normal;', 'unicode-range: U+0000, U+0020-007E, U+00A0-036F,',
+    `ascent-override: ${original.hhea.ascender / 20}%;`
+  ]) {
+    assert.ok(stylesheet.includes(expected), `Expected the stylesheet to include ${JSON.stringify(expected)}`);
+  }
+  console.log(`   ✅ Stylesheet lists WOFF2 first with weight, style and unicode-range from the font`);
+});
+
+await runTest('baking overrides: bakeStylesheet', 'Bake', async () => {
+  // Baking CSS overrides patches the font they load and drops them from the rule
+  const baked = await bakeStylesheet(
+    "@font-face {\n  font-family: 'Lato';\n  src: url('Lato-Regular.ttf') format('truetype');\n  ascent-override: 90%;\n  descent-override: 22%;\n}\n",
+    { cssPath: 'test-fonts/fonts.css', outputCssPath: 'dist/fonts.css', fontOutputPath: file => path.join('dist/fonts', path.basename(file)) }
+  );
+  const bakedHhea = baked.fonts[0]?.modified.applied.hhea;
+  assert.equal(baked.css, "@font-face {\n  font-family: 'Lato';\n  src: url('fonts/Lato-Regular.ttf') format('truetype');\n}\n");
+  assert.deepEqual(bakedHhea, { ascender: 1800, descender: -440, lineGap: original.hhea.lineGap });
+  console.log(`   ✅ Baked ascent-override 90% / descent-override 22% into hhea ${bakedHhea.ascender} / ${bakedHhea.descender}`);
+  
+  // Two fonts with the same name can't share a flat --font-dir, within one stylesheet or across several
+  const bakeDir = path.join(os.tmpdir(), 'font-metrics-bake');
+  try {
+    const rule = dir => `@font-face {\n  font-family: 'Lato ${dir}';\n  src: url('${dir}/Lato-Regular.ttf');\n  ascent-override: 90%;\n}\n`;
+    for (const dir of ['a', 'b']) {
+      fs.mkdirSync(path.join(bakeDir, dir), { recursive: true });
+      fs.copyFileSync('test-fonts/Lato-Regular.ttf', path.join(bakeDir, dir, 'Lato-Regular.ttf'));
+      fs.writeFileSync(path.join(bakeDir, `${dir}.css`), rule(dir));
+    }
+    const flat = file => path.join(bakeDir, 'out', path.basename(file));
+    await assert.rejects(
+      bakeStylesheet(rule('a') + rule('b'), { cssPath: path.join(bakeDir, 'fonts.css'), fontOutputPath: flat }),
+      /a.Lato-Regular\.ttf and .*b.Lato-Regular\.ttf would both be written to/
+    );
+    const bakeClash = spawnSync('node', ['font-metrics.js', 'bake', path.join(bakeDir, 'a.css'), path.join(bakeDir, 'b.css'),
+      '--font-dir', path.join(bakeDir, 'out'), '--dry-run'], { encoding: 'utf8' });
+    assert.equal(bakeClash.status, 1);
+    assert.match(bakeClash.stderr, /Error baking .*b\.css: .*a.Lato-Regular\.ttf and .*b.Lato-Regular\.ttf would both be written to/);
+  } finally {
+    fs.rmSync(bakeDir, { recursive: true, force: true });
+  }
+  console.log(`   ✅ Two Lato-Regular.ttf files baked into one --font-dir are refused`);
+});
+
+await runTest('Vite plugin: fontMetricsVite', 'Plugin', async () => {
+  // The plugin swaps in a cached, patched WOFF2 and reuses it next build
+  const assetDir = 'test-output-assets';
+  try {
+    const plugin = fontMetricsVite({ cacheDir: assetDir, clipCheck: 'off' });
+    const watched = [];
+    const context = { addWatchFile: file => watched.push(file), warn: () => {} };
+    const sourceCss = "@font-face {\n  font-family: 'Lato';\n  src: url('./Lato-Regular.ttf') format('truetype');\n  ascent-override: 90%;\n}\n";
+    const transformed = await plugin.transform.call(context, sourceCss, path.resolve('test-fonts/fonts.css'));
+    const assetName = fs.readdirSync(assetDir).find(file => file.endsWith('.woff2'));
+    const { hhea: assetHhea, provenance: assetHistory } = await readMetrics(fs.readFileSync(path.join(assetDir, assetName)));
+    const mtime = fs.statSync(path.join(assetDir, assetName)).mtimeMs;
+    await plugin.transform.call(context, sourceCss, path.resolve('test-fonts/fonts.css'));
+    assert.match(assetName, /^Lato-Regular\.[0-9a-f]{8}\.woff2$/);
+    assert.equal(transformed?.code, `@font-face {\n  font-family: 'Lato';\n  src: url('../${assetDir}/${assetName}') format('woff2');\n}\n`);
+    assert.equal(assetHhea.ascender, 1800);
+    assert.equal(assetHistory, null);
+    assert.equal(watched.length, 2);
+    assert.equal(fs.statSync(path.join(assetDir, assetName)).mtimeMs, mtime, 'Expected the cached font to be reused');
+    assert.deepEqual(transformed.map.sourcesContent, [sourceCss]);
+    assert.ok(transformed.map.sources[0].endsWith('fonts.css'));
+    assert.equal(transformed.map.mappings.split(';').length, 5);
+    console.log(`   ✅ Bundler plugin emitted ${assetName} (hhea ascent ${assetHhea.ascender}) and reused it on rebuild`);
+  } finally {
+    fs.rmSync(assetDir, { recursive: true, force: true });
+  }
+});
+
+await runTest('serve API: createMetricsServer', 'Serve', async () => {
+  // Uploads are patched and downloaded without touching the disk
+  const server = createMetricsServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const api = `http://127.0.0.1:${server.address().port}/api/fonts`;
+    const uploaded = await (await fetch(`${api}?name=Lato-Regular.ttf`, { method: 'POST', body: lato })).json();
+    const patched = await fetch(`${api}/${uploaded.id}/metrics`, { method: 'POST', body: JSON.stringify({ ascent: '95%', descent: '25%', lineGap: 0 }) });
+    const download = await fetch(`${api}/${uploaded.id}/download?format=woff2`);
+    const downloaded = Buffer.from(await download.arrayBuffer());
+    const served = await readMetrics(downloaded);
+    const rejected = await fetch(`${api}/${uploaded.id}/metrics`, { method: 'POST', body: '{"ascnet": 90}' });
+    assert.equal(uploaded.metrics.hhea.ascender, original.hhea.ascender);
+    assert.equal(patched.status, 200);
+    assert.equal(detectFormat(downloaded), 'woff2');
+    assert.equal(served.hhea.ascender, 1900);
+    assert.equal(served.hhea.descender, -500);
+    assert.equal(rejected.status, 400);
+    assert.match(download.headers.get('content-disposition'), /Lato-Regular-fixed\.woff2/);
+    console.log(`   ✅ Serve API patched an upload to hhea ${served.hhea.ascender} / ${served.hhea.descender} and returned WOFF2`);
+    
+    // Other sites can't drive the API from a visitor's browser, directly or by DNS rebinding
+    const page = `http://127.0.0.1:${server.address().port}`;
+    const sameOrigin = await fetch(`${api}/${uploaded.id}/metrics`, { method: 'POST', headers: { Origin: page }, body: '{"ascent": 90}' });
+    const crossOrigin = await fetch(`${api}/${uploaded.id}/metrics`, { method: 'POST', headers: { Origin: 'https://evil.example' }, body: '{"ascent": 90}' });
+    const rebound = await new Promise((resolve, reject) => {
+      http.get(`${api}/${uploaded.id}`, { headers: { Host: `evil.example:${server.address().port}` } }, resolve).on('error', reject);
+    });
+    rebound.resume();
+    assert.equal(sameOrigin.status, 200);
+    assert.equal(crossOrigin.status, 403);
+    assert.match((await crossOrigin.json()).error, /evil\.example are not allowed/);
+    assert.equal(rebound.statusCode, 403);
+    console.log(`   ✅ Serve API refused a cross-origin POST and a foreign Host header`);
+  } finally {
+    server.close();
+  }
+});
+
+await runTest('CLI modules: import', 'Import', async () => {
+  // Both CLIs can be imported (e.g. for their option definitions) without running
+  const cli = await import('./font-metrics.js');
+  const compressCli = await import('./compress-woff2.js');
+  assert.equal(cli.program.name(), 'font-metrics');
+  assert.equal(compressCli.program.name(), 'compress-woff2');
+  console.log(`   ✅ Importing font-metrics.js and compress-woff2.js doesn't run them`);
+});
+
+await runTest('watch mode: watchPaths', 'Watch', async () => {
+  // A burst of changes is batched into one callback
+  const watchDir = 'test-output-watch';
+  fs.mkdirSync(watchDir, { recursive: true });
+  const batches = [];
+  const watcher = watchPaths([`${watchDir}/*.ttf`], changed => {
+    batches.push(changed.filter(file => file.endsWith('.ttf')));
+  }, { delay: 100 });
+  try {
+    fs.writeFileSync(path.join(watchDir, 'a.ttf'), lato);
+    fs.writeFileSync(path.join(watchDir, 'b.ttf'), lato);
+    const deadline = Date.now() + 5000;
+    while (batches.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.deepEqual(batches.map(batch => batch.map(file => path.basename(file)).sort()), [['a.ttf', 'b.ttf']]);
+    console.log(`   ✅ Watcher reported 2 new fonts in 1 batch`);
+  } finally {
+    watcher.close();
+    fs.rmSync(watchDir, { recursive: true, force: true });
+  }
+});
+
+await runTest('proof sheets: generateProof', 'Proof', async () => {
+  // Proof sheets embed both fonts and flag the changed metrics
+  const proof = await generateProof(
+    { name: 'Lato-Regular.ttf', buffer: lato },
+    { name: 'Lato-Regular.woff2', buffer: (await setMetrics(latoWoff2, testMetrics)).buffer }
+  );
+  assert.equal((proof.match(/url\('data:font\/(ttf|woff2);base64,/g) || []).length, 2);
+  assert.ok(proof.includes(`<tr class="changed"><th>hhea Ascent</th><td>${original.hhea.ascender}</td><td>1700</td></tr>`),
+    'Expected the hhea ascent change to be highlighted');
+  assert.doesNotMatch(proof, /(src|href)="?https?:/);
+  console.log(`   ✅ Proof sheet embeds both fonts (${Math.round(proof.length / 1024)} KB) and highlights hhea ascent`);
+});
+
+await runTest('subsetting: subsetFont', 'Subset', async () => {
+  // Subsetting keeps the patched metrics and the glyphs GSUB needs
+  const patchedLato = (await setMetrics(lato, testMetrics, { format: 'sfnt' })).sfnt;
+  const subset = subsetFont(patchedLato, fontCodePoints(patchedLato, parseUnicodeRanges('latin')));
+  const [subsetMetrics, patchedMetrics] = [await readMetrics(subset.sfnt), await readMetrics(patchedLato)];
+  const fiLigature = fontkit.create(subset.sfnt).layout('fi').glyphs;
+  assert.ok(subset.glyphs.kept < subset.glyphs.total);
+  assert.ok(!subset.codePoints.includes(0x0416), 'Expected Cyrillic Ж to be dropped');
+  assert.deepEqual([subsetMetrics.hhea, subsetMetrics.os2], [patchedMetrics.hhea, patchedMetrics.os2]);
+  assert.equal(fiLigature.length, 1);
+  assert.ok(fiLigature[0].path.commands.length > 0, 'Expected the fi ligature to keep its outline');
+  assert.deepEqual(validateChecksums(subset.sfnt), []);
+  console.log(`   ✅ Latin subset keeps ${subset.glyphs.kept}/${subset.glyphs.total} glyphs, the fi ligature and the patched metrics`);
+  
+  // Variation sequences follow the kept characters, with their glyphs; the Mac subtable keeps what is left
+  const fixtureSubset = subsetFont(buildFixtureFont(), [0x48]);
+  const subtables = fontkit.create(fixtureSubset.sfnt).cmap.tables;
+  const macMapping = subtables.find(subtable => subtable.platformID === 1).table.codeMap.toArray()
+    .map((id, code) => [code, id]).filter(([, id]) => id !== 0);
+  assert.deepEqual(subtables.map(subtable => `${subtable.platformID}/${subtable.encodingID}`), ['0/3', '0/5', '1/0', '3/1']);
+  assert.deepEqual(JSON.parse(JSON.stringify(subtables[1].table.varSelectors.toArray())), [
+    { varSelector: 0xFE00, defaultUVS: null, nonDefaultUVS: [{ unicodeValue: 0x48, glyphID: 5 }] }
+  ]);
+  assert.deepEqual(macMapping, [[0x48, 2], [0x81, 5]]);
+  assert.deepEqual(fixtureSubset.glyphs, { kept: 3, total: 6 });
+  assert.deepEqual(fixtureSubset.warnings, []);
+  console.log(`   ✅ Subset cmap keeps the variation sequence and Mac subtables for the kept characters`);
+  
+  // Alternating glyphs over all of CJK need more segments than format 4 can hold; format 12 keeps them all
+  const cjk = Array.from({ length: 0x9FFF - 0x4E00 + 1 }, (_, i) => [0x4E00 + i, i % 2 === 0 ? 2 : 4]);
+  const cjkSubset = subsetFont(buildFixtureFont({ mappings: cjk }), cjk.map(([codePoint]) => codePoint));
+  const cjkFont = fontkit.create(cjkSubset.sfnt);
+  const cjkTables = cjkFont.cmap.tables;
+  const format4 = cjkTables.find(subtable => subtable.table.version === 4).table;
+  assert.deepEqual(cjkTables.map(subtable => `${subtable.platformID}/${subtable.encodingID}`), ['0/3', '0/4', '1/0', '3/1', '3/10']);
+  assert.ok(format4.length <= 0xFFFF);
+  assert.equal(cjkSubset.codePoints.length, cjk.length);
+  assert.deepEqual([0x4E00, 0x7FFF, 0x9FFF].map(codePoint => cjkFont.glyphForCodePoint(codePoint).id), [2, 4, 4]);
+  assert.match(cjkSubset.warnings.join('\n'), /cmap format 4 needs more than 8189 segments, so it only maps up to U\+6DFB; the full mapping is in format 12/);
+  console.log(`   ✅ A ${cjk.length}-character sparse subset keeps every character in format 12 and a truncated format 4`);
+});
+
+await runTest('compression: compress-woff2 / compressFontFile', 'Compression', async () => {
+  // --split always writes the characters outside every set; CFF input is refused before any output
+  const splitDir = 'test-output-split';
+  const cffFile = path.join(splitDir, 'fixture-cff.otf');
+  try {
+    execSync(`node compress-woff2.js test-fonts/Lato-Regular.ttf -o ${splitDir}/Lato.woff2 --split latin,cyrillic --css ${splitDir}/fonts.css`, { stdio: 'pipe' });
+    const rest = await toSfnt(fs.readFileSync(path.join(splitDir, 'Lato.rest.woff2')));
+    assert.ok(fontCodePoints(rest).includes(0x0101), 'Expected ā (latin-ext) in the rest subset');
+    assert.match(fs.readFileSync(path.join(splitDir, 'fonts.css'), 'utf8'), /Lato\.rest\.woff2/);
+    
+    fs.writeFileSync(cffFile, buildFixtureFont({ outlines: 'CFF' }));
+    const cffSplit = spawnSync('node', ['compress-woff2.js', cffFile, '--split', 'latin'], { encoding: 'utf8' });
+    assert.equal(cffSplit.status, 1);
+    assert.match(cffSplit.stderr, /has CFF outlines/);
+    assert.deepEqual(fs.readdirSync(splitDir).filter(file => file.startsWith('fixture-cff.')), ['fixture-cff.otf']);
+    
+    const apiSplit = await compressFontFile('test-fonts/Lato-Regular.ttf', path.join(splitDir, 'api', 'Lato.woff'), {
+      format: 'woff',
+      split: [{ label: 'cyrillic', ranges: parseUnicodeRanges('cyrillic') }]
+    });
+    assert.deepEqual(apiSplit.outputs.map(({ label, output }) => [label, path.basename(output)]), [['cyrillic', 'Lato.cyrillic.woff'], ['rest', 'Lato.rest.woff']]);
+    await assert.rejects(
+      compressFontFile('test-fonts/Lato-Regular.ttf', path.join(splitDir, 'api', 'kana.woff'), { format: 'woff', unicodes: parseUnicodeRanges('U+3040-30FF') }),
+      InvalidOptionError
+    );
+  } finally {
+    fs.rmSync(splitDir, { recursive: true, force: true });
+  }
+  console.log(`   ✅ --split writes a rest subset, and refuses CFF fonts up front; compressFontFile() returns the outputs`);
+  
+  // --format must agree with an -o font extension
+  const mislabelled = 'test-output-mislabelled.woff';
+  const formatClash = spawnSync('node', ['compress-woff2.js', 'test-fonts/Lato-Regular.ttf', '--format', 'woff2', '-o', mislabelled], { encoding: 'utf8' });
+  assert.equal(formatClash.status, 1);
+  assert.match(formatClash.stderr, /would contain WOFF2 data/);
+  assert.equal(fs.existsSync(mislabelled), false);
+  console.log(`   ✅ --format woff2 with -o .woff is rejected`);
+  
+  // WOFF re-encodes to WOFF2 with the always-installed encoder; the zlib level trades size for speed
+  const woffFast = await fromSfnt(lato, 'woff', { level: 1 });
+  const woffBest = await fromSfnt(lato, 'woff');
+  const reencoded = await fromSfnt(await toSfnt(woffFast), 'woff2', { encoder: 'woff2-encoder' });
+  assert.ok(woffBest.length < woffFast.length, `Expected level 9 to beat level 1: ${woffFast.length}/${woffBest.length} bytes`);
+  assert.equal(detectFormat(reencoded), 'woff2');
+  assert.deepEqual((await readMetrics(reencoded)).hhea, original.hhea);
+  console.log(`   ✅ WOFF level 1 → 9: ${woffFast.length} → ${woffBest.length} bytes, re-encoded to WOFF2 with woff2-encoder`);
+});
+
+await runTest('harmonizing: proposeHarmonizedMetrics', 'Harmonize', async () => {
+  // A family shares one set of metrics in ems across different units per em
+  const family = [
+    { name: 'Lato-Regular.ttf', buffer: lato },
+    { name: 'Roboto-Regular.woff2', buffer: fs.readFileSync('test-fonts/Roboto-Regular.woff2') }
+  ];
+  const union = await proposeHarmonizedMetrics(family);
+  const [latoUnion, robotoUnion] = union.fonts;
+  assert.ok(latoUnion.proposed.ascent >= original.head.yMax, 'Expected the union to cover Lato\'s tallest glyph');
+  assert.equal(latoUnion.proposed.lineGap, 0);
+  assert.ok(Math.abs(latoUnion.proposed.ascent / 2000 - robotoUnion.proposed.ascent / 2048) <= 0.001, 'Expected the same ascent in ems');
+  const mastered = await proposeHarmonizedMetrics(family, { strategy: 'master', master: 'Roboto-Regular.woff2' });
+  assert.deepEqual(mastered.fonts[1].proposed, mastered.fonts[1].current);
+  console.log(`   ✅ Harmonized family ascent ${union.em.ascent}em: ${latoUnion.proposed.ascent}u / ${robotoUnion.proposed.ascent}u`);
+});
+
+await runTest('fallback overrides: computeFallbackOverrides', 'Fallback', async () => {
+  // A font used as its own fallback needs no size adjustment
+  const overrides = await computeFallbackOverrides(latoWoff2, lato);
+  assert.equal(overrides.sizeAdjust, 100);
+  assert.equal(overrides.ascentOverride, 98.7);
+  assert.equal(overrides.descentOverride, 21.3);
+  console.log(`   ✅ Fallback overrides for Lato against itself: ascent ${overrides.ascentOverride}%`);
+});
+
 console.log(`\n📊 Test Results:`);
-console.log(`   ✅ Passed: ${passedTests}/${totalTests} formats`);
-console.log(`   ⚠️  Known Issues: ${knownIssues}/${totalTests} formats (parser incompatibility)`);
-console.log(`   ❌ Failed: ${totalTests - passedTests - knownIssues}/${totalTests} formats`);
+console.log(`   ✅ Passed: ${passedTests}/${totalTests} tests`);
+console.log(`   ❌ Failed: ${totalTests - passedTests}/${totalTests} tests`);
 
-if (passedTests > 0) {
-  console.log('\n🎉 Core functionality works! WOFF2 format fully supported ✅');
-  console.log('💡 To test other formats, try with different font files that are opentype.js compatible');
+if (passedTests === totalTests) {
+  console.log('\n🎉 All tests passed! TTF, OTF, WOFF and WOFF2 fully supported ✅');
   process.exit(0);
 } else {
-  console.log('\n❌ No format tests passed!');
+  console.log('\n❌ Some tests failed!');
   process.exit(1);
-}
\ No newline at end of file
+}